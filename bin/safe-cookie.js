@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+
+/**
+ * Scanner de linha de comando do Safe Cookie
+ * Uso: safe-cookie [opções] <url> [url...]  (ver --help)
+ */
+const cli = require('../src/cli');
+
+cli.main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+}).catch((error) => {
+  process.stderr.write(`Erro inesperado: ${error.message}\n`);
+  process.exitCode = cli.EXIT_CODES.ANALYSIS_ERROR;
+});
@@ -58,6 +58,57 @@ class APIClient {
         }
     }
 
+    /**
+     * Run analysis as a background job, reporting real progress per phase
+     * Falls back to the blocking endpoint when EventSource is unavailable
+     */
+    async analyzeUrlWithProgress(url, options = {}, onProgress = () => {}) {
+        if (typeof EventSource === 'undefined') {
+            return this.analyzeUrl(url, options);
+        }
+
+        this._log('info', 'Starting background analysis', { url, options });
+
+        const { data: job } = await this.analysis.startAnalysisJob(url, options);
+
+        await new Promise((resolve, reject) => {
+            this.analysis.watchJob(job.jobId, {
+                onPhase: (phase) => onProgress(phase),
+                onComplete: resolve,
+                onError: (detail) => {
+                    const error = new Error(detail.message || 'Analysis failed');
+                    error.code = detail.code;
+                    error.data = detail;
+                    reject(error);
+                }
+            });
+        });
+
+        const result = await this.analysis.getJob(job.jobId);
+        const analysis = result.data?.analysis;
+
+        if (this.config.enableCache) {
+            this.stats.updateStatsOptimistic('analyzed', 1);
+        }
+
+        this._log('success', 'Background analysis completed', { url, jobId: job.jobId, score: analysis?.score });
+        return { ...result, data: analysis };
+    }
+
+    /**
+     * Get a stored analysis by ID
+     */
+    async getAnalysis(analysisId) {
+        this._log('info', 'Fetching stored analysis', { analysisId });
+
+        try {
+            return await this.analysis.getAnalysis(analysisId);
+        } catch (error) {
+            this._log('error', 'Failed to fetch analysis', { analysisId, error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * Get application statistics
      */
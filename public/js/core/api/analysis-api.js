@@ -8,7 +8,14 @@ class AnalysisAPI {
         this.endpoints = {
             analyze: '/api/analyze',
             checkUrl: '/api/check-url',
-            getAnalysis: '/analysis'
+            getAnalysis: '/api/analyses',
+            jobs: '/api/jobs'
+        };
+
+        // Polling used when the progress stream drops while the job is still running
+        this.jobPolling = {
+            interval: 2000,
+            maxFailures: 5
         };
     }
 
@@ -30,9 +37,8 @@ class AnalysisAPI {
         try {
             const response = await this.http.post(this.endpoints.analyze, payload);
             
-            // Add analysisId for compatibility if not present
-            if (response.data && !response.data.analysisId) {
-                response.data.analysisId = this._generateAnalysisId(url);
+            // analysisId is issued by the server when the result is stored
+            if (response.data && !response.data.error) {
                 response.data.success = true;
             }
 
@@ -42,6 +48,124 @@ class AnalysisAPI {
         }
     }
 
+    /**
+     * Start a background analysis job (returns immediately with a job ID)
+     */
+    async startAnalysisJob(url, options = {}) {
+        const payload = {
+            url: this._normalizeUrl(url),
+            options: {
+                checkCookies: true,
+                checkSSL: true,
+                checkHeaders: true,
+                checkHtml: true,
+                ...options
+            }
+        };
+
+        try {
+            return await this.http.post(this.endpoints.jobs, payload);
+        } catch (error) {
+            throw this._enhanceError(error, 'JOB_START_FAILED');
+        }
+    }
+
+    /**
+     * Get current job state (includes the analysis once completed)
+     */
+    async getJob(jobId) {
+        try {
+            return await this.http.get(`${this.endpoints.jobs}/${jobId}`);
+        } catch (error) {
+            throw this._enhanceError(error, 'GET_JOB_FAILED');
+        }
+    }
+
+    /**
+     * Follow job progress through Server-Sent Events
+     * If the stream connection drops, keeps following the job by polling getJob
+     * Returns a function that stops watching
+     */
+    watchJob(jobId, handlers = {}) {
+        const { onPhase, onComplete, onError } = handlers;
+        const source = new EventSource(`${this.endpoints.jobs}/${jobId}/events`);
+        const reportedPhases = new Set();
+        let stopped = false;
+        let pollTimer = null;
+        let failures = 0;
+
+        const stop = () => {
+            stopped = true;
+            source.close();
+            clearTimeout(pollTimer);
+        };
+
+        const reportPhase = (phase) => {
+            reportedPhases.add(phase.phase);
+            if (onPhase) onPhase(phase);
+        };
+
+        const poll = async () => {
+            if (stopped) return;
+
+            try {
+                const { data: job } = await this.getJob(jobId);
+                failures = 0;
+
+                // Phases finished while the stream was down
+                Object.entries(job.phases || {})
+                    .filter(([phase]) => !reportedPhases.has(phase))
+                    .forEach(([phase, data]) => reportPhase({ phase, progress: job.progress, ...data }));
+
+                if (job.status === 'completed') {
+                    stop();
+                    if (onComplete) onComplete({ analysisId: job.analysisId, score: job.analysis?.score, grade: job.analysis?.grade, progress: 100 });
+                    return;
+                }
+
+                if (job.status === 'failed') {
+                    stop();
+                    if (onError) onError(job.error);
+                    return;
+                }
+            } catch (error) {
+                // An expired job won't come back; transient failures are retried
+                if (error.status === 404 || ++failures >= this.jobPolling.maxFailures) {
+                    stop();
+                    if (onError) onError({ message: 'Connection to progress stream lost', code: 'NETWORK' });
+                    return;
+                }
+            }
+
+            pollTimer = setTimeout(poll, this.jobPolling.interval);
+        };
+
+        source.addEventListener('phase', (event) => {
+            reportPhase(JSON.parse(event.data));
+        });
+
+        source.addEventListener('complete', (event) => {
+            stop();
+            if (onComplete) onComplete(JSON.parse(event.data));
+        });
+
+        // Server-sent 'error' events carry data; connection errors don't
+        source.addEventListener('error', (event) => {
+            source.close();
+
+            if (event.data) {
+                stop();
+                if (onError) onError(JSON.parse(event.data));
+                return;
+            }
+
+            // Network blip or proxy timeout: the job keeps running on the server
+            if (!stopped) poll();
+        });
+
+        return stop;
+    }
+
     /**
      * Quick URL health check
      */
@@ -55,7 +179,7 @@ class AnalysisAPI {
     }
 
     /**
-     * Get analysis by ID (for future use)
+     * Get a stored analysis by its server-issued ID
      */
     async getAnalysis(analysisId) {
         try {
@@ -109,30 +233,6 @@ class AnalysisAPI {
         return url;
     }
 
-    /**
-     * Generate analysis ID for compatibility
-     * @private
-     */
-    _generateAnalysisId(url) {
-        const timestamp = Date.now();
-        const hash = this._simpleHash(url);
-        return `${hash}-${timestamp}`;
-    }
-
-    /**
-     * Simple hash function for analysis ID
-     * @private
-     */
-    _simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash).toString(36);
-    }
-
     /**
      * Enhance error with context
      * @private
@@ -144,11 +244,15 @@ class AnalysisAPI {
         if (error.status === 400) {
             if (error.data?.code === 'INVALID_URL') {
                 error.userMessage = 'URL inválida. Verifique o formato e tente novamente.';
+            } else if (error.data?.code === 'INVALID_ANALYSIS_ID') {
+                error.userMessage = 'ID de análise inválido.';
             } else if (error.data?.code === 'HTTP_ERROR') {
                 error.userMessage = error.data.message || 'Erro ao acessar o site.';
             } else {
                 error.userMessage = 'URL fornecida é inválida. Verifique o formato.';
             }
+        } else if (error.status === 404 && error.data?.code === 'ANALYSIS_NOT_FOUND') {
+            error.userMessage = 'Análise não encontrada. Execute uma nova análise.';
         } else if (error.status === 429) {
             if (error.data?.code === 'RATE_LIMITED') {
                 error.userMessage = 'Site bloqueou muitas requisições. Aguarde alguns minutos.';
@@ -192,6 +296,50 @@ class AnalysisAPI {
             checkHtml: {
                 name: 'HTML Analysis',
                 description: 'Scan HTML for security vulnerabilities'
+            },
+            timeout: {
+                name: 'Request Timeout',
+                description: 'HTTP request timeout in milliseconds (1000-60000)'
+            },
+            maxRedirects: {
+                name: 'Max Redirects',
+                description: 'Maximum number of redirects to follow (0-10)'
+            },
+            retries: {
+                name: 'Retries',
+                description: 'Number of HTTP request attempts (1-5)'
+            },
+            userAgent: {
+                name: 'User Agent',
+                description: 'Fixed User-Agent for the request (rotated by default)'
+            },
+            headers: {
+                name: 'Extra Headers',
+                description: 'Additional request headers, e.g. { "Authorization": "Bearer ..." }'
+            },
+            policy: {
+                name: 'Security Policy',
+                description: 'Minimum scores, maximum findings per severity and accepted-risk suppressions'
+            },
+            sessionSamples: {
+                name: 'Session Samples',
+                description: 'Fresh sessions collected to estimate session ID entropy (0 disables, up to 20)'
+            },
+            compareSchemes: {
+                name: 'Compare HTTP/HTTPS',
+                description: 'Also fetch the http:// variant and compare the cookies it sets'
+            },
+            probeCors: {
+                name: 'Probe CORS',
+                description: 'Re-request the URL with crafted Origin headers and check which ones are trusted'
+            },
+            corsPaths: {
+                name: 'CORS Paths',
+                description: 'API paths probed along with the URL, e.g. ["/api/me"] (up to 10; enables probeCors)'
+            },
+            hstsPreload: {
+                name: 'HSTS Preload',
+                description: 'Check the registrable domain against the browser HSTS preload list requirements'
             }
         };
     }
@@ -52,6 +52,25 @@ class LoadingManager {
         this.activeLoaders.delete(loaderId);
     }
 
+    /**
+     * Update text of an active button loader and, optionally, its progress bar (0-100)
+     */
+    updateButtonLoader(loaderId, text, progress = null) {
+        if (!loaderId || !this.activeLoaders.has(loaderId)) return;
+
+        const loader = this.activeLoaders.get(loaderId);
+        loader.config.text = text;
+
+        const textEl = loader.element.querySelector('.btn-loading-text');
+        if (textEl) {
+            textEl.textContent = text;
+        }
+
+        if (progress !== null) {
+            this._updateButtonProgress(loader.element, progress);
+        }
+    }
+
     /**
      * Hide loading state by button element
      */
@@ -131,6 +150,26 @@ class LoadingManager {
         return html;
     }
 
+    /**
+     * Create or update the progress bar shown at the bottom of a loading button
+     * @private
+     */
+    _updateButtonProgress(button, progress) {
+        let bar = button.querySelector('.btn-progress .progress-bar');
+
+        if (!bar) {
+            const track = document.createElement('span');
+            track.className = 'progress progress-sm btn-progress';
+            track.innerHTML = '<span class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100"></span>';
+            button.appendChild(track);
+            bar = track.querySelector('.progress-bar');
+        }
+
+        const value = Math.max(0, Math.min(100, Math.round(progress)));
+        bar.style.width = `${value}%`;
+        bar.setAttribute('aria-valuenow', value);
+    }
+
     /**
      * Restore original button state
      * @private
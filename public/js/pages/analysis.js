@@ -211,7 +211,7 @@ class AnalysisPage {
             
             if (response.data?.analysisId) {
                 // Redirect to new analysis
-                window.location.href = `/analysis/${response.data.analysisId}`;
+                window.location.href = `/reports/${response.data.analysisId}`;
             } else {
                 throw new Error('Failed to start new analysis');
             }
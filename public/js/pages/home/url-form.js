@@ -7,6 +7,14 @@ class HomeUrlForm {
         this.urlForm = null;
         this.urlInput = null;
         this.analyzeButton = null;
+        this.phaseLabels = {
+            url_validation: 'Validating URL',
+            http_fetch: 'Fetching page',
+            ssl: 'Checking SSL',
+            headers: 'Checking headers',
+            cookies: 'Checking cookies',
+            html: 'Scanning HTML'
+        };
         this.init();
     }
 
@@ -119,11 +127,14 @@ class HomeUrlForm {
                 detail: { url }
             }));
 
-            // Call API
-            const response = await window.apiClient.analyzeUrl(url, {
+            // Call API (background job with real per-phase progress)
+            const response = await window.apiClient.analyzeUrlWithProgress(url, {
                 checkCookies: true,
                 checkSSL: true,
                 checkHeaders: true
+            }, (progress) => {
+                const label = this.phaseLabels[progress.phase] || progress.phase;
+                window.loadingManager.updateButtonLoader(loaderId, `${label}... ${progress.progress}%`, progress.progress);
             });
 
             // Hide loading
@@ -338,6 +349,10 @@ class HomeUrlForm {
                     <button class="btn btn-secondary btn-sm" onclick="window.homeUrlForm.downloadCurrentReport()">
                         💾 Baixar HTML
                     </button>
+                    ${data.analysisId ? `
+                    <a class="btn btn-secondary btn-sm" href="/reports/${data.analysisId}" target="_blank" rel="noopener">
+                        🔗 Link Compartilhável
+                    </a>` : ''}
                     <button class="btn btn-secondary btn-sm" onclick="window.homeUrlForm.startNewAnalysis()">
                         🔄 Nova Análise
                     </button>
@@ -381,7 +381,7 @@ class ApiClient {
      * Get analysis results by ID
      */
     async getAnalysis(analysisId) {
-        return this.get(`analysis/${analysisId}`);
+        return this.get(`analyses/${analysisId}`);
     }
 
     /**
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Servidor local que emite cookies de sessão com qualidades diferentes,
+ * para testar a estimativa de entropia sem depender de sites reais
+ *
+ * Uso:
+ *   node scripts/session-test-server.js [porta]       sobe o servidor (apenas HTTP)
+ *   node scripts/session-test-server.js --check [n]   sobe o servidor em uma porta livre, coleta n sessões
+ *                                                     de cada rota com sessionEntropy e imprime a estimativa
+ *
+ * A análise completa (API, CLI, sessionSamples) recusa localhost e força HTTPS por segurança (SSRF);
+ * o modo --check usa o mesmo coletor e a mesma estimativa diretamente, sem a validação de URL
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const checkMode = process.argv[2] === '--check';
+const port = checkMode ? 0 : parseInt(process.argv[2] || process.env.PORT || '4010', 10);
+const checkSamples = parseInt((checkMode && process.argv[3]) || '10', 10);
+let counter = 100000;
+
+/**
+ * Geradores de identificador por rota
+ */
+const GENERATORS = {
+  '/random': () => crypto.randomBytes(32).toString('hex'),
+  '/weak': () => crypto.randomBytes(4).toString('hex'),
+  '/counter': () => `sess-${++counter}`,
+  '/timestamp': () => Math.floor(Date.now() / 1000).toString(16) + crypto.randomBytes(4).toString('hex'),
+  '/prefixed': () => `APPSESSION0000000000${crypto.randomBytes(3).toString('hex')}`,
+  '/fixed': () => 'c0ffee0000000000c0ffee0000000000'
+};
+
+const server = http.createServer((req, res) => {
+  const path = new URL(req.url, `http://localhost:${port}`).pathname;
+  const generate = GENERATORS[path];
+
+  if (!generate) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`Rotas: ${Object.keys(GENERATORS).join(', ')}\n`);
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Set-Cookie': `sessionid=${generate()}; Path=/; HttpOnly; SameSite=Lax`
+  });
+  res.end('<!DOCTYPE html><html><head><title>Sessão de teste</title></head><body>ok</body></html>');
+});
+
+/**
+ * Coleta sessões de cada rota e imprime a estimativa de entropia (modo --check)
+ */
+async function checkRoutes(baseUrl) {
+  // Carregados só aqui: o servidor sozinho não depende do restante do projeto
+  const sessionEntropy = require('../src/services/security/sessionEntropy');
+
+  for (const route of Object.keys(GENERATORS)) {
+    const samples = await sessionEntropy.collectSamples(`${baseUrl}${route}`, checkSamples, { timeout: 5000 });
+    const entropy = sessionEntropy.analyzeValues(samples.get('sessionid') || []);
+    const patterns = entropy.patterns.map(pattern => pattern.type).join(', ') || 'nenhum';
+
+    process.stdout.write(`${route.padEnd(12)} ${entropy.isWeak ? 'FRACO' : 'ok   '} ` +
+      `${entropy.effectiveBits} bits efetivos (${entropy.charset}), padrões: ${patterns}\n`);
+  }
+}
+
+server.listen(port, async () => {
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  if (!checkMode) {
+    process.stdout.write(`Servidor de sessões de teste em ${baseUrl} (${Object.keys(GENERATORS).join(', ')})\n`);
+    return;
+  }
+
+  try {
+    await checkRoutes(baseUrl);
+  } catch (error) {
+    process.stderr.write(`Falha na verificação: ${error.message || error.userMessage}\n`);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+});
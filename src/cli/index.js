@@ -0,0 +1,383 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const analysisPipeline = require('../services/analysis/analysisPipeline');
+const analysisExporter = require('../services/export/analysisExporter');
+const policyEngine = require('../services/policy/policyEngine');
+const ruleRegistry = require('../services/rules/ruleRegistry');
+const textReporter = require('./textReporter');
+
+const { CATEGORY_OPTIONS } = analysisPipeline;
+
+/**
+ * Ordem das grades, da pior para a melhor
+ */
+const GRADE_ORDER = ['F', 'D', 'C', 'B', 'A', 'A+'];
+
+/**
+ * Códigos de saída do processo
+ */
+const EXIT_CODES = {
+  PASSED: 0,
+  THRESHOLD_FAILED: 1,
+  USAGE_ERROR: 2,
+  ANALYSIS_ERROR: 3
+};
+
+const HELP = `
+Uso: safe-cookie [opções] <url> [url...]
+
+Executa a análise de segurança (SSL, headers, cookies e HTML) sem iniciar o servidor.
+
+Opções:
+  --only <categorias>     Categorias a executar, separadas por vírgula (ssl,headers,cookies,html)
+  --min-score <n>         Falha (saída 1) se o score de alguma URL for menor que n
+  --min-grade <grade>     Falha (saída 1) se a grade de alguma URL for pior que a informada (F..A+)
+  --policy <arquivo>      Política JSON/YAML com limites por categoria/severidade e riscos aceitos
+  --rules <diretório>     Carrega regras customizadas de um diretório (pode repetir)
+  --format <formato>      Formato de saída: text (padrão), json, sarif ou junit
+  --json                  Atalho para --format json
+  --timeout <ms>          Timeout da requisição HTTP
+  --max-redirects <n>     Máximo de redirecionamentos seguidos
+  --retries <n>           Tentativas da requisição HTTP
+  --session-samples <n>   Coleta n sessões novas para estimar a entropia dos cookies de sessão
+  --compare-schemes       Busca também a variante http:// e compara os cookies com a https://
+  --probe-cors            Sonda CORS com headers Origin forjados
+  --cors-path <path>      Path de API incluído na sondagem CORS (pode repetir; ativa --probe-cors)
+  --hsts-preload          Verifica se o domínio atende aos requisitos da lista de HSTS preload
+  --user-agent <ua>       User-Agent fixo
+  -H, --header <h>        Header extra "Nome: valor" (pode repetir)
+  --no-color              Desativa cores na saída de texto
+  -h, --help              Mostra esta ajuda
+
+Códigos de saída: 0 aprovado, 1 abaixo do limite, 2 uso incorreto, 3 erro na análise
+`;
+
+/**
+ * Interface de linha de comando do Safe Cookie
+ */
+class SafeCookieCli {
+
+  /**
+   * Executa a CLI
+   * @param {Array<string>} argv - Argumentos (sem node e script)
+   * @param {Object} io - Streams de saída ({ stdout, stderr })
+   * @returns {Promise<number>} - Código de saída
+   */
+  async main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let config;
+
+    try {
+      config = this.parseArgs(argv);
+    } catch (error) {
+      io.stderr.write(`Erro: ${error.message}\nUse --help para ver as opções disponíveis.\n`);
+      return EXIT_CODES.USAGE_ERROR;
+    }
+
+    if (config.help) {
+      io.stdout.write(HELP);
+      return EXIT_CODES.PASSED;
+    }
+
+    for (const dir of config.rulesDirs) {
+      if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        io.stderr.write(`Erro: diretório de regras não encontrado: ${dir}\n`);
+        return EXIT_CODES.USAGE_ERROR;
+      }
+      ruleRegistry.loadDirectory(dir);
+    }
+
+    if (config.policyFile) {
+      try {
+        config.options.policy = await policyEngine.load(config.policyFile);
+      } catch (error) {
+        io.stderr.write(`Erro: ${error.message}\n${(error.details || []).map(detail => `  - ${detail}\n`).join('')}`);
+        return EXIT_CODES.USAGE_ERROR;
+      }
+    }
+
+    // O stdout é o relatório: logs vão apenas para os arquivos
+    logger.disableConsole();
+
+    const results = [];
+
+    for (const url of config.urls) {
+      results.push(await this._analyze(url, config));
+    }
+
+    io.stdout.write(this._render(results, config));
+
+    // SARIF/JUnit contêm apenas as análises concluídas (no SARIF as falhas viram notificações); erros vão para o stderr
+    if (analysisExporter.isSupported(config.format)) {
+      for (const result of results.filter(item => item.error)) {
+        io.stderr.write(`Erro em ${result.input}: ${result.error.message} (${result.error.code})\n`);
+      }
+    }
+
+    return this._exitCode(results);
+  }
+
+  /**
+   * Interpreta os argumentos da linha de comando
+   * @param {Array<string>} argv - Argumentos
+   * @returns {Object} - Configuração da execução
+   */
+  parseArgs(argv) {
+    const config = {
+      urls: [],
+      format: 'text',
+      color: process.stdout.isTTY && !process.env.NO_COLOR,
+      thresholds: { minScore: null, minGrade: null },
+      policyFile: null,
+      rulesDirs: [],
+      options: {},
+      help: false
+    };
+
+    const args = [...argv];
+    const next = (flag) => {
+      if (args.length === 0 || args[0].startsWith('--')) {
+        throw new Error(`${flag} requer um valor`);
+      }
+      return args.shift();
+    };
+
+    while (args.length > 0) {
+      const arg = args.shift();
+
+      switch (arg) {
+        case '-h':
+        case '--help':
+          config.help = true;
+          break;
+        case '--json':
+          config.format = 'json';
+          break;
+        case '--format':
+          config.format = next(arg).toLowerCase();
+          break;
+        case '--no-color':
+          config.color = false;
+          break;
+        case '--only':
+          Object.assign(config.options, this._parseOnly(next(arg)));
+          break;
+        case '--min-score':
+          config.thresholds.minScore = this._parseInteger(next(arg), arg, 0, 100);
+          break;
+        case '--min-grade':
+          config.thresholds.minGrade = this._parseGrade(next(arg));
+          break;
+        case '--policy':
+          config.policyFile = next(arg);
+          break;
+        case '--rules':
+          config.rulesDirs.push(next(arg));
+          break;
+        case '--timeout':
+          config.options.timeout = this._parseInteger(next(arg), arg);
+          break;
+        case '--max-redirects':
+          config.options.maxRedirects = this._parseInteger(next(arg), arg);
+          break;
+        case '--retries':
+          config.options.retries = this._parseInteger(next(arg), arg);
+          break;
+        case '--compare-schemes':
+          config.options.compareSchemes = true;
+          break;
+        case '--probe-cors':
+          config.options.probeCors = true;
+          break;
+        case '--cors-path':
+          config.options.corsPaths = [...(config.options.corsPaths || []), next(arg)];
+          break;
+        case '--hsts-preload':
+          config.options.hstsPreload = true;
+          break;
+        case '--session-samples':
+          config.options.sessionSamples = this._parseInteger(next(arg), arg);
+          break;
+        case '--user-agent':
+          config.options.userAgent = next(arg);
+          break;
+        case '-H':
+        case '--header': {
+          const [name, ...rest] = next(arg).split(':');
+          if (!name.trim() || rest.length === 0) {
+            throw new Error(`Header inválido, use "Nome: valor"`);
+          }
+          config.options.headers = { ...config.options.headers, [name.trim()]: rest.join(':').trim() };
+          break;
+        }
+        default:
+          if (arg.startsWith('-')) {
+            throw new Error(`Opção desconhecida: ${arg}`);
+          }
+          config.urls.push(arg);
+      }
+    }
+
+    if (!['text', 'json'].includes(config.format) && !analysisExporter.isSupported(config.format)) {
+      throw new Error(`Formato não suportado: ${config.format}`);
+    }
+
+    if (!config.help && config.urls.length === 0) {
+      throw new Error('Informe ao menos uma URL');
+    }
+
+    // Validar opções com as mesmas regras da API
+    if (!config.help) {
+      try {
+        analysisPipeline.normalizeOptions(config.options);
+      } catch (error) {
+        throw new Error((error.details || [error.message]).join('; '));
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Analisa uma URL e avalia os limites configurados
+   * @private
+   */
+  async _analyze(url, config) {
+    try {
+      const analysis = await analysisPipeline.run(url, config.options);
+      const failures = this._checkThresholds(analysis, config.thresholds);
+
+      return { input: url, passed: failures.length === 0, failures, analysis };
+    } catch (error) {
+      return {
+        input: url,
+        passed: false,
+        failures: [],
+        error: {
+          message: error.userMessage || error.message || 'Erro na análise',
+          code: error.code || 'ANALYSIS_ERROR',
+          details: error.details
+        }
+      };
+    }
+  }
+
+  /**
+   * Compara score e grade com os limites
+   * @private
+   */
+  _checkThresholds(analysis, thresholds) {
+    const failures = [];
+
+    if (thresholds.minScore !== null && analysis.score < thresholds.minScore) {
+      failures.push(`score ${analysis.score} abaixo do mínimo ${thresholds.minScore}`);
+    }
+
+    if (thresholds.minGrade !== null &&
+        GRADE_ORDER.indexOf(analysis.grade) < GRADE_ORDER.indexOf(thresholds.minGrade)) {
+      failures.push(`grade ${analysis.grade} abaixo da mínima ${thresholds.minGrade}`);
+    }
+
+    // Achados aceitos pela política já ficam fora das violações
+    if (analysis.policy) {
+      failures.push(...analysis.policy.violations.map(violation => `política: ${violation}`));
+    }
+
+    return failures;
+  }
+
+  /**
+   * Código de saída a partir dos resultados
+   * @private
+   */
+  _exitCode(results) {
+    if (results.some(result => result.error)) {
+      return EXIT_CODES.ANALYSIS_ERROR;
+    }
+
+    return results.every(result => result.passed) ? EXIT_CODES.PASSED : EXIT_CODES.THRESHOLD_FAILED;
+  }
+
+  /**
+   * Gera a saída no formato escolhido
+   * @private
+   */
+  _render(results, config) {
+    if (config.format === 'json') {
+      return JSON.stringify(this._toJsonReport(results, config), null, 2) + '\n';
+    }
+
+    if (config.format === 'text') {
+      return textReporter.render(results, config.thresholds, { color: config.color });
+    }
+
+    const analyses = results.filter(result => result.analysis).map(result => result.analysis);
+    const failures = results
+      .filter(result => result.error)
+      .map(result => ({ url: result.input, message: result.error.message, code: result.error.code }));
+
+    return analysisExporter.render(analyses, config.format, failures).body;
+  }
+
+  /**
+   * Monta o relatório JSON
+   * @private
+   */
+  _toJsonReport(results, config) {
+    return {
+      passed: results.every(result => result.passed),
+      thresholds: config.thresholds,
+      results
+    };
+  }
+
+  /**
+   * Converte --only em opções checkX
+   * @private
+   */
+  _parseOnly(value) {
+    const selected = value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    const unknown = selected.filter(item => !CATEGORY_OPTIONS[item]);
+
+    if (unknown.length > 0) {
+      throw new Error(`Categoria desconhecida em --only: ${unknown.join(', ')}`);
+    }
+
+    const options = {};
+    for (const [category, optionName] of Object.entries(CATEGORY_OPTIONS)) {
+      options[optionName] = selected.includes(category);
+    }
+
+    return options;
+  }
+
+  /**
+   * Converte argumento em inteiro
+   * @private
+   */
+  _parseInteger(value, flag, min = -Infinity, max = Infinity) {
+    const number = Number(value);
+
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`${flag} requer um número inteiro${min > -Infinity ? ` entre ${min} e ${max}` : ''}`);
+    }
+
+    return number;
+  }
+
+  /**
+   * Valida grade informada em --min-grade
+   * @private
+   */
+  _parseGrade(value) {
+    const grade = value.toUpperCase();
+
+    if (!GRADE_ORDER.includes(grade)) {
+      throw new Error(`--min-grade deve ser uma de: ${GRADE_ORDER.join(', ')}`);
+    }
+
+    return grade;
+  }
+}
+
+module.exports = new SafeCookieCli();
+module.exports.EXIT_CODES = EXIT_CODES;
@@ -0,0 +1,139 @@
+/**
+ * Códigos ANSI usados na saída colorida
+ */
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m'
+};
+
+const SEVERITY_COLORS = {
+  critical: 'magenta',
+  high: 'red',
+  medium: 'yellow',
+  low: 'blue',
+  info: 'dim'
+};
+
+const CATEGORY_LABELS = {
+  ssl: 'SSL',
+  headers: 'Headers',
+  cookies: 'Cookies',
+  html: 'HTML'
+};
+
+/**
+ * Relatório em texto (terminal) para a CLI
+ */
+class TextReporter {
+
+  /**
+   * Gera o resumo em texto de todas as URLs analisadas
+   * @param {Array} results - Resultados da CLI ({ input, passed, failures, analysis | error })
+   * @param {Object} thresholds - Limites configurados
+   * @param {Object} options - { color }
+   * @returns {string}
+   */
+  render(results, thresholds, options = {}) {
+    const paint = this._painter(options.color);
+    const blocks = results.map(result => this._renderResult(result, paint));
+
+    const passed = results.filter(result => result.passed).length;
+    const hasThresholds = thresholds.minScore !== null || thresholds.minGrade !== null ||
+      results.some(result => result.analysis?.policy);
+    const footer = hasThresholds
+      ? `${passed}/${results.length} URL(s) aprovada(s) nos limites configurados`
+      : `${results.length} URL(s) analisada(s)`;
+
+    return `${blocks.join('\n')}\n${paint('bold', footer)}\n`;
+  }
+
+  /**
+   * Bloco de uma URL
+   * @private
+   */
+  _renderResult(result, paint) {
+    const lines = [];
+
+    if (result.error) {
+      lines.push(`${paint('red', '✖')} ${paint('bold', result.input)}  ${paint('red', 'ERRO')}`);
+      lines.push(`  ${result.error.message} (${result.error.code})`);
+      for (const detail of result.error.details || []) {
+        lines.push(`  - ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+      }
+      return lines.join('\n') + '\n';
+    }
+
+    const { analysis } = result;
+    const status = result.passed ? paint('green', 'OK') : paint('red', 'FALHOU');
+
+    lines.push(`${result.passed ? paint('green', '✔') : paint('red', '✖')} ${paint('bold', analysis.url)}  ` +
+      `${paint(this._gradeColor(analysis.score), `${analysis.grade} (${analysis.score}/100)`)}  ${status}`);
+
+    const categories = Object.entries(CATEGORY_LABELS)
+      .filter(([key]) => !analysis[key]?.skipped)
+      .map(([key, label]) => `${label} ${analysis[key]?.score ?? 0}`);
+    lines.push(`  ${paint('dim', categories.join(' · '))}`);
+
+    const { stats } = analysis;
+    lines.push(`  Vulnerabilidades: ${stats.totalVulnerabilities} ` +
+      `(${paint('magenta', `${stats.criticalVulnerabilities} críticas`)}, ` +
+      `${paint('red', `${stats.highVulnerabilities} altas`)}, ` +
+      `${paint('yellow', `${stats.mediumVulnerabilities} médias`)}, ` +
+      `${paint('blue', `${stats.lowVulnerabilities} baixas`)})`);
+
+    if (analysis.policy) {
+      lines.push(`  Aceitas pela política: ${analysis.policy.acceptedCount}` +
+        (analysis.rawScore !== analysis.score ? ` (score com todos os achados: ${analysis.rawScore}/100)` : ''));
+    }
+
+    const important = analysis.vulnerabilities.filter(v => v.severity === 'critical' || v.severity === 'high');
+    for (const vuln of important) {
+      const subject = vuln.cookie || vuln.header;
+      const message = subject && !vuln.message.includes(subject) ? `${vuln.message} (${subject})` : vuln.message;
+
+      if (vuln.accepted) {
+        lines.push(`  ${paint('dim', `[aceito] ${message} — ${vuln.suppression.justification}`)}`);
+      } else {
+        lines.push(`  ${paint(SEVERITY_COLORS[vuln.severity], `[${vuln.severity}]`)} ${message}`);
+      }
+    }
+
+    for (const suppression of analysis.policy?.expiredSuppressions || []) {
+      const subject = suppression.cookie || suppression.header || suppression.host;
+      lines.push(`  ${paint('yellow', '⚠')} Supressão expirada em ${suppression.expires}: ${suppression.type}` +
+        `${subject ? ` (${subject})` : ''}`);
+    }
+
+    for (const failure of result.failures) {
+      lines.push(`  ${paint('red', '→')} ${failure}`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Cor da grade conforme o score
+   * @private
+   */
+  _gradeColor(score) {
+    if (score >= 80) return 'green';
+    if (score >= 60) return 'yellow';
+    return 'red';
+  }
+
+  /**
+   * Função que aplica cor apenas quando habilitado
+   * @private
+   */
+  _painter(enabled) {
+    return (color, text) => (enabled && COLORS[color] ? `${COLORS[color]}${text}${COLORS.reset}` : text);
+  }
+}
+
+module.exports = new TextReporter();
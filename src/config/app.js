@@ -13,6 +13,7 @@ const security = require('../middleware/security');
 const indexRoutes = require('../routes/index');
 const apiRoutes = require('../routes/api');
 const reportsRoutes = require('../routes/reports');
+const hostsRoutes = require('../routes/hosts');
 
 /**
  * Configura e retorna a aplicação Express
@@ -68,6 +69,7 @@ function createApp() {
   app.use('/', indexRoutes);
   app.use('/api', apiRoutes);
   app.use('/reports', reportsRoutes);
+  app.use('/hosts', hostsRoutes);
 
   // Middleware de tratamento de erros (deve ser o último)
   app.use(errorHandler);
@@ -33,6 +33,21 @@ const SECURITY_HEADERS = {
     severity: 'medium',
     weight: 5
   },
+  'Cross-Origin-Opener-Policy': {
+    description: 'Isola a janela do site de janelas de outras origens (window.opener, XS-Leaks); com same-origin e COEP habilita o isolamento entre origens.',
+    severity: 'medium',
+    weight: 5
+  },
+  'Cross-Origin-Embedder-Policy': {
+    description: 'Exige que recursos de outras origens autorizem a incorporação (CORP ou CORS); necessário para o isolamento entre origens.',
+    severity: 'low',
+    weight: 3
+  },
+  'Cross-Origin-Resource-Policy': {
+    description: 'Restringe quais origens podem incorporar o recurso, protegendo respostas com dados do usuário contra ataques como Spectre.',
+    severity: 'low',
+    weight: 3
+  },
   'X-XSS-Protection': {
     description: 'Ativa a proteção contra ataques de Cross Site Scripting (XSS) nos navegadores antigos.',
     severity: 'medium',
@@ -78,7 +93,22 @@ const COOKIE_SECURITY = {
   required: ['httpOnly', 'secure'],
   recommended: ['sameSite'],
   dangerousNames: ['password', 'token', 'session', 'auth', 'csrf'],
-  maxAge: 86400000 // 24 horas em ms
+  maxAge: 86400000, // 24 horas em ms
+  prefixes: ['__Host-', '__Secure-'], // Prefixos de nome (RFC 6265bis)
+  jwt: {
+    maxLifetime: 604800000, // 7 dias em ms
+    // Segredos HMAC de exemplos e tutoriais, testados contra tokens HS*
+    publicSecrets: [
+      'secret', 'your-256-bit-secret', 'your-384-bit-secret', 'your-512-bit-secret',
+      'changeme', 'change-me', 'password', 'secretkey', 'secret-key', 'jwt_secret',
+      'jwtsecret', 'shhhhh', 'keyboard cat', 'mysecret', 'supersecret', 'default'
+    ],
+    // Claims com dados pessoais ou de autorização
+    sensitiveClaims: [
+      'email', 'phone', 'phone_number', 'name', 'given_name', 'family_name', 'birthdate',
+      'address', 'cpf', 'rg', 'ssn', 'role', 'roles', 'groups', 'permissions', 'admin', 'is_admin'
+    ]
+  }
 };
 
 module.exports = {
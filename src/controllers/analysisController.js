@@ -1,8 +1,9 @@
 const urlValidator = require('../services/network/urlValidator');
 const httpClient = require('../services/network/httpClient');
-const sslAnalyzer = require('../services/security/sslAnalyzer');
-const headerAnalyzer = require('../services/security/headerAnalyzer');
-const cookieAnalyzer = require('../services/security/cookieAnalyzer');
+const analysisPipeline = require('../services/analysis/analysisPipeline');
+const analysisStore = require('../services/storage/analysisStore');
+const analysisExporter = require('../services/export/analysisExporter');
+const analysisDiff = require('../services/analysis/analysisDiff');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -16,7 +17,8 @@ class AnalysisController {
    */
   analyzeUrl = asyncHandler(async (req, res) => {
     const startTime = Date.now();
-    let { url } = req.body;
+    let { url, options = {} } = req.body;
+    const format = this._readFormat(req);
 
     if (!url) {
       return res.status(400).json({
@@ -26,115 +28,21 @@ class AnalysisController {
       });
     }
 
-    logger.analysis(url, 'analysis_start');
+    if (format && !analysisExporter.isSupported(format)) {
+      return res.status(400).json(this._unsupportedFormat(format));
+    }
 
     try {
-      // Fase 1: Validação e normalização da URL
-      const urlValidation = await urlValidator.validateAndNormalize(url);
-      
-      if (!urlValidation.isValid) {
-        return res.status(400).json({
-          error: true,
-          message: 'URL inválida',
-          details: urlValidation.errors,
-          suggestions: urlValidation.suggestions,
-          code: 'INVALID_URL'
-        });
-      }
-
-      const validatedUrl = urlValidation.url;
-      logger.analysis(validatedUrl, 'url_validated', { 
-        originalUrl: url,
-        isHttps: urlValidation.isHttps 
-      });
-
-      // Fase 2: Requisição HTTP
-      const httpResponse = await httpClient.get(validatedUrl);
-      logger.analysis(validatedUrl, 'http_response_received', { 
-        status: httpResponse.status,
-        size: httpResponse.size.total 
-      });
-
-      // Verificar se a resposta HTTP é utilizável
-      if (httpResponse.status === 429) {
-        return res.status(429).json({
-          error: true,
-          message: 'Site bloqueou muitas requisições',
-          code: 'RATE_LIMITED',
-          suggestions: ['Aguarde alguns minutos e tente novamente']
-        });
-      }
+      const analysis = await analysisPipeline.run(url, options);
 
-      if (httpResponse.status >= 500) {
-        return res.status(500).json({
-          error: true,
-          message: 'Servidor do site está com problemas',
-          code: 'SERVER_ERROR',
-          suggestions: ['Tente novamente mais tarde']
-        });
-      }
+      // Persistir resultado para permitir reabrir e compartilhar a análise
+      await this._storeAnalysis(analysis);
 
-      if (httpResponse.status >= 400) {
-        return res.status(400).json({
-          error: true,
-          message: `Site retornou erro: ${httpResponse.status} ${httpResponse.statusText}`,
-          code: 'HTTP_ERROR',
-          suggestions: ['Verifique se a URL está correta']
-        });
+      // Relatório SARIF/JUnit para integração com CI
+      if (format) {
+        return analysisExporter.send(res, analysis, format, `safe-cookie-${analysis.analysisId || 'analysis'}`);
       }
 
-      // Fase 3: Análises paralelas
-      const analysisPromises = [
-        this._analyzeSSL(validatedUrl, urlValidation.isHttps),
-        this._analyzeHeaders(httpResponse.headers, validatedUrl),
-        this._analyzeCookies(httpResponse.cookies, validatedUrl),
-        this._analyzeHTML(httpResponse.data, validatedUrl)
-      ];
-
-      const [sslAnalysis, headerAnalysis, cookieAnalysis, htmlAnalysis] = 
-        await Promise.allSettled(analysisPromises);
-
-      // Consolidar resultados
-      const analysis = {
-        url: validatedUrl,
-        originalUrl: url,
-        timestamp: new Date().toISOString(),
-        httpStatus: httpResponse.status,
-        isHttps: urlValidation.isHttps,
-        redirected: httpResponse.wasRedirected,
-        finalUrl: httpResponse.finalUrl,
-        
-        ssl: this._processSettledResult(sslAnalysis, 'SSL'),
-        headers: this._processSettledResult(headerAnalysis, 'Headers'),
-        cookies: this._processSettledResult(cookieAnalysis, 'Cookies'),
-        html: this._processSettledResult(htmlAnalysis, 'HTML'),
-        
-        vulnerabilities: [],
-        recommendations: [],
-        score: 0,
-        grade: 'F'
-      };
-
-      // Consolidar vulnerabilidades e recomendações
-      this._consolidateAnalysis(analysis);
-
-      // Calcular score e grade finais
-      analysis.score = this._calculateOverallScore(analysis);
-      analysis.grade = this._calculateGrade(analysis.score);
-
-      const duration = Date.now() - startTime;
-      logger.performance('complete_analysis', duration, { 
-        url: validatedUrl, 
-        score: analysis.score,
-        vulnerabilityCount: analysis.vulnerabilities.length
-      });
-
-      logger.analysis(validatedUrl, 'analysis_complete', { 
-        score: analysis.score,
-        grade: analysis.grade,
-        duration 
-      });
-
       // Responder sempre com JSON para rotas API
       if (req.path.startsWith('/api/') || req.originalUrl.startsWith('/api/')) {
         res.json(analysis);
@@ -147,6 +55,11 @@ class AnalysisController {
       }
 
     } catch (error) {
+      // Erros previstos do pipeline (URL inválida, site indisponível) já trazem status e código
+      if (error.statusCode && error.code) {
+        return res.status(error.statusCode).json(this._formatAnalysisError(error));
+      }
+
       logger.errorWithContext(error, { url, duration: Date.now() - startTime });
       
       if (req.path.startsWith('/api/') || req.originalUrl.startsWith('/api/')) {
@@ -225,260 +138,208 @@ class AnalysisController {
   });
 
   /**
-   * Analisa SSL se a URL usar HTTPS
-   * @private
+   * Retorna uma análise salva pelo ID
    */
-  async _analyzeSSL(url, isHttps) {
-    if (!isHttps) {
-      return {
-        isSecure: false,
-        reason: 'URL não usa HTTPS',
-        score: 0,
-        recommendations: ['Use HTTPS para proteger a comunicação']
-      };
+  getAnalysis = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const format = this._readFormat(req);
+
+    if (format && !analysisExporter.isSupported(format)) {
+      return res.status(400).json(this._unsupportedFormat(format));
     }
 
-    return await sslAnalyzer.analyzeSSL(url);
-  }
+    if (!analysisStore.isValidId(id)) {
+      return res.status(400).json({
+        error: true,
+        message: 'ID de análise inválido',
+        code: 'INVALID_ANALYSIS_ID'
+      });
+    }
+
+    const analysis = await analysisStore.get(id);
+
+    if (!analysis) {
+      return res.status(404).json({
+        error: true,
+        message: 'Análise não encontrada',
+        code: 'ANALYSIS_NOT_FOUND'
+      });
+    }
+
+    if (format) {
+      return analysisExporter.send(res, analysis, format, `safe-cookie-${id}`);
+    }
+
+    res.json(analysis);
+  });
 
   /**
-   * Analisa headers de segurança
-   * @private
+   * Compara duas análises salvas: achados novos, corrigidos e inalterados
    */
-  async _analyzeHeaders(headers, url) {
-    return headerAnalyzer.analyzeHeaders(headers, url);
-  }
+  diffAnalyses = asyncHandler(async (req, res) => {
+    const { a, b } = req.params;
+    const loaded = await this._loadPair(a, b);
+
+    if (loaded.error) {
+      return res.status(loaded.status).json(loaded.error);
+    }
+
+    res.json(analysisDiff.compare(loaded.base, loaded.target));
+  });
 
   /**
-   * Analisa cookies de segurança
-   * @private
+   * Exibe a comparação entre duas análises salvas (HTML ou JSON conforme o Accept)
    */
-  async _analyzeCookies(cookieHeaders, url) {
-    return cookieAnalyzer.analyzeCookies(cookieHeaders, url);
-  }
+  showDiff = asyncHandler(async (req, res) => {
+    const { a, b } = req.params;
+    const loaded = await this._loadPair(a, b);
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+    if (loaded.error) {
+      if (!wantsHtml) {
+        return res.status(loaded.status).json(loaded.error);
+      }
+
+      return res.status(loaded.status).render('pages/diff', {
+        diff: null,
+        title: 'Comparação de Análises',
+        error: {
+          message: loaded.error.message,
+          technical: loaded.error.details,
+          suggestions: ['Verifique se os links das análises estão corretos']
+        }
+      });
+    }
+
+    const diff = analysisDiff.compare(loaded.base, loaded.target);
+
+    if (!wantsHtml) {
+      return res.json(diff);
+    }
+
+    res.render('pages/diff', {
+      diff,
+      title: 'Comparação de Análises',
+      error: null
+    });
+  });
 
   /**
-   * Analisa HTML para vulnerabilidades
-   * @private
+   * Exibe o relatório de uma análise salva (HTML ou JSON conforme o Accept)
    */
-  async _analyzeHTML(htmlContent, url) {
-    // Implementação básica - pode ser expandida
-    const cheerio = require('cheerio');
-    const $ = cheerio.load(htmlContent);
-    
-    const analysis = {
-      url,
-      vulnerabilities: [],
-      recommendations: [],
-      forms: [],
-      scripts: [],
-      score: 80 // Score base para HTML
-    };
-
-    // Analisar formulários
-    $('form').each((i, form) => {
-      const $form = $(form);
-      const method = $form.attr('method')?.toLowerCase() || 'get';
-      const action = $form.attr('action') || '';
-      const hasPasswordField = $form.find('input[type="password"]').length > 0;
-      
-      const formAnalysis = {
-        method,
-        action,
-        hasPasswordField,
-        isSecure: url.startsWith('https://'),
-        vulnerabilities: []
+  showReport = asyncHandler(async (req, res) => {
+    const { analysisId } = req.params;
+    const analysis = await analysisStore.get(analysisId);
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+    if (!analysis) {
+      const error = {
+        message: 'Análise não encontrada',
+        technical: `Nenhuma análise salva com o ID ${analysisId}`,
+        suggestions: ['Verifique se o link está correto', 'Execute uma nova análise']
       };
 
-      // Verificar formulário com senha sem HTTPS
-      if (hasPasswordField && !url.startsWith('https://')) {
-        formAnalysis.vulnerabilities.push({
-          type: 'form_password_no_https',
-          severity: 'critical',
-          message: 'Formulário com campo de senha sem HTTPS',
-          impact: 'Senhas podem ser interceptadas'
-        });
-        analysis.score -= 20;
+      if (!wantsHtml) {
+        return res.status(404).json({ error: true, message: error.message, code: 'ANALYSIS_NOT_FOUND' });
       }
 
-      // Verificar método GET para senhas
-      if (hasPasswordField && method === 'get') {
-        formAnalysis.vulnerabilities.push({
-          type: 'password_in_get',
-          severity: 'critical',
-          message: 'Campo de senha em formulário GET',
-          impact: 'Senha aparecerá na URL e logs do servidor'
-        });
-        analysis.score -= 25;
-      }
+      return res.status(404).render('pages/analysis', {
+        analysis: null,
+        title: 'Análise de Segurança',
+        error
+      });
+    }
 
-      analysis.forms.push(formAnalysis);
-      analysis.vulnerabilities.push(...formAnalysis.vulnerabilities);
+    if (!wantsHtml) {
+      return res.json(analysis);
+    }
+
+    res.render('pages/analysis', {
+      analysis,
+      title: 'Análise de Segurança',
+      error: null
     });
+  });
 
-    // Analisar scripts
-    $('script').each((i, script) => {
-      const $script = $(script);
-      const src = $script.attr('src');
-      
-      if (src) {
-        const scriptAnalysis = {
-          src,
-          isExternal: !src.startsWith('/') && !src.startsWith(url),
-          isHttps: src.startsWith('https://'),
-          vulnerabilities: []
+  /**
+   * Carrega as duas análises de uma comparação
+   * @private
+   */
+  async _loadPair(baseId, targetId) {
+    for (const id of [baseId, targetId]) {
+      if (!analysisStore.isValidId(id)) {
+        return {
+          status: 400,
+          error: { error: true, message: 'ID de análise inválido', code: 'INVALID_ANALYSIS_ID', details: `ID recebido: ${id}` }
         };
+      }
+    }
 
-        // Script externo via HTTP
-        if (scriptAnalysis.isExternal && !scriptAnalysis.isHttps && src.startsWith('http://')) {
-          scriptAnalysis.vulnerabilities.push({
-            type: 'script_http_external',
-            severity: 'high',
-            message: 'Script externo carregado via HTTP',
-            impact: 'Script pode ser modificado por atacantes'
-          });
-          analysis.score -= 15;
-        }
+    const [base, target] = await Promise.all([analysisStore.get(baseId), analysisStore.get(targetId)]);
 
-        analysis.scripts.push(scriptAnalysis);
-        analysis.vulnerabilities.push(...scriptAnalysis.vulnerabilities);
+    for (const [id, analysis] of [[baseId, base], [targetId, target]]) {
+      if (!analysis) {
+        return {
+          status: 404,
+          error: { error: true, message: 'Análise não encontrada', code: 'ANALYSIS_NOT_FOUND', details: `Nenhuma análise salva com o ID ${id}` }
+        };
       }
-    });
-
-    // Verificar meta tags de segurança
-    const hasViewport = $('meta[name="viewport"]').length > 0;
-    const hasCharset = $('meta[charset]').length > 0 || $('meta[http-equiv="Content-Type"]').length > 0;
-    
-    if (!hasCharset) {
-      analysis.vulnerabilities.push({
-        type: 'missing_charset',
-        severity: 'low',
-        message: 'Meta tag charset ausente',
-        impact: 'Pode causar problemas de encoding'
-      });
-      analysis.score -= 5;
     }
 
-    return analysis;
+    return { base, target };
   }
 
   /**
-   * Processa resultado de Promise.allSettled
+   * Monta o corpo de resposta para erros previstos do pipeline
    * @private
    */
-  _processSettledResult(settledResult, category) {
-    if (settledResult.status === 'fulfilled') {
-      return settledResult.value;
-    } else {
-      logger.errorWithContext(settledResult.reason, { category });
-      return {
-        error: true,
-        category,
-        message: `Erro na análise de ${category}`,
-        score: 0,
-        vulnerabilities: [{
-          type: 'analysis_error',
-          severity: 'error',
-          message: `Falha na análise de ${category}: ${settledResult.reason.message}`
-        }]
-      };
-    }
+  _formatAnalysisError(error) {
+    const body = {
+      error: true,
+      message: error.message,
+      code: error.code
+    };
+
+    if (error.details) body.details = error.details;
+    if (error.suggestions) body.suggestions = error.suggestions;
+
+    return body;
   }
 
   /**
-   * Consolida todas as análises em uma estrutura unificada
+   * Formato de relatório pedido via ?format= (null para o padrão JSON/HTML)
    * @private
    */
-  _consolidateAnalysis(analysis) {
-    const { ssl, headers, cookies, html } = analysis;
-
-    // Consolidar vulnerabilidades
-    analysis.vulnerabilities = [
-      ...(ssl.vulnerabilities || []),
-      ...(headers.vulnerabilities || []),
-      ...(cookies.vulnerabilities || []),
-      ...(html.vulnerabilities || [])
-    ];
-
-    // Consolidar recomendações
-    analysis.recommendations = [
-      ...(ssl.recommendations || []),
-      ...(headers.recommendations || []),
-      ...(cookies.recommendations || []),
-      ...(html.recommendations || [])
-    ];
-
-    // Remover duplicatas de recomendações
-    analysis.recommendations = [...new Set(analysis.recommendations)];
-
-    // Adicionar estatísticas
-    analysis.stats = {
-      totalVulnerabilities: analysis.vulnerabilities.length,
-      criticalVulnerabilities: analysis.vulnerabilities.filter(v => v.severity === 'critical').length,
-      highVulnerabilities: analysis.vulnerabilities.filter(v => v.severity === 'high').length,
-      mediumVulnerabilities: analysis.vulnerabilities.filter(v => v.severity === 'medium').length,
-      lowVulnerabilities: analysis.vulnerabilities.filter(v => v.severity === 'low').length,
-      scores: {
-        ssl: ssl.score || 0,
-        headers: headers.score || 0,
-        cookies: cookies.score || 0,
-        html: html.score || 0
-      }
-    };
+  _readFormat(req) {
+    const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : '';
+    return format && format !== 'json' ? format : null;
   }
 
   /**
-   * Calcula score geral baseado em todas as análises
+   * Corpo de resposta para formato de relatório desconhecido
    * @private
    */
-  _calculateOverallScore(analysis) {
-    const { ssl, headers, cookies, html } = analysis;
-    
-    // Pesos para cada categoria
-    const weights = {
-      ssl: 0.25,      // 25%
-      headers: 0.35,  // 35%
-      cookies: 0.25,  // 25%
-      html: 0.15      // 15%
+  _unsupportedFormat(format) {
+    return {
+      error: true,
+      message: `Formato não suportado: ${format}`,
+      code: 'UNSUPPORTED_FORMAT',
+      suggestions: [`Formatos disponíveis: json, ${analysisExporter.formats().join(', ')}`]
     };
-
-    // Scores individuais (0-100)
-    const scores = {
-      ssl: ssl.score || 0,
-      headers: headers.score || 0,
-      cookies: cookies.score || 0,
-      html: html.score || 0
-    };
-
-    // Score ponderado
-    let weightedScore = 0;
-    for (const [category, weight] of Object.entries(weights)) {
-      weightedScore += scores[category] * weight;
-    }
-
-    // Penalizar por vulnerabilidades críticas
-    const criticalCount = analysis.vulnerabilities.filter(v => v.severity === 'critical').length;
-    weightedScore -= Math.min(criticalCount * 10, 30); // Máximo -30 pontos
-
-    // Penalizar se não usa HTTPS
-    if (!analysis.isHttps) {
-      weightedScore -= 15;
-    }
-
-    return Math.max(0, Math.min(100, Math.round(weightedScore)));
   }
 
   /**
-   * Calcula grade baseada no score
+   * Salva a análise no store local e anexa o ID gerado
    * @private
    */
-  _calculateGrade(score) {
-    if (score >= 90) return 'A+';
-    if (score >= 80) return 'A';
-    if (score >= 70) return 'B';
-    if (score >= 60) return 'C';
-    if (score >= 50) return 'D';
-    return 'F';
+  async _storeAnalysis(analysis) {
+    try {
+      analysis.analysisId = await analysisStore.save(analysis);
+    } catch (error) {
+      // Falha de persistência não deve invalidar a análise já realizada
+      logger.errorWithContext(error, { url: analysis.url, operation: 'store_analysis' });
+      analysis.analysisId = null;
+    }
   }
 }
 
@@ -0,0 +1,166 @@
+const batchManager = require('../services/analysis/batchManager');
+const analysisPipeline = require('../services/analysis/analysisPipeline');
+const analysisStore = require('../services/storage/analysisStore');
+const csvExporter = require('../services/export/csvExporter');
+const analysisExporter = require('../services/export/analysisExporter');
+const { BATCH_CONFIG } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Controller para análises em lote
+ */
+class BatchController {
+
+  /**
+   * Cria um lote a partir de uma lista JSON ou de um arquivo texto/CSV enviado no corpo
+   */
+  createBatch = asyncHandler(async (req, res) => {
+    const { urls, options } = this._readBatchInput(req);
+
+    if (urls.length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'Nenhuma URL informada',
+        code: 'MISSING_URLS',
+        suggestions: [
+          'Envie JSON { "urls": ["exemplo.com", ...] }',
+          'Ou envie um arquivo com uma URL por linha (Content-Type: text/plain ou text/csv)'
+        ]
+      });
+    }
+
+    if (urls.length > BATCH_CONFIG.MAX_URLS) {
+      return res.status(413).json({
+        error: true,
+        message: `Máximo de ${BATCH_CONFIG.MAX_URLS} URLs por lote`,
+        code: 'BATCH_TOO_LARGE'
+      });
+    }
+
+    // Validar opções antes de aceitar o lote
+    try {
+      analysisPipeline.normalizeOptions(options);
+    } catch (error) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message,
+        details: error.details,
+        code: error.code
+      });
+    }
+
+    const batch = batchManager.createBatch(urls, options);
+
+    res.status(202).json({
+      batchId: batch.batchId,
+      status: batch.status,
+      total: batch.total,
+      statusUrl: `/api/batch/${batch.batchId}`,
+      exportUrl: `/api/batch/${batch.batchId}/export?format=csv`
+    });
+  });
+
+  /**
+   * Retorna o andamento do lote e a tabela de resumo
+   */
+  getBatch = asyncHandler(async (req, res) => {
+    const batch = batchManager.getBatch(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json(this._notFound());
+    }
+
+    res.json(batchManager.serialize(batch));
+  });
+
+  /**
+   * Exporta a tabela de resumo do lote (CSV ou JSON) ou as análises concluídas (SARIF ou JUnit)
+   */
+  exportBatch = asyncHandler(async (req, res) => {
+    const batch = batchManager.getBatch(req.params.id);
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!batch) {
+      return res.status(404).json(this._notFound());
+    }
+
+    const { summary } = batchManager.serialize(batch);
+
+    if (format === 'json') {
+      return res.json(summary);
+    }
+
+    if (analysisExporter.isSupported(format)) {
+      const analyses = await this._loadAnalyses(summary);
+      const failures = summary
+        .filter(row => row.status === 'failed')
+        .map(row => ({ url: row.url, message: row.error, code: 'ANALYSIS_ERROR' }));
+
+      return analysisExporter.send(res, analyses, format, `safe-cookie-batch-${batch.id}`, failures);
+    }
+
+    if (format !== 'csv') {
+      return res.status(400).json({
+        error: true,
+        message: `Formato não suportado: ${format}`,
+        code: 'UNSUPPORTED_FORMAT',
+        suggestions: [`Formatos disponíveis: csv, json, ${analysisExporter.formats().join(', ')}`]
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=safe-cookie-batch-${batch.id}.csv`);
+    res.send(csvExporter.batchSummaryToCsv(summary));
+  });
+
+  /**
+   * Carrega as análises salvas das linhas concluídas do lote
+   * @private
+   */
+  async _loadAnalyses(summary) {
+    const ids = summary.filter(row => row.analysisId).map(row => row.analysisId);
+    const analyses = await Promise.all(ids.map(id => analysisStore.get(id)));
+
+    return analyses.filter(Boolean);
+  }
+
+  /**
+   * Lê URLs e opções do corpo (JSON com urls/file ou texto puro)
+   * @private
+   */
+  _readBatchInput(req) {
+    if (typeof req.body === 'string') {
+      return { urls: batchManager.parseUrlList(req.body), options: {} };
+    }
+
+    const body = req.body || {};
+    let urls = [];
+
+    if (Array.isArray(body.urls)) {
+      urls = body.urls.filter(url => typeof url === 'string');
+    } else if (typeof body.urls === 'string') {
+      urls = batchManager.parseUrlList(body.urls);
+    }
+
+    // Conteúdo de arquivo enviado como texto dentro do JSON
+    if (typeof body.file === 'string') {
+      urls = urls.concat(batchManager.parseUrlList(body.file));
+    }
+
+    return { urls, options: body.options || {} };
+  }
+
+  /**
+   * Corpo de resposta para lote inexistente ou expirado
+   * @private
+   */
+  _notFound() {
+    return {
+      error: true,
+      message: 'Lote não encontrado ou expirado',
+      code: 'BATCH_NOT_FOUND'
+    };
+  }
+}
+
+module.exports = new BatchController();
@@ -0,0 +1,72 @@
+const hostHistory = require('../services/analysis/hostHistory');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Controller para o histórico de análises por host
+ */
+class HistoryController {
+
+  /**
+   * Retorna scores, grades e achados das análises salvas de um host
+   */
+  getHostHistory = asyncHandler(async (req, res) => {
+    const host = hostHistory.normalizeHost(req.params.host);
+
+    if (!host) {
+      return res.status(400).json(this._invalidHost(req.params.host));
+    }
+
+    res.json(await hostHistory.getHistory(host, { limit: req.query.limit }));
+  });
+
+  /**
+   * Exibe a página de histórico com o gráfico de tendência (HTML ou JSON conforme o Accept)
+   */
+  showHostHistory = asyncHandler(async (req, res) => {
+    const host = hostHistory.normalizeHost(req.params.host);
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+    if (!host) {
+      if (!wantsHtml) {
+        return res.status(400).json(this._invalidHost(req.params.host));
+      }
+
+      return res.status(400).render('pages/history', {
+        history: null,
+        title: 'Histórico de Segurança',
+        error: {
+          message: 'Host inválido',
+          technical: `Valor recebido: ${req.params.host}`,
+          suggestions: ['Informe apenas o host, por exemplo: exemplo.com']
+        }
+      });
+    }
+
+    const history = await hostHistory.getHistory(host, { limit: req.query.limit });
+
+    if (!wantsHtml) {
+      return res.json(history);
+    }
+
+    res.render('pages/history', {
+      history,
+      title: `Histórico de Segurança - ${host}`,
+      error: null
+    });
+  });
+
+  /**
+   * Corpo de resposta para host inválido
+   * @private
+   */
+  _invalidHost(host) {
+    return {
+      error: true,
+      message: 'Host inválido',
+      code: 'INVALID_HOST',
+      details: `Valor recebido: ${host}`
+    };
+  }
+}
+
+module.exports = new HistoryController();
@@ -0,0 +1,137 @@
+const jobManager = require('../services/analysis/jobManager');
+const analysisPipeline = require('../services/analysis/analysisPipeline');
+const { JOB_CONFIG } = require('../utils/constants');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Controller para jobs de análise assíncronos
+ */
+class JobController {
+
+  /**
+   * Cria um job de análise e retorna imediatamente o ID
+   */
+  createJob = asyncHandler(async (req, res) => {
+    const { url, options = {} } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        error: true,
+        message: 'URL é obrigatória',
+        code: 'MISSING_URL'
+      });
+    }
+
+    // Validar opções antes de aceitar o job, para que o erro chegue como 400
+    try {
+      analysisPipeline.normalizeOptions(options);
+    } catch (error) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message,
+        details: error.details,
+        code: error.code
+      });
+    }
+
+    const job = jobManager.createJob(url, options);
+
+    res.status(202).json({
+      jobId: job.jobId,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.jobId}`,
+      eventsUrl: `/api/jobs/${job.jobId}/events`
+    });
+  });
+
+  /**
+   * Retorna o estado atual de um job (e a análise, quando concluído)
+   */
+  getJob = asyncHandler(async (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json(this._notFound());
+    }
+
+    res.json(jobManager.serialize(job));
+  });
+
+  /**
+   * Transmite o progresso do job via Server-Sent Events
+   */
+  streamEvents = (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json(this._notFound());
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    let closed = false;
+    let unsubscribe = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      res.end();
+    };
+
+    const send = (event) => {
+      if (closed) return;
+      this._write(res, `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+
+      if (jobManager.isTerminalEvent(event)) {
+        close();
+      }
+    };
+
+    // Comentários periódicos mantêm a conexão aberta em proxies
+    const heartbeat = setInterval(() => this._write(res, ': keep-alive\n\n'), JOB_CONFIG.SSE_HEARTBEAT);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+    unsubscribe = jobManager.subscribe(job.id, send, lastEventId);
+
+    if (closed) {
+      unsubscribe();
+    } else if (jobManager.isFinished(job)) {
+      // Cliente reconectou depois do evento final: nada mais a enviar
+      close();
+    }
+
+    req.on('close', close);
+  };
+
+  /**
+   * Escreve no stream e força o envio (middleware de compressão faz buffer)
+   * @private
+   */
+  _write(res, chunk) {
+    res.write(chunk);
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  }
+
+  /**
+   * Corpo de resposta para job inexistente ou expirado
+   * @private
+   */
+  _notFound() {
+    return {
+      error: true,
+      message: 'Job não encontrado ou expirado',
+      code: 'JOB_NOT_FOUND'
+    };
+  }
+}
+
+module.exports = new JobController();
@@ -1,10 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const analysisController = require('../controllers/analysisController');
+const jobController = require('../controllers/jobController');
+const batchController = require('../controllers/batchController');
+const historyController = require('../controllers/historyController');
+const ruleRegistry = require('../services/rules/ruleRegistry');
 
 // API endpoints para análise
 router.post('/analyze', analysisController.analyzeUrl);
 router.get('/check-url', analysisController.checkUrlStatus);
+router.get('/analyses/:id', analysisController.getAnalysis);
+router.get('/analyses/:a/diff/:b', analysisController.diffAnalyses);
+
+// Histórico de scores e achados por host
+router.get('/hosts/:host/history', historyController.getHostHistory);
+
+// Jobs de análise assíncronos com progresso via SSE
+router.post('/jobs', jobController.createJob);
+router.get('/jobs/:id', jobController.getJob);
+router.get('/jobs/:id/events', jobController.streamEvents);
+
+// Análise em lote (JSON ou arquivo texto/CSV com uma URL por linha)
+router.post('/batch', express.text({ type: ['text/plain', 'text/csv'], limit: '1mb' }), batchController.createBatch);
+router.get('/batch/:id', batchController.getBatch);
+router.get('/batch/:id/export', batchController.exportBatch);
+
+// Regras de segurança registradas (embutidas e customizadas de rules/)
+router.get('/rules', (req, res) => {
+  res.json({ rules: ruleRegistry.list() });
+});
 
 // Endpoint de health check
 router.get('/health', (req, res) => {
@@ -23,8 +47,18 @@ router.get('/info', (req, res) => {
     version: '2.0.0',
     description: 'API para análise de segurança web',
     endpoints: {
-      'POST /api/analyze': 'Executa análise completa de uma URL',
+      'POST /api/analyze': 'Executa análise de uma URL (options: checkSSL, checkHeaders, checkCookies, checkHtml, timeout, maxRedirects, retries, userAgent, headers, policy, sessionSamples, compareSchemes, probeCors, corsPaths, hstsPreload; format=json|sarif|junit)',
       'GET /api/check-url': 'Verifica status básico de uma URL',
+      'GET /api/analyses/:id': 'Retorna uma análise salva (format=json|sarif|junit)',
+      'GET /api/analyses/:a/diff/:b': 'Compara duas análises salvas (achados novos, corrigidos e inalterados, cookies, headers, certificado e scores)',
+      'GET /api/hosts/:host/history': 'Histórico de scores, grades e achados das análises salvas de um host (limit)',
+      'POST /api/jobs': 'Inicia análise em segundo plano e retorna o ID do job',
+      'GET /api/jobs/:id': 'Estado atual de um job de análise',
+      'GET /api/jobs/:id/events': 'Progresso do job via Server-Sent Events',
+      'POST /api/batch': 'Inicia análise em lote (JSON { urls } ou arquivo texto/CSV)',
+      'GET /api/batch/:id': 'Andamento e tabela de resumo do lote',
+      'GET /api/batch/:id/export': 'Exporta o resumo do lote (format=csv|json) ou as análises concluídas (format=sarif|junit)',
+      'GET /api/rules': 'Lista as regras de segurança (embutidas e customizadas)',
       'GET /api/health': 'Health check do sistema',
       'GET /api/info': 'Informações da API',
       'GET /api/stats': 'Estatísticas da aplicação'
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const historyController = require('../controllers/historyController');
+
+// Histórico de análises de um host com gráfico de tendência
+router.get('/:host/history', historyController.showHostHistory);
+
+module.exports = router;
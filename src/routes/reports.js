@@ -1,12 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const analysisController = require('../controllers/analysisController');
 
-// Rota para relatórios (implementação futura)
-router.get('/:analysisId', (req, res) => {
-  res.json({ 
-    message: 'Reports functionality coming soon',
-    analysisId: req.params.analysisId 
-  });
-});
+// Relatório de uma análise salva (link compartilhável)
+router.get('/:analysisId', analysisController.showReport);
+
+// Comparação entre duas análises salvas (antes/depois)
+router.get('/:a/diff/:b', analysisController.showDiff);
 
 module.exports = router;
@@ -0,0 +1,302 @@
+const { ANALYSIS_CATEGORIES } = require('../../utils/constants');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Atributos de cookie comparados entre duas análises
+ */
+const COOKIE_ATTRIBUTES = {
+  secure: 'Secure',
+  httpOnly: 'HttpOnly',
+  sameSite: 'SameSite',
+  partitioned: 'Partitioned',
+  expiry: 'Expiração',
+  domain: 'Domain',
+  path: 'Path'
+};
+
+/**
+ * Comparação entre duas análises salvas (antes/depois de um deploy)
+ */
+class AnalysisDiff {
+
+  /**
+   * Compara duas análises
+   * @param {Object} base - Análise de referência (antes)
+   * @param {Object} target - Análise comparada (depois)
+   * @returns {Object} - Achados novos/corrigidos/inalterados, mudanças de cookies, headers, certificado e scores
+   */
+  compare(base, target) {
+    const findings = this._diffFindings(base.vulnerabilities || [], target.vulnerabilities || []);
+
+    return {
+      base: this._describe(base),
+      target: this._describe(target),
+      sameHost: this._hostOf(base) === this._hostOf(target),
+      scores: this._diffScores(base, target),
+      summary: {
+        new: findings.new.length,
+        fixed: findings.fixed.length,
+        unchanged: findings.unchanged.length
+      },
+      findings,
+      cookies: this._diffCookies(base.cookies?.cookies || [], target.cookies?.cookies || []),
+      headers: this._diffHeaders(base.headers?.details || {}, target.headers?.details || {}),
+      certificate: this._diffCertificate(base.ssl?.certificate, target.ssl?.certificate)
+    };
+  }
+
+  /**
+   * Assunto de uma vulnerabilidade (cookie, header, formulário ou script de origem)
+   * @param {Object} vuln - Vulnerabilidade
+   * @returns {string|null}
+   */
+  subjectOf(vuln) {
+    if (vuln.cookie) return `cookie:${vuln.cookie}`;
+    if (vuln.header) return `header:${vuln.header.toLowerCase()}`;
+    if (vuln.form !== undefined) return `form:${vuln.form}`;
+    if (vuln.script) return `script:${vuln.script}`;
+    return null;
+  }
+
+  /**
+   * Alinha vulnerabilidades por tipo e assunto
+   * Achados repetidos com a mesma chave são pareados pela quantidade
+   * @private
+   */
+  _diffFindings(baseVulns, targetVulns) {
+    const remaining = new Map();
+
+    for (const vuln of baseVulns) {
+      const key = this._findingKey(vuln);
+      if (!remaining.has(key)) remaining.set(key, []);
+      remaining.get(key).push(vuln);
+    }
+
+    const result = { new: [], fixed: [], unchanged: [] };
+
+    for (const vuln of targetVulns) {
+      const matches = remaining.get(this._findingKey(vuln));
+
+      if (matches && matches.length > 0) {
+        const previous = matches.shift();
+        result.unchanged.push({ ...this._describeFinding(vuln), previousSeverity: previous.severity });
+      } else {
+        result.new.push(this._describeFinding(vuln));
+      }
+    }
+
+    for (const matches of remaining.values()) {
+      result.fixed.push(...matches.map(vuln => this._describeFinding(vuln)));
+    }
+
+    return result;
+  }
+
+  /**
+   * Variação do score geral e por categoria (null para categoria desativada em uma das análises)
+   * @private
+   */
+  _diffScores(base, target) {
+    const scores = {
+      overall: this._delta(base.score, target.score)
+    };
+
+    for (const category of Object.keys(ANALYSIS_CATEGORIES)) {
+      scores[category] = this._delta(base.stats?.scores?.[category], target.stats?.scores?.[category]);
+    }
+
+    return scores;
+  }
+
+  /**
+   * Cookies adicionados, removidos e com atributos alterados
+   * @private
+   */
+  _diffCookies(baseCookies, targetCookies) {
+    const before = new Map(baseCookies.map(cookie => [cookie.name, cookie]));
+    const after = new Map(targetCookies.map(cookie => [cookie.name, cookie]));
+    const result = { added: [], removed: [], changed: [] };
+
+    for (const [name, cookie] of after) {
+      if (!before.has(name)) {
+        result.added.push(name);
+        continue;
+      }
+
+      const previous = before.get(name);
+      const changes = [];
+
+      for (const [attribute, label] of Object.entries(COOKIE_ATTRIBUTES)) {
+        const from = this._cookieAttribute(previous, attribute);
+        const to = this._cookieAttribute(cookie, attribute);
+
+        if (from !== to) {
+          changes.push({ attribute, label, before: from, after: to });
+        }
+      }
+
+      if (changes.length > 0) {
+        result.changed.push({ name, changes });
+      }
+    }
+
+    for (const name of before.keys()) {
+      if (!after.has(name)) result.removed.push(name);
+    }
+
+    return result;
+  }
+
+  /**
+   * Headers de segurança adicionados, removidos e com valor alterado
+   * @private
+   */
+  _diffHeaders(baseDetails, targetDetails) {
+    const result = { added: [], removed: [], changed: [] };
+
+    for (const [name, detail] of Object.entries(targetDetails)) {
+      const previous = baseDetails[name];
+
+      if (!previous) {
+        result.added.push({ name, value: detail.value });
+      } else if (previous.value !== detail.value) {
+        result.changed.push({ name, before: previous.value, after: detail.value });
+      }
+    }
+
+    for (const [name, detail] of Object.entries(baseDetails)) {
+      if (!targetDetails[name]) result.removed.push({ name, value: detail.value });
+    }
+
+    return result;
+  }
+
+  /**
+   * Detecta troca de certificado pelo fingerprint SHA-256 (ou número de série)
+   * @private
+   */
+  _diffCertificate(baseCert, targetCert) {
+    const before = this._describeCertificate(baseCert);
+    const after = this._describeCertificate(targetCert);
+
+    if (!before || !after) {
+      return { compared: false, rotated: false, before, after };
+    }
+
+    const rotated = before.fingerprint256 && after.fingerprint256
+      ? before.fingerprint256 !== after.fingerprint256
+      : before.serialNumber !== after.serialNumber;
+
+    return { compared: true, rotated, before, after };
+  }
+
+  /**
+   * Valor comparável de um atributo de cookie
+   * A expiração é comparada em dias para não acusar mudança a cada análise de um Expires relativo
+   * @private
+   */
+  _cookieAttribute(cookie, attribute) {
+    if (attribute === 'expiry') {
+      if (!cookie.isPersistent) return 'sessão';
+      return `${Math.round((cookie.duration || 0) / DAY_MS)} dia(s)`;
+    }
+
+    // Análises anteriores ao suporte a CHIPS não registram o atributo
+    if (attribute === 'partitioned') {
+      return !!cookie.partitioned;
+    }
+
+    if (attribute === 'sameSite') {
+      return cookie.sameSite ? String(cookie.sameSite).toLowerCase() : null;
+    }
+
+    return cookie[attribute] ?? null;
+  }
+
+  /**
+   * Dados do certificado relevantes para a comparação
+   * @private
+   */
+  _describeCertificate(cert) {
+    if (!cert || cert.error || (!cert.fingerprint256 && !cert.serialNumber)) {
+      return null;
+    }
+
+    return {
+      fingerprint256: cert.fingerprint256 || null,
+      serialNumber: cert.serialNumber || null,
+      issuer: cert.issuer?.CN || cert.issuer?.O || null,
+      validTo: cert.validTo || null,
+      daysUntilExpiry: cert.daysUntilExpiry ?? null
+    };
+  }
+
+  /**
+   * Campos de identificação de uma análise
+   * @private
+   */
+  _describe(analysis) {
+    return {
+      analysisId: analysis.analysisId,
+      url: analysis.url,
+      timestamp: analysis.timestamp,
+      score: analysis.score,
+      grade: analysis.grade
+    };
+  }
+
+  /**
+   * Campos de uma vulnerabilidade exibidos na comparação
+   * @private
+   */
+  _describeFinding(vuln) {
+    const finding = {
+      type: vuln.type,
+      subject: this.subjectOf(vuln),
+      severity: vuln.severity,
+      message: vuln.message
+    };
+
+    if (vuln.accepted) finding.accepted = true;
+
+    return finding;
+  }
+
+  /**
+   * Chave de alinhamento: tipo + assunto
+   * @private
+   */
+  _findingKey(vuln) {
+    return `${vuln.type}|${this.subjectOf(vuln) || ''}`;
+  }
+
+  /**
+   * Scores antes/depois e a diferença
+   * @private
+   */
+  _delta(before, after) {
+    const from = typeof before === 'number' ? before : null;
+    const to = typeof after === 'number' ? after : null;
+
+    return {
+      before: from,
+      after: to,
+      delta: from !== null && to !== null ? to - from : null
+    };
+  }
+
+  /**
+   * Host da URL analisada
+   * @private
+   */
+  _hostOf(analysis) {
+    try {
+      return new URL(analysis.url).host.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new AnalysisDiff();
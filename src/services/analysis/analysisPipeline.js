@@ -0,0 +1,647 @@
+const urlValidator = require('../network/urlValidator');
+const httpClient = require('../network/httpClient');
+const sslAnalyzer = require('../security/sslAnalyzer');
+const headerAnalyzer = require('../security/headerAnalyzer');
+const cookieAnalyzer = require('../security/cookieAnalyzer');
+const htmlAnalyzer = require('../security/htmlAnalyzer');
+const policyEngine = require('../policy/policyEngine');
+const sessionEntropy = require('../security/sessionEntropy');
+const schemeComparison = require('../security/schemeComparison');
+const corsProbe = require('../security/corsProbe');
+const hstsPreload = require('../security/hstsPreload');
+const { TIMEOUTS, ANALYSIS_CONFIG } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+/**
+ * Fases executadas por uma análise completa, na ordem em que são reportadas
+ */
+const ANALYSIS_PHASES = ['url_validation', 'http_fetch', 'ssl', 'headers', 'cookies', 'html'];
+
+/**
+ * Opção que liga/desliga cada categoria de análise
+ */
+const CATEGORY_OPTIONS = {
+  ssl: 'checkSSL',
+  headers: 'checkHeaders',
+  cookies: 'checkCookies',
+  html: 'checkHtml'
+};
+
+/**
+ * Pesos de cada categoria no score geral
+ */
+const CATEGORY_WEIGHTS = {
+  ssl: 0.25,      // 25%
+  headers: 0.35,  // 35%
+  cookies: 0.25,  // 25%
+  html: 0.15      // 15%
+};
+
+/**
+ * Analisador de cada categoria, usado para recalcular o score sem os achados aceitos pela política
+ */
+const CATEGORY_ANALYZERS = {
+  ssl: sslAnalyzer,
+  headers: headerAnalyzer,
+  cookies: cookieAnalyzer,
+  html: htmlAnalyzer
+};
+
+/**
+ * Pipeline de análise de segurança, independente do Express
+ */
+class AnalysisPipeline {
+
+  /**
+   * Executa todas as fases da análise de uma URL
+   * @param {string} url - URL fornecida pelo usuário
+   * @param {Object} options - Opções da análise (ver normalizeOptions)
+   * @param {Function} onPhase - Callback chamado ao fim de cada fase (phase, data)
+   * @returns {Promise<Object>} - Análise consolidada
+   */
+  async run(url, options = {}, onPhase = () => {}) {
+    const startTime = Date.now();
+    const analysisOptions = this.normalizeOptions(options);
+    const { categories } = analysisOptions;
+
+    logger.analysis(url, 'analysis_start');
+
+    // Fase 1: Validação e normalização da URL
+    const urlValidation = await urlValidator.validateAndNormalize(url);
+
+    if (!urlValidation.isValid) {
+      throw this._createAnalysisError('URL inválida', 'INVALID_URL', 400, {
+        details: urlValidation.errors,
+        suggestions: urlValidation.suggestions
+      });
+    }
+
+    const validatedUrl = urlValidation.url;
+    logger.analysis(validatedUrl, 'url_validated', { 
+      originalUrl: url,
+      isHttps: urlValidation.isHttps 
+    });
+    onPhase('url_validation', { url: validatedUrl, isHttps: urlValidation.isHttps });
+
+    // Fase 2: Requisição HTTP
+    const httpResponse = await httpClient.get(validatedUrl, analysisOptions.request);
+    logger.analysis(validatedUrl, 'http_response_received', { 
+      status: httpResponse.status,
+      size: httpResponse.size.total 
+    });
+
+    // Verificar se a resposta HTTP é utilizável
+    this._assertUsableResponse(httpResponse);
+    onPhase('http_fetch', { httpStatus: httpResponse.status, finalUrl: httpResponse.finalUrl });
+
+    // Fase 3: Análises paralelas (cada uma reportada assim que termina)
+    const track = (phase, promise) => promise.then(
+      (result) => {
+        onPhase(phase, { score: result?.score });
+        return result;
+      },
+      (error) => {
+        onPhase(phase, { error: error.message });
+        throw error;
+      }
+    );
+
+    // Categorias desativadas nas opções não são executadas
+    const runCategory = (phase, analyze) => {
+      if (!categories[phase]) {
+        onPhase(phase, { skipped: true });
+        return Promise.resolve(this._skippedResult(phase));
+      }
+      return track(phase, analyze());
+    };
+
+    const analysisPromises = [
+      runCategory('ssl', () => this._analyzeSSL(validatedUrl, urlValidation.isHttps, analysisOptions.request)),
+      runCategory('headers', () => this._analyzeHeaders(httpResponse.headers, validatedUrl, analysisOptions)),
+      runCategory('cookies', () => this._analyzeCookies(httpResponse, validatedUrl, analysisOptions)),
+      runCategory('html', () => this._analyzeHTML(httpResponse.data, validatedUrl))
+    ];
+
+    const [sslAnalysis, headerAnalysis, cookieAnalysis, htmlAnalysis] = 
+      await Promise.allSettled(analysisPromises);
+
+    // Consolidar resultados
+    const analysis = {
+      url: validatedUrl,
+      originalUrl: url,
+      timestamp: new Date().toISOString(),
+      httpStatus: httpResponse.status,
+      isHttps: urlValidation.isHttps,
+      redirected: httpResponse.wasRedirected,
+      finalUrl: httpResponse.finalUrl,
+      redirectChain: (httpResponse.redirectChain || []).map(hop => ({
+        url: hop.url,
+        status: hop.status,
+        location: hop.location,
+        cookies: hop.cookies
+      })),
+      options: this._describeOptions(analysisOptions),
+      
+      ssl: this._processSettledResult(sslAnalysis, 'SSL'),
+      headers: this._processSettledResult(headerAnalysis, 'Headers'),
+      cookies: this._processSettledResult(cookieAnalysis, 'Cookies'),
+      html: this._processSettledResult(htmlAnalysis, 'HTML'),
+      
+      vulnerabilities: [],
+      recommendations: [],
+      score: 0,
+      grade: 'F'
+    };
+
+    // Consolidar vulnerabilidades e recomendações
+    this._consolidateAnalysis(analysis);
+
+    // Calcular score e grade finais
+    analysis.score = this._calculateOverallScore(analysis);
+    analysis.grade = this._calculateGrade(analysis.score);
+
+    // Política da equipe: riscos aceitos saem dos scores antes dos critérios de aprovação
+    if (analysisOptions.policy) {
+      policyEngine.applySuppressions(analysis, analysisOptions.policy);
+      this._scoreOpenFindings(analysis);
+      analysis.policy = policyEngine.evaluate(analysis, analysisOptions.policy);
+      analysis.stats.acceptedVulnerabilities = analysis.policy.acceptedCount;
+    }
+
+    const duration = Date.now() - startTime;
+    logger.performance('complete_analysis', duration, { 
+      url: validatedUrl, 
+      score: analysis.score,
+      vulnerabilityCount: analysis.vulnerabilities.length
+    });
+
+    logger.analysis(validatedUrl, 'analysis_complete', { 
+      score: analysis.score,
+      grade: analysis.grade,
+      duration 
+    });
+
+    return analysis;
+  }
+
+  /**
+   * Valida as opções recebidas e aplica os valores padrão
+   * @param {Object} options - Opções enviadas pelo cliente
+   * @param {boolean} options.checkSSL - Analisar SSL/TLS (padrão: true)
+   * @param {boolean} options.checkHeaders - Analisar headers de segurança (padrão: true)
+   * @param {boolean} options.checkCookies - Analisar cookies (padrão: true)
+   * @param {boolean} options.checkHtml - Analisar HTML (padrão: true)
+   * @param {number} options.timeout - Timeout da requisição em ms
+   * @param {number} options.maxRedirects - Máximo de redirecionamentos seguidos
+   * @param {number} options.retries - Tentativas da requisição HTTP
+   * @param {string} options.userAgent - User-Agent fixo (padrão: rotativo)
+   * @param {Object} options.headers - Headers extras enviados na requisição
+   * @param {Object} options.policy - Política de aprovação e supressões (ver policyEngine)
+   * @param {number} options.sessionSamples - Sessões novas usadas na estimativa de entropia (padrão: 0, desativado)
+   * @param {boolean} options.compareSchemes - Comparar cookies das variantes http:// e https:// (padrão: false)
+   * @param {boolean} options.probeCors - Sondar CORS com headers Origin forjados (padrão: false)
+   * @param {Array<string>} options.corsPaths - Paths de API sondados além da URL analisada (ativam probeCors)
+   * @param {boolean} options.hstsPreload - Verificar elegibilidade do domínio para HSTS preload (padrão: false)
+   * @returns {Object} - Opções normalizadas ({ categories, request, policy, sessionSamples, compareSchemes, cors, hstsPreload })
+   */
+  normalizeOptions(options = {}) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      throw this._invalidOptions(['options deve ser um objeto']);
+    }
+
+    const errors = [];
+    const categories = {};
+
+    for (const [category, optionName] of Object.entries(CATEGORY_OPTIONS)) {
+      const value = options[optionName];
+      if (value !== undefined && typeof value !== 'boolean') {
+        errors.push(`${optionName} deve ser booleano`);
+      }
+      categories[category] = value !== false;
+    }
+
+    if (!Object.values(categories).some(Boolean)) {
+      errors.push('Ao menos uma categoria de análise deve estar ativada');
+    }
+
+    const request = {
+      timeout: this._integerOption(options.timeout, 'timeout', TIMEOUTS.HTTP_REQUEST,
+        ANALYSIS_CONFIG.MIN_TIMEOUT, ANALYSIS_CONFIG.MAX_TIMEOUT, errors),
+      maxRedirects: this._integerOption(options.maxRedirects, 'maxRedirects', ANALYSIS_CONFIG.MAX_REDIRECTS,
+        0, ANALYSIS_CONFIG.MAX_REDIRECTS_LIMIT, errors),
+      retries: this._integerOption(options.retries, 'retries', ANALYSIS_CONFIG.DEFAULT_RETRIES,
+        1, ANALYSIS_CONFIG.MAX_RETRIES, errors),
+      headers: this._headersOption(options.headers, errors)
+    };
+
+    if (options.userAgent !== undefined) {
+      if (typeof options.userAgent !== 'string' || !options.userAgent.trim() || /[\r\n]/.test(options.userAgent)) {
+        errors.push('userAgent deve ser um texto de uma linha');
+      } else {
+        request.userAgent = options.userAgent.trim();
+      }
+    }
+
+    const sessionSamples = this._integerOption(options.sessionSamples, 'sessionSamples', 0,
+      0, ANALYSIS_CONFIG.MAX_SESSION_SAMPLES, errors);
+
+    if (options.compareSchemes !== undefined && typeof options.compareSchemes !== 'boolean') {
+      errors.push('compareSchemes deve ser booleano');
+    }
+    const compareSchemes = options.compareSchemes === true;
+
+    if (options.probeCors !== undefined && typeof options.probeCors !== 'boolean') {
+      errors.push('probeCors deve ser booleano');
+    }
+    const corsPaths = this._corsPathsOption(options.corsPaths, errors);
+    const cors = options.probeCors === true || corsPaths.length > 0 ? { paths: corsPaths } : null;
+
+    if (options.hstsPreload !== undefined && typeof options.hstsPreload !== 'boolean') {
+      errors.push('hstsPreload deve ser booleano');
+    }
+    const hstsPreload = options.hstsPreload === true;
+
+    let policy = null;
+    if (options.policy !== undefined && options.policy !== null) {
+      try {
+        policy = policyEngine.normalize(options.policy);
+      } catch (error) {
+        errors.push(...(error.details || [error.message]).map(detail => `policy: ${detail}`));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw this._invalidOptions(errors);
+    }
+
+    return { categories, request, policy, sessionSamples, compareSchemes, cors, hstsPreload };
+  }
+
+  /**
+   * Valida opção numérica inteira dentro de um intervalo
+   * @private
+   */
+  _integerOption(value, name, defaultValue, min, max, errors) {
+    if (value === undefined || value === null) {
+      return defaultValue;
+    }
+
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${name} deve ser um inteiro entre ${min} e ${max}`);
+      return defaultValue;
+    }
+
+    return value;
+  }
+
+  /**
+   * Valida headers extras da requisição
+   * @private
+   */
+  _headersOption(headers, errors) {
+    if (headers === undefined || headers === null) {
+      return {};
+    }
+
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+      errors.push('headers deve ser um objeto { nome: valor }');
+      return {};
+    }
+
+    const entries = Object.entries(headers);
+    if (entries.length > ANALYSIS_CONFIG.MAX_CUSTOM_HEADERS) {
+      errors.push(`Máximo de ${ANALYSIS_CONFIG.MAX_CUSTOM_HEADERS} headers extras`);
+      return {};
+    }
+
+    const valid = {};
+    for (const [name, value] of entries) {
+      if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+        errors.push(`Nome de header inválido: ${name}`);
+      } else if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+        errors.push(`Valor inválido para o header ${name}`);
+      } else {
+        valid[name] = value;
+      }
+    }
+
+    return valid;
+  }
+
+  /**
+   * Valida os paths de API da sondagem CORS (sempre na origem analisada)
+   * @private
+   */
+  _corsPathsOption(paths, errors) {
+    if (paths === undefined || paths === null) {
+      return [];
+    }
+
+    if (!Array.isArray(paths)) {
+      errors.push('corsPaths deve ser uma lista de paths');
+      return [];
+    }
+
+    if (paths.length > ANALYSIS_CONFIG.MAX_CORS_PATHS) {
+      errors.push(`Máximo de ${ANALYSIS_CONFIG.MAX_CORS_PATHS} paths em corsPaths`);
+      return [];
+    }
+
+    const valid = [];
+    for (const path of paths) {
+      if (typeof path !== 'string' || !/^\/(?!\/)[^\s\\]*$/.test(path)) {
+        errors.push(`Path inválido em corsPaths: ${path} (use /caminho)`);
+      } else {
+        valid.push(path);
+      }
+    }
+
+    return valid;
+  }
+
+  /**
+   * Cria erro para opções inválidas
+   * @private
+   */
+  _invalidOptions(details) {
+    return this._createAnalysisError('Opções de análise inválidas', 'INVALID_OPTIONS', 400, { details });
+  }
+
+  /**
+   * Descreve as opções usadas, sem valores de headers (podem conter credenciais)
+   * @private
+   */
+  _describeOptions(analysisOptions) {
+    const { categories, request, sessionSamples, compareSchemes, cors, hstsPreload } = analysisOptions;
+
+    return {
+      categories,
+      timeout: request.timeout,
+      maxRedirects: request.maxRedirects,
+      retries: request.retries,
+      userAgent: request.userAgent || null,
+      requestHeaders: Object.keys(request.headers),
+      sessionSamples,
+      compareSchemes,
+      corsPaths: cors ? cors.paths : null,
+      hstsPreload
+    };
+  }
+
+  /**
+   * Resultado de uma categoria desativada nas opções
+   * @private
+   */
+  _skippedResult(category) {
+    return {
+      skipped: true,
+      category,
+      message: 'Categoria não analisada (desativada nas opções)',
+      score: null,
+      vulnerabilities: [],
+      recommendations: []
+    };
+  }
+
+  /**
+   * Rejeita respostas HTTP que não permitem análise
+   * @private
+   */
+  _assertUsableResponse(httpResponse) {
+    if (httpResponse.status === 429) {
+      throw this._createAnalysisError('Site bloqueou muitas requisições', 'RATE_LIMITED', 429, {
+        suggestions: ['Aguarde alguns minutos e tente novamente']
+      });
+    }
+
+    if (httpResponse.status >= 500) {
+      throw this._createAnalysisError('Servidor do site está com problemas', 'SERVER_ERROR', 500, {
+        suggestions: ['Tente novamente mais tarde']
+      });
+    }
+
+    if (httpResponse.status >= 400) {
+      throw this._createAnalysisError(
+        `Site retornou erro: ${httpResponse.status} ${httpResponse.statusText}`,
+        'HTTP_ERROR',
+        400,
+        { suggestions: ['Verifique se a URL está correta'] }
+      );
+    }
+  }
+
+  /**
+   * Cria erro de análise com código e status HTTP para a camada de rotas
+   * @private
+   */
+  _createAnalysisError(message, code, statusCode, extra = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    error.userMessage = message;
+    Object.assign(error, extra);
+    return error;
+  }
+
+  /**
+   * Analisa SSL se a URL usar HTTPS
+   * @private
+   */
+  async _analyzeSSL(url, isHttps, requestOptions = {}) {
+    if (!isHttps) {
+      return {
+        isSecure: false,
+        reason: 'URL não usa HTTPS',
+        score: 0,
+        recommendations: ['Use HTTPS para proteger a comunicação']
+      };
+    }
+
+    return await sslAnalyzer.analyzeSSL(url, { timeout: requestOptions.timeout });
+  }
+
+  /**
+   * Analisa headers de segurança
+   * Com probeCors, sonda também a URL e os paths de API com origens forjadas
+   * Com hstsPreload, acessa o domínio registrável e o www para o checklist de preload
+   * As duas verificações são independentes e rodam em paralelo
+   * @private
+   */
+  async _analyzeHeaders(headers, url, analysisOptions) {
+    const [cors, preload] = await Promise.all([
+      analysisOptions.cors ? corsProbe.probe(url, analysisOptions.cors.paths, analysisOptions.request) : null,
+      analysisOptions.hstsPreload ? hstsPreload.assess(url, analysisOptions.request) : null
+    ]);
+
+    return headerAnalyzer.analyzeHeaders(headers, url, { cors, preload });
+  }
+
+  /**
+   * Analisa cookies de segurança da resposta final e dos redirecionamentos
+   * Com sessionSamples, coleta sessões novas para estimar a entropia dos identificadores
+   * Com compareSchemes, busca também a variante http:// do site
+   * @private
+   */
+  async _analyzeCookies(httpResponse, url, analysisOptions) {
+    const redirectChain = httpResponse.redirectChain || [];
+    const hasCookies = httpResponse.cookies.length > 0 || redirectChain.some(hop => hop.cookies.length > 0);
+
+    let sessionSamples = null;
+    if (analysisOptions.sessionSamples > 0 && hasCookies) {
+      // A resposta principal já é a primeira amostra
+      sessionSamples = await sessionEntropy.collectSamples(url, analysisOptions.sessionSamples - 1, analysisOptions.request);
+    }
+
+    const httpVariant = analysisOptions.compareSchemes
+      ? await schemeComparison.fetchHttpVariant(url, analysisOptions.request)
+      : null;
+
+    return cookieAnalyzer.analyzeCookies(httpResponse.cookies, httpResponse.finalUrl || url, {
+      redirectChain,
+      sessionSamples,
+      httpVariant
+    });
+  }
+
+  /**
+   * Analisa HTML para vulnerabilidades
+   * @private
+   */
+  async _analyzeHTML(htmlContent, url) {
+    return htmlAnalyzer.analyzeHTML(htmlContent, url);
+  }
+
+  /**
+   * Processa resultado de Promise.allSettled
+   * @private
+   */
+  _processSettledResult(settledResult, category) {
+    if (settledResult.status === 'fulfilled') {
+      return settledResult.value;
+    } else {
+      logger.errorWithContext(settledResult.reason, { category });
+      return {
+        error: true,
+        category,
+        message: `Erro na análise de ${category}`,
+        score: 0,
+        vulnerabilities: [{
+          type: 'analysis_error',
+          severity: 'error',
+          message: `Falha na análise de ${category}: ${settledResult.reason.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Consolida todas as análises em uma estrutura unificada
+   * @private
+   */
+  _consolidateAnalysis(analysis) {
+    const { ssl, headers, cookies, html } = analysis;
+
+    // Consolidar vulnerabilidades
+    analysis.vulnerabilities = [
+      ...(ssl.vulnerabilities || []),
+      ...(headers.vulnerabilities || []),
+      ...(cookies.vulnerabilities || []),
+      ...(html.vulnerabilities || [])
+    ];
+
+    // Consolidar recomendações
+    analysis.recommendations = [
+      ...(ssl.recommendations || []),
+      ...(headers.recommendations || []),
+      ...(cookies.recommendations || []),
+      ...(html.recommendations || [])
+    ];
+
+    // Remover duplicatas de recomendações
+    analysis.recommendations = [...new Set(analysis.recommendations)];
+
+    // Adicionar estatísticas
+    analysis.stats = {
+      totalVulnerabilities: analysis.vulnerabilities.length,
+      criticalVulnerabilities: analysis.vulnerabilities.filter(v => v.severity === 'critical').length,
+      highVulnerabilities: analysis.vulnerabilities.filter(v => v.severity === 'high').length,
+      mediumVulnerabilities: analysis.vulnerabilities.filter(v => v.severity === 'medium').length,
+      lowVulnerabilities: analysis.vulnerabilities.filter(v => v.severity === 'low').length,
+      scores: {
+        ssl: ssl.skipped ? null : ssl.score || 0,
+        headers: headers.skipped ? null : headers.score || 0,
+        cookies: cookies.skipped ? null : cookies.score || 0,
+        html: html.skipped ? null : html.score || 0
+      }
+    };
+  }
+
+  /**
+   * Recalcula os scores das categorias e o geral sem as vulnerabilidades aceitas
+   * Os valores calculados com todos os achados ficam em rawScore (e rawGrade)
+   * @private
+   */
+  _scoreOpenFindings(analysis) {
+    analysis.rawScore = analysis.score;
+    analysis.rawGrade = analysis.grade;
+
+    for (const [category, analyzer] of Object.entries(CATEGORY_ANALYZERS)) {
+      const section = analysis[category];
+      if (section.skipped || section.error) continue;
+
+      section.rawScore = section.score;
+      if (!(section.vulnerabilities || []).some(vuln => vuln.accepted)) continue;
+
+      section.score = analyzer.scoreOpenFindings(section);
+      if (section.grade) section.grade = this._calculateGrade(section.score);
+      analysis.stats.scores[category] = section.score;
+    }
+
+    analysis.score = this._calculateOverallScore(analysis);
+    analysis.grade = this._calculateGrade(analysis.score);
+  }
+
+  /**
+   * Calcula score geral baseado em todas as análises
+   * @private
+   */
+  _calculateOverallScore(analysis) {
+    // Apenas categorias executadas entram no cálculo; os pesos são redistribuídos
+    const ranCategories = Object.keys(CATEGORY_WEIGHTS).filter(category => !analysis[category].skipped);
+    const totalWeight = ranCategories.reduce((sum, category) => sum + CATEGORY_WEIGHTS[category], 0);
+
+    // Score ponderado (scores individuais de 0-100)
+    let weightedScore = 0;
+    for (const category of ranCategories) {
+      weightedScore += (analysis[category].score || 0) * (CATEGORY_WEIGHTS[category] / totalWeight);
+    }
+
+    // Penalizar por vulnerabilidades críticas (exceto as aceitas pela política)
+    const criticalCount = analysis.vulnerabilities.filter(v => v.severity === 'critical' && !v.accepted).length;
+    weightedScore -= Math.min(criticalCount * 10, 30); // Máximo -30 pontos
+
+    // Penalizar se não usa HTTPS (faz parte da avaliação de SSL)
+    if (!analysis.isHttps && !analysis.ssl.skipped) {
+      weightedScore -= 15;
+    }
+
+    return Math.max(0, Math.min(100, Math.round(weightedScore)));
+  }
+
+  /**
+   * Calcula grade baseada no score
+   * @private
+   */
+  _calculateGrade(score) {
+    if (score >= 90) return 'A+';
+    if (score >= 80) return 'A';
+    if (score >= 70) return 'B';
+    if (score >= 60) return 'C';
+    if (score >= 50) return 'D';
+    return 'F';
+  }
+}
+
+module.exports = new AnalysisPipeline();
+module.exports.ANALYSIS_PHASES = ANALYSIS_PHASES;
+module.exports.CATEGORY_OPTIONS = CATEGORY_OPTIONS;
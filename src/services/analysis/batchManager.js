@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const analysisPipeline = require('./analysisPipeline');
+const analysisStore = require('../storage/analysisStore');
+const { BATCH_CONFIG } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+/**
+ * Gerenciador de análises em lote, com concorrência limitada e
+ * intervalo mínimo entre requisições ao mesmo host
+ */
+class BatchManager {
+
+  constructor() {
+    this.batches = new Map();
+  }
+
+  /**
+   * Extrai URLs de um arquivo texto (uma por linha) ou CSV (primeira coluna)
+   * @param {string} content - Conteúdo do arquivo
+   * @returns {Array<string>} - URLs encontradas
+   */
+  parseUrlList(content) {
+    if (typeof content !== 'string') {
+      return [];
+    }
+
+    const urls = [];
+
+    for (const line of content.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+
+      const firstColumn = trimmed.split(/[,;\t]/)[0].trim().replace(/^"(.*)"$/, '$1').trim();
+
+      // Ignorar cabeçalho do CSV
+      if (!firstColumn || /^(url|urls|site|host|domain)$/i.test(firstColumn)) continue;
+
+      urls.push(firstColumn);
+    }
+
+    return urls;
+  }
+
+  /**
+   * Cria um lote e inicia as análises em segundo plano
+   * @param {Array<string>} urls - URLs a analisar
+   * @param {Object} options - Opções aplicadas a todas as análises
+   * @returns {Object} - Representação pública do lote
+   */
+  createBatch(urls, options = {}) {
+    const uniqueUrls = [...new Set(urls.map(url => String(url).trim()).filter(Boolean))];
+
+    const batch = {
+      id: crypto.randomUUID(),
+      options,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      rows: uniqueUrls.map(url => ({
+        url,
+        host: this._hostOf(url),
+        status: 'pending',
+        analysisId: null,
+        score: null,
+        grade: null,
+        criticalCount: null,
+        highCount: null,
+        mediumCount: null,
+        lowCount: null,
+        acceptedCount: null,
+        error: null
+      })),
+      hosts: new Map()
+    };
+
+    this.batches.set(batch.id, batch);
+    setImmediate(() => this._runBatch(batch));
+
+    logger.analysis(null, 'batch_created', { batchId: batch.id, urlCount: batch.rows.length });
+
+    return this.serialize(batch);
+  }
+
+  /**
+   * Busca um lote pelo ID
+   * @param {string} id - ID do lote
+   * @returns {Object|null} - Lote interno ou null
+   */
+  getBatch(id) {
+    return this.batches.get(id) || null;
+  }
+
+  /**
+   * Representação pública do lote com a tabela de resumo
+   * @param {Object} batch - Lote interno
+   * @returns {Object}
+   */
+  serialize(batch) {
+    const count = (status) => batch.rows.filter(row => row.status === status).length;
+    const summary = batch.rows.map(({ host, ...row }) => row);
+
+    return {
+      batchId: batch.id,
+      status: batch.status,
+      createdAt: batch.createdAt,
+      startedAt: batch.startedAt,
+      finishedAt: batch.finishedAt,
+      total: batch.rows.length,
+      completed: count('completed'),
+      failed: count('failed'),
+      pending: count('pending') + count('running'),
+      summary
+    };
+  }
+
+  /**
+   * Executa o lote com um pool de workers
+   * @private
+   */
+  async _runBatch(batch) {
+    batch.status = 'running';
+    batch.startedAt = new Date().toISOString();
+
+    const workerCount = Math.min(BATCH_CONFIG.CONCURRENCY, batch.rows.length);
+    const workers = Array.from({ length: workerCount }, () => this._worker(batch));
+
+    await Promise.all(workers);
+
+    batch.status = 'completed';
+    batch.finishedAt = new Date().toISOString();
+
+    logger.analysis(null, 'batch_complete', {
+      batchId: batch.id,
+      total: batch.rows.length,
+      failed: batch.rows.filter(row => row.status === 'failed').length
+    });
+
+    this._scheduleCleanup(batch);
+  }
+
+  /**
+   * Worker que processa linhas pendentes até o lote acabar
+   * @private
+   */
+  async _worker(batch) {
+    for (;;) {
+      const claim = this._claimNextRow(batch);
+
+      if (!claim) return;
+
+      if (!claim.row) {
+        await this._delay(claim.waitMs);
+        continue;
+      }
+
+      await this._analyzeRow(batch, claim.row);
+    }
+  }
+
+  /**
+   * Reserva a próxima linha cujo host esteja livre e fora do intervalo de espera
+   * @private
+   * @returns {Object|null} - { row } reservada, { waitMs } se for preciso aguardar, ou null se não há pendências
+   */
+  _claimNextRow(batch) {
+    const now = Date.now();
+    let waitMs = null;
+
+    for (const row of batch.rows) {
+      if (row.status !== 'pending') continue;
+
+      const hostState = batch.hosts.get(row.host) || { busy: false, lastFinished: 0 };
+      if (hostState.busy) {
+        waitMs = waitMs === null ? BATCH_CONFIG.POLL_INTERVAL : Math.min(waitMs, BATCH_CONFIG.POLL_INTERVAL);
+        continue;
+      }
+
+      const readyIn = hostState.lastFinished + BATCH_CONFIG.HOST_DELAY - now;
+      if (readyIn > 0) {
+        waitMs = waitMs === null ? readyIn : Math.min(waitMs, readyIn);
+        continue;
+      }
+
+      hostState.busy = true;
+      batch.hosts.set(row.host, hostState);
+      row.status = 'running';
+      return { row };
+    }
+
+    return waitMs === null ? null : { waitMs };
+  }
+
+  /**
+   * Analisa uma URL do lote e preenche a linha de resumo
+   * @private
+   */
+  async _analyzeRow(batch, row) {
+    try {
+      const analysis = await analysisPipeline.run(row.url, batch.options);
+
+      try {
+        analysis.analysisId = await analysisStore.save(analysis);
+      } catch (storeError) {
+        logger.errorWithContext(storeError, { url: row.url, batchId: batch.id, operation: 'store_analysis' });
+        analysis.analysisId = null;
+      }
+
+      // Achados aceitos pela política ficam fora das contagens, como no score
+      const vulnerabilities = analysis.vulnerabilities || [];
+      const open = vulnerabilities.filter(vuln => !vuln.accepted);
+      const count = severity => open.filter(vuln => vuln.severity === severity).length;
+
+      Object.assign(row, {
+        status: 'completed',
+        analysisId: analysis.analysisId,
+        score: analysis.score,
+        grade: analysis.grade,
+        criticalCount: count('critical'),
+        highCount: count('high'),
+        mediumCount: count('medium'),
+        lowCount: count('low'),
+        acceptedCount: vulnerabilities.length - open.length
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { url: row.url, batchId: batch.id });
+      row.status = 'failed';
+      row.error = error.userMessage || error.message || 'Erro na análise';
+    } finally {
+      batch.hosts.set(row.host, { busy: false, lastFinished: Date.now() });
+    }
+  }
+
+  /**
+   * Host usado para agrupar requisições (politeness)
+   * @private
+   */
+  _hostOf(url) {
+    try {
+      return new URL(/^https?:\/\//i.test(url) ? url : `http://${url}`).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return url.toLowerCase();
+    }
+  }
+
+  /**
+   * Remove o lote da memória após o período de retenção
+   * @private
+   */
+  _scheduleCleanup(batch) {
+    const timer = setTimeout(() => this.batches.delete(batch.id), BATCH_CONFIG.RESULT_TTL);
+    timer.unref?.();
+  }
+
+  /**
+   * Delay assíncrono
+   * @private
+   */
+  _delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new BatchManager();
@@ -0,0 +1,119 @@
+const analysisStore = require('../storage/analysisStore');
+const { ANALYSIS_CATEGORIES } = require('../../utils/constants');
+
+const HOST_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*(:\d{1,5})?$/;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Histórico de análises salvas de um host (scores, grades e contagem de achados ao longo do tempo)
+ */
+class HostHistory {
+
+  /**
+   * Normaliza o host recebido (minúsculas, sem ponto final)
+   * @param {string} host - Host informado pelo cliente
+   * @returns {string|null} - Host normalizado ou null se inválido
+   */
+  normalizeHost(host) {
+    if (typeof host !== 'string') return null;
+
+    const normalized = host.trim().toLowerCase().replace(/\.$/, '');
+    return HOST_PATTERN.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Monta o histórico de um host em ordem cronológica
+   * @param {string} host - Host normalizado (ver normalizeHost)
+   * @param {Object} options - Opções ({ limit }: quantidade de análises mais recentes)
+   * @returns {Promise<Object>} - { host, count, latest, entries }
+   */
+  async getHistory(host, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const analyses = await analysisStore.listByHost(host, { limit });
+
+    // listByHost() retorna da mais recente para a mais antiga; o gráfico precisa da ordem cronológica
+    const matching = analyses
+      .filter(analysis => analysisStore.hostOf(analysis) === host)
+      .reverse();
+
+    const entries = [];
+    for (const analysis of matching) {
+      entries.push(this._toEntry(analysis, entries));
+    }
+
+    return {
+      host,
+      count: entries.length,
+      latest: entries[entries.length - 1] || null,
+      entries
+    };
+  }
+
+  /**
+   * Converte uma análise salva em ponto do histórico
+   * @private
+   * @param {Object} analysis - Análise salva
+   * @param {Array<Object>} earlier - Pontos anteriores, em ordem cronológica
+   */
+  _toEntry(analysis, earlier) {
+    const categories = analysis.options?.categories || Object.keys(ANALYSIS_CATEGORIES);
+    const vulnerabilities = (analysis.vulnerabilities || []).filter(v => !v.accepted);
+    const scores = {};
+
+    for (const category of Object.keys(ANALYSIS_CATEGORIES)) {
+      const score = analysis.stats?.scores?.[category];
+      scores[category] = typeof score === 'number' ? score : null;
+    }
+
+    const entry = {
+      analysisId: analysis.analysisId,
+      timestamp: analysis.timestamp,
+      url: analysis.url,
+      categories,
+      score: analysis.score,
+      grade: analysis.grade,
+      scores,
+      findings: {
+        total: vulnerabilities.length,
+        critical: vulnerabilities.filter(v => v.severity === 'critical').length,
+        high: vulnerabilities.filter(v => v.severity === 'high').length,
+        medium: vulnerabilities.filter(v => v.severity === 'medium').length,
+        low: vulnerabilities.filter(v => v.severity === 'low').length
+      },
+      accepted: (analysis.vulnerabilities || []).length - vulnerabilities.length,
+      comparedTo: null,
+      delta: null
+    };
+
+    // Variação em relação à última análise com as mesmas categorias, para apontar qual área regrediu;
+    // comparar com uma análise parcial (ex.: só headers) mostraria saltos que não aconteceram
+    const previous = earlier.slice().reverse().find(candidate => this._sameCategories(candidate.categories, categories));
+
+    if (previous) {
+      entry.comparedTo = previous.analysisId;
+      entry.delta = {
+        score: entry.score - previous.score,
+        findings: entry.findings.total - previous.findings.total
+      };
+
+      for (const category of Object.keys(scores)) {
+        entry.delta[category] = scores[category] !== null && previous.scores[category] !== null
+          ? scores[category] - previous.scores[category]
+          : null;
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Verifica se duas análises rodaram as mesmas categorias
+   * @private
+   */
+  _sameCategories(a, b) {
+    return a.length === b.length && a.every(category => b.includes(category));
+  }
+}
+
+module.exports = new HostHistory();
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const analysisPipeline = require('./analysisPipeline');
+const analysisStore = require('../storage/analysisStore');
+const { JOB_CONFIG } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+const { ANALYSIS_PHASES } = analysisPipeline;
+const TERMINAL_EVENTS = ['complete', 'error'];
+
+/**
+ * Gerenciador de jobs de análise executados em segundo plano
+ */
+class JobManager {
+
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Cria um job de análise e inicia sua execução em segundo plano
+   * @param {string} url - URL a analisar
+   * @param {Object} options - Opções da análise
+   * @returns {Object} - Representação pública do job
+   */
+  createJob(url, options = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      url,
+      options,
+      status: 'queued',
+      progress: 0,
+      phases: {},
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      analysis: null,
+      error: null,
+      events: [],
+      emitter: new EventEmitter()
+    };
+
+    this.jobs.set(job.id, job);
+    setImmediate(() => this._runJob(job));
+
+    logger.analysis(url, 'job_created', { jobId: job.id });
+
+    return this.serialize(job);
+  }
+
+  /**
+   * Busca um job pelo ID
+   * @param {string} id - ID do job
+   * @returns {Object|null} - Job interno ou null
+   */
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Assina os eventos de um job, reenviando os já emitidos
+   * @param {string} id - ID do job
+   * @param {Function} listener - Recebe cada evento ({ id, type, data, timestamp })
+   * @param {number} lastEventId - Último evento já recebido pelo cliente
+   * @returns {Function|null} - Função para cancelar a assinatura
+   */
+  subscribe(id, listener, lastEventId = 0) {
+    const job = this.getJob(id);
+    if (!job) return null;
+
+    for (const event of job.events) {
+      if (event.id > lastEventId) listener(event);
+    }
+
+    if (this.isFinished(job)) {
+      return () => {};
+    }
+
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+  }
+
+  /**
+   * Verifica se o job já terminou (com sucesso ou erro)
+   * @param {Object} job - Job interno
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+
+  /**
+   * Verifica se o evento encerra o stream do job
+   * @param {Object} event - Evento emitido
+   * @returns {boolean}
+   */
+  isTerminalEvent(event) {
+    return TERMINAL_EVENTS.includes(event.type);
+  }
+
+  /**
+   * Representação pública do job (sem estado interno)
+   * @param {Object} job - Job interno
+   * @returns {Object}
+   */
+  serialize(job) {
+    return {
+      jobId: job.id,
+      url: job.url,
+      status: job.status,
+      progress: job.progress,
+      phases: job.phases,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      analysisId: job.analysis?.analysisId || null,
+      analysis: job.analysis,
+      error: job.error
+    };
+  }
+
+  /**
+   * Executa o pipeline de análise emitindo o progresso de cada fase
+   * @private
+   */
+  async _runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this._emit(job, 'status', { status: job.status });
+
+    try {
+      const analysis = await analysisPipeline.run(job.url, job.options, (phase, data) => {
+        job.phases[phase] = { ...data, status: this._phaseStatus(data) };
+        job.progress = Math.round((Object.keys(job.phases).length / ANALYSIS_PHASES.length) * 100);
+        this._emit(job, 'phase', { phase, progress: job.progress, ...job.phases[phase] });
+      });
+
+      try {
+        analysis.analysisId = await analysisStore.save(analysis);
+      } catch (storeError) {
+        logger.errorWithContext(storeError, { url: job.url, jobId: job.id, operation: 'store_analysis' });
+        analysis.analysisId = null;
+      }
+
+      job.analysis = analysis;
+      job.status = 'completed';
+      job.progress = 100;
+      job.finishedAt = new Date().toISOString();
+      this._emit(job, 'complete', {
+        analysisId: analysis.analysisId,
+        score: analysis.score,
+        grade: analysis.grade,
+        progress: job.progress
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { url: job.url, jobId: job.id });
+
+      job.status = 'failed';
+      job.finishedAt = new Date().toISOString();
+      job.error = {
+        message: error.userMessage || error.message || 'Erro na análise',
+        code: error.code || 'ANALYSIS_ERROR',
+        suggestions: error.suggestions || []
+      };
+      this._emit(job, 'error', job.error);
+    }
+
+    this._scheduleCleanup(job);
+  }
+
+  /**
+   * Estado de uma fase a partir dos dados reportados pelo pipeline
+   * @private
+   */
+  _phaseStatus(data) {
+    if (data.error) return 'failed';
+    if (data.skipped) return 'skipped';
+    return 'completed';
+  }
+
+  /**
+   * Registra e propaga um evento do job
+   * @private
+   */
+  _emit(job, type, data) {
+    const event = {
+      id: job.events.length + 1,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    job.events.push(event);
+    job.emitter.emit('event', event);
+  }
+
+  /**
+   * Remove o job da memória após o período de retenção
+   * @private
+   */
+  _scheduleCleanup(job) {
+    const timer = setTimeout(() => {
+      job.emitter.removeAllListeners();
+      this.jobs.delete(job.id);
+    }, JOB_CONFIG.RESULT_TTL);
+
+    timer.unref?.();
+  }
+}
+
+module.exports = new JobManager();
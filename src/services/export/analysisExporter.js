@@ -0,0 +1,82 @@
+const sarifExporter = require('./sarifExporter');
+const junitExporter = require('./junitExporter');
+
+/**
+ * Formatos de relatório disponíveis para análises completas
+ */
+const REPORT_FORMATS = {
+  sarif: {
+    contentType: 'application/sarif+json; charset=utf-8',
+    extension: 'sarif',
+    render: (analyses, failures) => JSON.stringify(sarifExporter.analysesToSarif(analyses, failures), null, 2) + '\n'
+  },
+  junit: {
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'xml',
+    render: analyses => junitExporter.analysesToJunit(analyses)
+  }
+};
+
+/**
+ * Exportação de análises completas para formatos de integração (CI, code scanning)
+ */
+class AnalysisExporter {
+
+  /**
+   * Verifica se o formato é suportado
+   * @param {string} format - Nome do formato
+   * @returns {boolean}
+   */
+  isSupported(format) {
+    return Object.prototype.hasOwnProperty.call(REPORT_FORMATS, format);
+  }
+
+  /**
+   * Formatos suportados
+   * @returns {Array<string>}
+   */
+  formats() {
+    return Object.keys(REPORT_FORMATS);
+  }
+
+  /**
+   * Gera o relatório de uma ou mais análises
+   * @param {Array<Object>|Object} analyses - Análise(s) completa(s)
+   * @param {string} format - sarif ou junit
+   * @param {Array<Object>} failures - URLs que não puderam ser analisadas ({ url, message, code }; usadas no SARIF)
+   * @returns {Object} - { contentType, extension, body }
+   */
+  render(analyses, format, failures = []) {
+    const definition = REPORT_FORMATS[format];
+
+    if (!definition) {
+      throw new Error(`Formato não suportado: ${format}`);
+    }
+
+    const list = Array.isArray(analyses) ? analyses : [analyses];
+
+    return {
+      contentType: definition.contentType,
+      extension: definition.extension,
+      body: definition.render(list, failures)
+    };
+  }
+
+  /**
+   * Envia o relatório como resposta HTTP
+   * @param {Object} res - Resposta Express
+   * @param {Array<Object>|Object} analyses - Análise(s) completa(s)
+   * @param {string} format - sarif ou junit
+   * @param {string} filename - Nome do arquivo sem extensão
+   * @param {Array<Object>} failures - URLs que não puderam ser analisadas
+   */
+  send(res, analyses, format, filename, failures = []) {
+    const report = this.render(analyses, format, failures);
+
+    res.setHeader('Content-Type', report.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.${report.extension}`);
+    res.send(report.body);
+  }
+}
+
+module.exports = new AnalysisExporter();
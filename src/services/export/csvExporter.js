@@ -0,0 +1,59 @@
+/**
+ * Exportação de resultados em CSV
+ */
+class CsvExporter {
+
+  /**
+   * Gera o CSV da tabela de resumo de um lote
+   * @param {Array} rows - Linhas do resumo do lote
+   * @returns {string} - Conteúdo CSV (RFC 4180)
+   */
+  batchSummaryToCsv(rows) {
+    const columns = [
+      ['url', 'url'],
+      ['status', 'status'],
+      ['score', 'score'],
+      ['grade', 'grade'],
+      ['critical', 'criticalCount'],
+      ['high', 'highCount'],
+      ['medium', 'mediumCount'],
+      ['low', 'lowCount'],
+      ['accepted', 'acceptedCount'],
+      ['analysis_id', 'analysisId'],
+      ['error', 'error']
+    ];
+
+    const lines = [columns.map(([header]) => header).join(',')];
+
+    for (const row of rows) {
+      lines.push(columns.map(([, key]) => this._escape(row[key])).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Escapa um valor para uma célula CSV
+   * @private
+   */
+  _escape(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = String(value);
+
+    // Evitar injeção de fórmulas ao abrir o CSV em planilhas
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }
+}
+
+module.exports = new CsvExporter();
@@ -0,0 +1,161 @@
+const { ANALYSIS_CATEGORIES } = require('../../utils/constants');
+
+/**
+ * Exportação de análises no formato JUnit XML
+ *
+ * Cada análise vira uma testsuite; cada vulnerabilidade é um testcase com falha
+ * (ou ignorado, se aceita pela política) e categorias sem achados geram um testcase
+ * aprovado (ou ignorado, se desativadas).
+ */
+class JunitExporter {
+
+  /**
+   * Gera o XML JUnit de uma ou mais análises
+   * @param {Array<Object>} analyses - Análises completas
+   * @returns {string} - Documento XML
+   */
+  analysesToJunit(analyses) {
+    const suites = analyses.map(analysis => this._buildSuite(analysis));
+
+    const totals = suites.reduce((sum, suite) => ({
+      tests: sum.tests + suite.tests,
+      failures: sum.failures + suite.failures,
+      skipped: sum.skipped + suite.skipped
+    }), { tests: 0, failures: 0, skipped: 0 });
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="Safe Cookie" tests="${totals.tests}" failures="${totals.failures}" skipped="${totals.skipped}">`
+    ];
+
+    for (const suite of suites) {
+      lines.push(...suite.lines);
+    }
+
+    lines.push('</testsuites>');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Testsuite de uma análise
+   * @private
+   */
+  _buildSuite(analysis) {
+    const cases = [];
+    let tests = 0;
+    let failures = 0;
+    let skipped = 0;
+
+    for (const [category, label] of Object.entries(ANALYSIS_CATEGORIES)) {
+      const section = analysis[category];
+      const className = `safe-cookie.${category}`;
+
+      if (!section || section.skipped) {
+        tests++;
+        skipped++;
+        cases.push(`    <testcase classname="${className}" name="${this._escape(label)}"><skipped/></testcase>`);
+        continue;
+      }
+
+      const vulnerabilities = section.vulnerabilities || [];
+
+      if (vulnerabilities.length === 0) {
+        tests++;
+        cases.push(`    <testcase classname="${className}" name="${this._escape(`${label}: sem vulnerabilidades`)}"/>`);
+        continue;
+      }
+
+      for (const vuln of vulnerabilities) {
+        tests++;
+
+        if (vuln.accepted) {
+          skipped++;
+          cases.push(this._buildAcceptedCase(className, vuln));
+        } else {
+          failures++;
+          cases.push(...this._buildFailureCase(className, vuln));
+        }
+      }
+    }
+
+    const attributes = [
+      `name="${this._escape(analysis.url)}"`,
+      `tests="${tests}"`,
+      `failures="${failures}"`,
+      `skipped="${skipped}"`,
+      `timestamp="${this._escape(analysis.timestamp || new Date().toISOString())}"`
+    ].join(' ');
+
+    return {
+      tests,
+      failures,
+      skipped,
+      lines: [
+        `  <testsuite ${attributes}>`,
+        '    <properties>',
+        `      <property name="score" value="${analysis.score}"/>`,
+        `      <property name="grade" value="${this._escape(analysis.grade)}"/>`,
+        '    </properties>',
+        ...cases,
+        '  </testsuite>'
+      ]
+    };
+  }
+
+  /**
+   * Testcase com falha para uma vulnerabilidade
+   * @private
+   */
+  _buildFailureCase(className, vuln) {
+    const name = this._caseName(vuln);
+
+    const body = [
+      vuln.impact && `Impacto: ${vuln.impact}`,
+      (vuln.solution || vuln.recommendation) && `Solução: ${vuln.solution || vuln.recommendation}`
+    ].filter(Boolean).join('\n');
+
+    return [
+      `    <testcase classname="${className}" name="${this._escape(name)}">`,
+      `      <failure type="${this._escape(vuln.severity)}" message="${this._escape(vuln.message)}">${this._escape(body)}</failure>`,
+      '    </testcase>'
+    ];
+  }
+
+  /**
+   * Testcase ignorado para uma vulnerabilidade aceita pela política
+   * @private
+   */
+  _buildAcceptedCase(className, vuln) {
+    const message = `Aceito até ${vuln.suppression.expires}: ${vuln.suppression.justification}`;
+
+    return `    <testcase classname="${className}" name="${this._escape(this._caseName(vuln))}">` +
+      `<skipped message="${this._escape(message)}"/></testcase>`;
+  }
+
+  /**
+   * Nome do testcase: tipo da vulnerabilidade e cookie/header afetado
+   * @private
+   */
+  _caseName(vuln) {
+    const subject = vuln.cookie || vuln.header;
+    return subject ? `${vuln.type} (${subject})` : vuln.type;
+  }
+
+  /**
+   * Escapa texto para conteúdo e atributos XML
+   * @private
+   */
+  _escape(value) {
+    return String(value ?? '')
+      // Caracteres de controle não são permitidos em XML 1.0
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = new JunitExporter();
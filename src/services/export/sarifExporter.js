@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { ANALYSIS_CATEGORIES } = require('../../utils/constants');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+
+/**
+ * Severidade do Safe Cookie -> nível SARIF
+ */
+const SEVERITY_LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+  info: 'note'
+};
+
+/**
+ * Severidade do Safe Cookie -> security-severity (escala CVSS usada por dashboards de code scanning)
+ * Os consumidores leem o valor na regra (reportingDescriptor), não no resultado
+ */
+const SECURITY_SEVERITY = {
+  critical: '9.5',
+  high: '7.5',
+  medium: '5.0',
+  low: '2.0',
+  info: '0.0'
+};
+
+/**
+ * Campos que distinguem achados da mesma regra sobre o mesmo cookie/header
+ * (diretiva e fonte da CSP, origem e URL sondadas pelo CORS, URL e posição do redirecionamento
+ * que definiu o cookie, formulário e script do HTML)
+ */
+const FINGERPRINT_FIELDS = ['directive', 'source', 'origin', 'url', 'setBy', 'hop', 'form', 'script'];
+
+/**
+ * Exportação de análises no formato SARIF 2.1.0
+ */
+class SarifExporter {
+
+  /**
+   * Gera um log SARIF com uma execução contendo os achados de todas as análises
+   * @param {Array<Object>} analyses - Análises completas
+   * @param {Array<Object>} failures - URLs que não puderam ser analisadas ({ url, message, code })
+   * @returns {Object} - Documento SARIF
+   */
+  analysesToSarif(analyses, failures = []) {
+    const rules = new Map();
+    const results = [];
+
+    for (const analysis of analyses) {
+      for (const [category, label] of Object.entries(ANALYSIS_CATEGORIES)) {
+        const section = analysis[category];
+        if (!section || section.skipped) continue;
+
+        for (const vuln of section.vulnerabilities || []) {
+          const ruleId = `${category}/${vuln.type}`;
+
+          if (!rules.has(ruleId)) {
+            rules.set(ruleId, this._buildRule(ruleId, category, label, vuln));
+          }
+          this._raiseSecuritySeverity(rules.get(ruleId), vuln.severity);
+
+          results.push(this._buildResult(ruleId, category, analysis, vuln));
+        }
+      }
+    }
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: SARIF_VERSION,
+      runs: [{
+        tool: {
+          driver: {
+            name: 'Safe Cookie',
+            version: '2.0.0',
+            informationUri: 'https://safecookie.app',
+            rules: [...rules.values()]
+          }
+        },
+        invocations: [{
+          executionSuccessful: failures.length === 0,
+          endTimeUtc: new Date().toISOString(),
+          toolExecutionNotifications: this._buildNotifications(analyses, failures)
+        }],
+        results
+      }]
+    };
+  }
+
+  /**
+   * Descrição da regra a partir da primeira ocorrência do tipo de vulnerabilidade
+   * @private
+   */
+  _buildRule(ruleId, category, label, vuln) {
+    const rule = {
+      id: ruleId,
+      name: vuln.type,
+      shortDescription: { text: vuln.message },
+      properties: {
+        category,
+        tags: ['security', label]
+      }
+    };
+
+    if (vuln.description || vuln.impact) {
+      rule.fullDescription = { text: vuln.description || vuln.impact };
+    }
+
+    const help = vuln.solution || vuln.recommendation;
+    if (help) {
+      rule.help = { text: help };
+    }
+
+    return rule;
+  }
+
+  /**
+   * Mantém na regra o maior security-severity entre os resultados dela
+   * @private
+   */
+  _raiseSecuritySeverity(rule, severity) {
+    const score = SECURITY_SEVERITY[severity] || SECURITY_SEVERITY.info;
+    const current = rule.properties['security-severity'];
+
+    if (current === undefined || parseFloat(score) > parseFloat(current)) {
+      rule.properties['security-severity'] = score;
+    }
+  }
+
+  /**
+   * Resultado SARIF de uma vulnerabilidade
+   * @private
+   */
+  _buildResult(ruleId, category, analysis, vuln) {
+    const text = vuln.impact ? `${vuln.message}. ${vuln.impact}` : vuln.message;
+    const subject = vuln.cookie || vuln.header || null;
+
+    const properties = {
+      category,
+      severity: vuln.severity
+    };
+    if (vuln.header) properties.header = vuln.header;
+    if (vuln.cookie) properties.cookie = vuln.cookie;
+
+    const result = {
+      ruleId,
+      level: SEVERITY_LEVELS[vuln.severity] || 'note',
+      message: { text },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: analysis.url }
+        }
+      }],
+      partialFingerprints: {
+        'safeCookie/v1': this._fingerprint(analysis.url, ruleId, subject, vuln)
+      },
+      properties
+    };
+
+    // Risco aceito pela política da equipe
+    if (vuln.accepted) {
+      result.suppressions = [{
+        kind: 'external',
+        status: 'accepted',
+        justification: vuln.suppression.justification
+      }];
+    }
+
+    return result;
+  }
+
+  /**
+   * Notificações da execução: erro por URL não analisada, aviso por categoria que falhou
+   * @private
+   */
+  _buildNotifications(analyses, failures) {
+    const notifications = failures.map(failure => ({
+      level: 'error',
+      message: { text: `Falha ao analisar ${failure.url}: ${failure.message}` },
+      descriptor: { id: failure.code || 'ANALYSIS_ERROR' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: failure.url } } }]
+    }));
+
+    for (const analysis of analyses) {
+      for (const category of Object.keys(ANALYSIS_CATEGORIES)) {
+        if (!analysis[category]?.error) continue;
+
+        notifications.push({
+          level: 'warning',
+          message: { text: `${analysis[category].message} em ${analysis.url}: achados da categoria ausentes` },
+          descriptor: { id: 'CATEGORY_ERROR' },
+          locations: [{ physicalLocation: { artifactLocation: { uri: analysis.url } } }]
+        });
+      }
+    }
+
+    return notifications;
+  }
+
+  /**
+   * Fingerprint estável para acompanhar o mesmo achado entre execuções
+   * Campos distintivos só entram quando presentes, mantendo o fingerprint dos demais achados
+   * @private
+   */
+  _fingerprint(url, ruleId, subject, vuln) {
+    const distinguishing = FINGERPRINT_FIELDS
+      .filter(field => vuln[field] !== undefined && vuln[field] !== null)
+      .map(field => `${field}=${vuln[field]}`);
+
+    return crypto.createHash('sha256')
+      .update([url, ruleId, subject || '', ...distinguishing].join('|'))
+      .digest('hex');
+  }
+}
+
+module.exports = new SarifExporter();
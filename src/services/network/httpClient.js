@@ -32,17 +32,18 @@ class HttpClient {
   /**
    * Faz uma requisição HTTP com retry automático
    * @param {string} url - URL para requisição
-   * @param {Object} options - Opções da requisição
+   * @param {Object} options - Opções da requisição (timeout, maxRedirects, retries, userAgent, headers)
    * @returns {Promise<Object>} - Resposta da requisição
    */
   async get(url, options = {}) {
     const startTime = Date.now();
-    const config = { ...this.defaultConfig, ...options };
+    const { retries, ...requestOptions } = options;
+    const config = this._buildConfig(requestOptions);
     
     logger.analysis(url, 'http_request_start');
     
     try {
-      const response = await this._makeRequestWithRetry(url, config);
+      const response = await this._makeRequestWithRetry(url, config, retries);
       
       const duration = Date.now() - startTime;
       logger.performance('http_request', duration, {
@@ -91,6 +92,7 @@ class HttpClient {
    * @private
    */
   async _makeRequestWithRetry(url, config, maxRetries = 3) {
+    const { rotateUserAgent = true, ...axiosConfig } = config;
     let lastError;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -101,14 +103,18 @@ class HttpClient {
           logger.analysis(url, 'http_retry', { attempt });
         }
         
+        const redirectChain = [];
         const response = await axios.get(url, {
-          ...config,
+          ...axiosConfig,
           headers: {
-            ...config.headers,
-            'User-Agent': this._getRandomUserAgent() // Variar User-Agent
-          }
+            ...axiosConfig.headers,
+            // Variar User-Agent, exceto quando o usuário fixou um
+            ...(rotateUserAgent && { 'User-Agent': this._getRandomUserAgent() })
+          },
+          beforeRedirect: this._redirectRecorder(url, redirectChain)
         });
         
+        response.redirectChain = redirectChain;
         return response;
         
       } catch (error) {
@@ -129,6 +135,29 @@ class HttpClient {
     throw lastError;
   }
 
+  /**
+   * Monta a configuração do axios a partir das opções da requisição
+   * @private
+   */
+  _buildConfig(options = {}) {
+    const { userAgent, headers = {}, ...axiosOptions } = options;
+    const config = {
+      ...this.defaultConfig,
+      ...axiosOptions,
+      headers: { ...this.defaultConfig.headers, ...headers }
+    };
+
+    const customUserAgent = userAgent ||
+      Object.entries(headers).find(([name]) => name.toLowerCase() === 'user-agent')?.[1];
+
+    if (customUserAgent) {
+      config.headers['User-Agent'] = customUserAgent;
+      config.rotateUserAgent = false;
+    }
+
+    return config;
+  }
+
   /**
    * Processa a resposta HTTP
    * @private
@@ -145,6 +174,7 @@ class HttpClient {
       timing: this._extractTiming(response),
       ssl: this._extractSSLInfo(response),
       cookies: this._extractCookies(response.headers),
+      redirectChain: response.redirectChain || [],
       size: {
         headers: JSON.stringify(response.headers).length,
         body: response.data?.length || 0,
@@ -153,9 +183,8 @@ class HttpClient {
     };
 
     // Verificar se houve redirecionamento
-    if (processedResponse.finalUrl !== originalUrl) {
+    if (processedResponse.finalUrl !== originalUrl || processedResponse.redirectChain.length > 0) {
       processedResponse.wasRedirected = true;
-      processedResponse.redirectChain = this._extractRedirectChain(response);
     }
 
     return processedResponse;
@@ -240,12 +269,26 @@ class HttpClient {
   }
 
   /**
-   * Extrai cadeia de redirecionamentos
+   * Cria o callback que registra cada resposta intermediária (3xx) da cadeia de redirecionamentos
+   * O follow-redirects chama o callback já com as opções do próximo salto
    * @private
    */
-  _extractRedirectChain(response) {
-    // Esta implementação pode ser expandida conforme necessário
-    return response.request?._redirects || [];
+  _redirectRecorder(url, redirectChain) {
+    let currentUrl = url;
+
+    return (nextOptions, responseDetails) => {
+      const headers = this._normalizeHeaders(responseDetails.headers || {});
+
+      redirectChain.push({
+        url: currentUrl,
+        status: responseDetails.statusCode,
+        location: headers.location || null,
+        headers,
+        cookies: this._extractCookies(headers)
+      });
+
+      currentUrl = nextOptions.href;
+    };
   }
 
   /**
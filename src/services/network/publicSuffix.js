@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+const { REGEX } = require('../../utils/constants');
+
+/**
+ * Snapshot da Public Suffix List (https://publicsuffix.org/list/public_suffix_list.dat)
+ * Atualize substituindo o arquivo pela versão mais recente
+ */
+const LIST_PATH = path.join(__dirname, '../../config/public_suffix_list.dat');
+
+/**
+ * Consulta à Public Suffix List: sufixo público e domínio registrável de um host
+ * Segue o algoritmo de https://github.com/publicsuffix/list/wiki/Format
+ */
+class PublicSuffix {
+
+  constructor() {
+    this.rules = null;
+  }
+
+  /**
+   * Sufixo público de um host (ex.: co.uk para www.exemplo.co.uk)
+   * @param {string} hostname - Host em minúsculas
+   * @returns {string|null} - Sufixo público ou null para IPs e hosts inválidos
+   */
+  publicSuffix(hostname) {
+    const labels = this._labels(hostname);
+    if (!labels) return null;
+
+    return labels.slice(labels.length - this._suffixLength(labels)).join('.');
+  }
+
+  /**
+   * Domínio registrável (sufixo público + um rótulo, o "eTLD+1")
+   * @param {string} hostname - Host em minúsculas
+   * @returns {string|null} - Domínio registrável ou null se o host for IP ou o próprio sufixo público
+   */
+  registrableDomain(hostname) {
+    const labels = this._labels(hostname);
+    if (!labels) return null;
+
+    const suffixLength = this._suffixLength(labels);
+    if (labels.length <= suffixLength) return null;
+
+    return labels.slice(labels.length - suffixLength - 1).join('.');
+  }
+
+  /**
+   * Verifica se o domínio é um sufixo público (ex.: com, co.uk, github.io)
+   * @param {string} domain - Domínio em minúsculas
+   * @returns {boolean}
+   */
+  isPublicSuffix(domain) {
+    const labels = this._labels(domain);
+    return !!labels && this._suffixLength(labels) >= labels.length;
+  }
+
+  /**
+   * Quantidade de rótulos do sufixo público, pela regra mais longa que casa
+   * Regras de exceção (!) vencem; sem regra, vale a regra padrão "*"
+   * @private
+   */
+  _suffixLength(labels) {
+    const rules = this._loadRules();
+    let length = 1;
+
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+
+      if (rules.exceptions.has(candidate)) {
+        return labels.length - i - 1;
+      }
+
+      const wildcard = i > 0 && rules.wildcards.has(labels.slice(i).join('.'));
+      if (wildcard) {
+        length = Math.max(length, labels.length - i + 1);
+      }
+
+      if (rules.exact.has(candidate)) {
+        length = Math.max(length, labels.length - i);
+      }
+    }
+
+    return length;
+  }
+
+  /**
+   * Rótulos de um host (em ASCII), ou null para IPs e hosts inválidos
+   * @private
+   */
+  _labels(hostname) {
+    if (typeof hostname !== 'string') return null;
+
+    const host = hostname.toLowerCase().replace(/^\./, '').replace(/\.$/, '');
+    if (!host || REGEX.IPV4.test(host) || host.includes(':')) return null;
+
+    const ascii = domainToASCII(host);
+    return ascii ? ascii.split('.') : null;
+  }
+
+  /**
+   * Carrega as regras do snapshot na primeira consulta
+   * @private
+   */
+  _loadRules() {
+    if (this.rules) return this.rules;
+
+    const rules = { exact: new Set(), wildcards: new Set(), exceptions: new Set() };
+
+    for (const line of fs.readFileSync(LIST_PATH, 'utf8').split('\n')) {
+      const rule = line.trim().split(/\s/)[0];
+      if (!rule || rule.startsWith('//')) continue;
+
+      if (rule.startsWith('!')) {
+        rules.exceptions.add(domainToASCII(rule.slice(1)));
+      } else if (rule.startsWith('*.')) {
+        rules.wildcards.add(domainToASCII(rule.slice(2)));
+      } else {
+        rules.exact.add(domainToASCII(rule));
+      }
+    }
+
+    this.rules = rules;
+    return rules;
+  }
+}
+
+module.exports = new PublicSuffix();
@@ -0,0 +1,324 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { ANALYSIS_CATEGORIES, VULNERABILITY_TYPES } = require('../../utils/constants');
+
+const SEVERITIES = Object.values(VULNERABILITY_TYPES);
+const SELECTORS = ['cookie', 'header', 'host'];
+
+/**
+ * Política de segurança (policy-as-code): limites de aprovação e supressão de riscos aceitos
+ *
+ * Formato (JSON ou YAML):
+ *   minScore: 70
+ *   categories: { cookies: 60, headers: 80 }
+ *   maxFindings: { critical: 0, high: 2 }
+ *   suppressions:
+ *     - type: missing_httponly_flag
+ *       cookie: _ga
+ *       expires: 2026-12-31
+ *       justification: Cookie lido pelo script de analytics por design
+ */
+class PolicyEngine {
+
+  /**
+   * Carrega e valida um arquivo de política (.json, .yml ou .yaml)
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {Promise<Object>} - Política normalizada
+   */
+  async load(filePath) {
+    let content;
+
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      throw this._invalidPolicy([`Não foi possível ler ${filePath}: ${error.message}`]);
+    }
+
+    return this.normalize(this.parse(content, path.extname(filePath)));
+  }
+
+  /**
+   * Interpreta o conteúdo de um arquivo de política
+   * @param {string} content - Conteúdo JSON ou YAML
+   * @param {string} extension - Extensão do arquivo (define o formato; YAML aceita também JSON)
+   * @returns {Object} - Política sem validação
+   */
+  parse(content, extension = '') {
+    try {
+      if (extension.toLowerCase() === '.json') {
+        return JSON.parse(content);
+      }
+
+      // CORE_SCHEMA mantém datas como texto (expires é interpretado pela política)
+      return yaml.load(content, { schema: yaml.CORE_SCHEMA });
+    } catch (error) {
+      throw this._invalidPolicy([`Arquivo de política malformado: ${error.message}`]);
+    }
+  }
+
+  /**
+   * Valida a política e aplica os valores padrão
+   * @param {Object} policy - Política enviada pelo cliente ou lida do arquivo
+   * @returns {Object} - Política normalizada ({ minScore, categories, maxFindings, suppressions })
+   */
+  normalize(policy) {
+    if (policy === null || typeof policy !== 'object' || Array.isArray(policy)) {
+      throw this._invalidPolicy(['A política deve ser um objeto']);
+    }
+
+    const errors = [];
+    const normalized = {
+      minScore: this._score(policy.minScore, 'minScore', errors),
+      categories: {},
+      maxFindings: {},
+      suppressions: []
+    };
+
+    for (const [category, value] of Object.entries(this._object(policy.categories, 'categories', errors))) {
+      if (!ANALYSIS_CATEGORIES[category]) {
+        errors.push(`Categoria desconhecida em categories: ${category}`);
+      } else {
+        normalized.categories[category] = this._score(value, `categories.${category}`, errors);
+      }
+    }
+
+    for (const [severity, value] of Object.entries(this._object(policy.maxFindings, 'maxFindings', errors))) {
+      if (!SEVERITIES.includes(severity)) {
+        errors.push(`Severidade desconhecida em maxFindings: ${severity}`);
+      } else if (!Number.isInteger(value) || value < 0) {
+        errors.push(`maxFindings.${severity} deve ser um inteiro maior ou igual a 0`);
+      } else {
+        normalized.maxFindings[severity] = value;
+      }
+    }
+
+    if (policy.suppressions !== undefined && !Array.isArray(policy.suppressions)) {
+      errors.push('suppressions deve ser uma lista');
+    } else {
+      (policy.suppressions || []).forEach((suppression, index) => {
+        const valid = this._suppression(suppression, index, errors);
+        if (valid) normalized.suppressions.push(valid);
+      });
+    }
+
+    if (errors.length > 0) {
+      throw this._invalidPolicy(errors);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Marca as vulnerabilidades cobertas por supressões vigentes (accepted)
+   * Deve rodar antes do cálculo dos scores usados na aprovação
+   * @param {Object} analysis - Análise consolidada (é alterada: vulnerabilidades aceitas recebem accepted)
+   * @param {Object} policy - Política normalizada
+   * @param {Date} now - Data de referência para expiração das supressões
+   * @returns {Array<Object>} - Supressões expiradas que ainda casam com algum achado
+   */
+  applySuppressions(analysis, policy, now = new Date()) {
+    const host = this._hostOf(analysis.url);
+    const expired = new Set();
+
+    for (const vuln of analysis.vulnerabilities) {
+      const matches = policy.suppressions.filter(suppression => this._matches(suppression, vuln, host));
+      const active = matches.find(suppression => new Date(suppression.expiresAt) > now);
+
+      if (active) {
+        vuln.accepted = true;
+        vuln.suppression = { justification: active.justification, expires: active.expires };
+      } else {
+        matches.forEach(suppression => expired.add(suppression));
+      }
+    }
+
+    return [...expired].map(({ expiresAt, ...suppression }) => suppression);
+  }
+
+  /**
+   * Aplica a política a uma análise: marca achados aceitos e decide aprovação
+   * Os scores comparados são os da análise: calcule-os sem os achados aceitos (ver applySuppressions)
+   * @param {Object} analysis - Análise consolidada (é alterada: vulnerabilidades aceitas recebem accepted)
+   * @param {Object} policy - Política normalizada
+   * @param {Date} now - Data de referência para expiração das supressões
+   * @returns {Object} - Resultado ({ passed, violations, acceptedCount, findings, expiredSuppressions })
+   */
+  evaluate(analysis, policy, now = new Date()) {
+    const expiredSuppressions = this.applySuppressions(analysis, policy, now);
+
+    const open = analysis.vulnerabilities.filter(vuln => !vuln.accepted);
+    const findings = Object.fromEntries(SEVERITIES.map(severity => [
+      severity,
+      open.filter(vuln => vuln.severity === severity).length
+    ]));
+
+    const violations = [];
+
+    if (policy.minScore !== null && analysis.score < policy.minScore) {
+      violations.push(`score ${analysis.score} abaixo do mínimo ${policy.minScore}`);
+    }
+
+    for (const [category, minScore] of Object.entries(policy.categories)) {
+      const section = analysis[category];
+      // Categorias não executadas não são avaliadas
+      if (!section || section.skipped) continue;
+
+      if ((section.score || 0) < minScore) {
+        violations.push(`${ANALYSIS_CATEGORIES[category]}: score ${section.score || 0} abaixo do mínimo ${minScore}`);
+      }
+    }
+
+    for (const [severity, max] of Object.entries(policy.maxFindings)) {
+      if (findings[severity] > max) {
+        violations.push(`${findings[severity]} vulnerabilidade(s) ${severity} acima do máximo ${max}`);
+      }
+    }
+
+    return {
+      passed: violations.length === 0,
+      violations,
+      acceptedCount: analysis.vulnerabilities.length - open.length,
+      findings,
+      expiredSuppressions
+    };
+  }
+
+  /**
+   * Verifica se uma supressão cobre a vulnerabilidade
+   * @private
+   */
+  _matches(suppression, vuln, host) {
+    if (suppression.type !== vuln.type) return false;
+    if (suppression.cookie && suppression.cookie !== vuln.cookie) return false;
+    if (suppression.header && suppression.header.toLowerCase() !== String(vuln.header || '').toLowerCase()) return false;
+
+    if (suppression.host) {
+      // *.exemplo.com cobre apenas subdomínios
+      if (suppression.host.startsWith('*.')) {
+        return host.endsWith(suppression.host.slice(1));
+      }
+      return host === suppression.host;
+    }
+
+    return true;
+  }
+
+  /**
+   * Valida uma supressão
+   * @private
+   */
+  _suppression(suppression, index, errors) {
+    const label = `suppressions[${index}]`;
+
+    if (suppression === null || typeof suppression !== 'object' || Array.isArray(suppression)) {
+      errors.push(`${label} deve ser um objeto`);
+      return null;
+    }
+
+    const valid = {};
+    const before = errors.length;
+
+    if (typeof suppression.type !== 'string' || !suppression.type.trim()) {
+      errors.push(`${label}.type é obrigatório`);
+    } else {
+      valid.type = suppression.type.trim();
+    }
+
+    for (const selector of SELECTORS) {
+      const value = suppression[selector];
+      if (value === undefined || value === null) continue;
+
+      if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`${label}.${selector} deve ser um texto`);
+      } else {
+        valid[selector] = selector === 'host' ? value.trim().toLowerCase() : value.trim();
+      }
+    }
+
+    if (typeof suppression.justification !== 'string' || !suppression.justification.trim()) {
+      errors.push(`${label}.justification é obrigatória`);
+    } else {
+      valid.justification = suppression.justification.trim();
+    }
+
+    const expiresAt = this._expiry(suppression.expires);
+    if (!expiresAt) {
+      errors.push(`${label}.expires deve ser uma data (AAAA-MM-DD ou ISO 8601)`);
+    } else {
+      valid.expires = String(suppression.expires);
+      valid.expiresAt = expiresAt;
+    }
+
+    return errors.length === before ? valid : null;
+  }
+
+  /**
+   * Data de expiração; datas sem hora valem até o fim do dia (UTC)
+   * @private
+   */
+  _expiry(value) {
+    if (typeof value !== 'string') return null;
+
+    const text = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value;
+    const date = new Date(text);
+
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Valida score mínimo (0-100)
+   * @private
+   */
+  _score(value, name, errors) {
+    if (value === undefined || value === null) return null;
+
+    if (!Number.isInteger(value) || value < 0 || value > 100) {
+      errors.push(`${name} deve ser um inteiro entre 0 e 100`);
+      return null;
+    }
+
+    return value;
+  }
+
+  /**
+   * Valida seção opcional em formato de objeto
+   * @private
+   */
+  _object(value, name, errors) {
+    if (value === undefined || value === null) return {};
+
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${name} deve ser um objeto`);
+      return {};
+    }
+
+    return value;
+  }
+
+  /**
+   * Hostname da URL analisada
+   * @private
+   */
+  _hostOf(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Cria erro para política inválida
+   * @private
+   */
+  _invalidPolicy(details) {
+    const error = new Error('Política de segurança inválida');
+    error.statusCode = 400;
+    error.code = 'INVALID_POLICY';
+    error.details = details;
+    return error;
+  }
+}
+
+module.exports = new PolicyEngine();
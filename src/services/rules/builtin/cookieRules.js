@@ -0,0 +1,538 @@
+const { COOKIE_SECURITY } = require('../../../config/security');
+const { ANALYSIS_CONFIG } = require('../../../utils/constants');
+
+/**
+ * Motivos de rejeição pelo navegador já reportados por regras específicas
+ */
+const REJECTIONS_COVERED = ['domain_mismatch', 'domain_public_suffix', 'invalid_prefix', 'samesite_none_insecure', 'partitioned_insecure'];
+
+/**
+ * Ajustes em que o navegador descarta um atributo definido pelo servidor
+ */
+const IGNORED_ATTRIBUTES = ['samesite_invalid', 'max_age_invalid', 'expires_invalid', 'attribute_too_long', 'path_defaulted'];
+
+/**
+ * Motivos de cada navegador (Chromium, Firefox) que satisfazem o filtro, sem repetir mensagens
+ * @param {Object} browsers - Resultado de browserCookieSimulator.simulate
+ * @param {string} field - reasons ou adjustments
+ * @param {Function} filter - Filtro por código
+ * @returns {Array<string>} - Mensagens com os navegadores afetados
+ */
+function browserIssues(browsers, field, filter) {
+  const issues = new Map();
+
+  for (const result of Object.values(browsers || {})) {
+    for (const issue of result[field].filter(item => filter(item.code))) {
+      if (!issues.has(issue.message)) issues.set(issue.message, []);
+      issues.get(issue.message).push(result.browser);
+    }
+  }
+
+  return [...issues].map(([message, names]) => `${message} (${names.join(', ')})`);
+}
+
+/**
+ * Regras embutidas de cookies
+ */
+module.exports = [
+  // Regras por cookie
+  {
+    id: 'missing_secure_flag',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'high',
+    message: 'Cookie sem flag Secure',
+    impact: 'Cookie pode ser transmitido via HTTP não criptografado',
+    remediation: 'Adicione a flag Secure ao cookie',
+    check: ({ cookie }) => !cookie.secure && { severity: cookie.isSensitive ? 'critical' : 'high' }
+  },
+  {
+    id: 'missing_httponly_flag',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'Cookie sem flag HttpOnly',
+    impact: 'Cookie acessível via JavaScript (vulnerável a XSS)',
+    remediation: 'Adicione a flag HttpOnly ao cookie',
+    check: ({ cookie }) => !cookie.httpOnly && { severity: cookie.isSensitive ? 'high' : 'medium' }
+  },
+  {
+    id: 'missing_samesite',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'Cookie sem atributo SameSite',
+    impact: 'Vulnerável a ataques CSRF',
+    remediation: 'Configure SameSite como Strict, Lax ou None conforme necessário',
+    check: ({ cookie }) => !cookie.sameSite
+  },
+  {
+    id: 'samesite_none_without_secure',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'high',
+    message: 'SameSite=None sem flag Secure',
+    impact: 'Configuração inválida, cookie será rejeitado por navegadores modernos',
+    remediation: 'Adicione flag Secure quando usar SameSite=None',
+    check: ({ cookie }) => !!cookie.sameSite && cookie.sameSite.toLowerCase() === 'none' && !cookie.secure
+  },
+  {
+    id: 'partitioned_without_secure',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'high',
+    message: 'Cookie Partitioned sem flag Secure',
+    impact: 'Configuração inválida, cookie será rejeitado por navegadores com suporte a CHIPS',
+    remediation: 'Adicione a flag Secure aos cookies com o atributo Partitioned',
+    check: ({ cookie }) => cookie.partitioned && !cookie.secure
+  },
+  {
+    id: 'partitioned_without_samesite_none',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'info',
+    message: 'Cookie Partitioned sem SameSite=None',
+    impact: 'Sem SameSite=None o cookie não é enviado em contexto de terceiros, e o particionamento não tem efeito',
+    remediation: 'Use SameSite=None com Partitioned em cookies de widgets incorporados, ou remova Partitioned',
+    check: ({ cookie }) => cookie.partitioned && (!cookie.sameSite || cookie.sameSite.toLowerCase() !== 'none')
+  },
+  {
+    id: 'third_party_cookie_not_partitioned',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'Cookie SameSite=None sem Partitioned',
+    impact: 'Deixará de funcionar em contexto de terceiros quando o navegador bloquear cookies de terceiros',
+    remediation: 'Adicione o atributo Partitioned (CHIPS) para manter o cookie em iframes e widgets incorporados',
+    check: ({ cookie }) => !!cookie.sameSite && cookie.sameSite.toLowerCase() === 'none' && cookie.secure && !cookie.partitioned
+  },
+  {
+    id: 'excessive_cookie_lifetime',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'Cookie com duração excessiva',
+    impact: 'Aumenta janela de oportunidade para ataques',
+    remediation: 'Reduza a duração do cookie para o mínimo necessário',
+    check: ({ cookie }) => cookie.isPersistent && cookie.duration > COOKIE_SECURITY.maxAge && {
+      message: `Cookie com duração excessiva: ${Math.round(cookie.duration / (1000 * 60 * 60 * 24))} dias`
+    }
+  },
+  {
+    id: 'unencoded_sensitive_cookie',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'Cookie sensível com valor não codificado',
+    impact: 'Informações sensíveis podem ser facilmente lidas',
+    remediation: 'Codifique ou criptografe valores de cookies sensíveis',
+    check: ({ cookie }) => cookie.isSensitive && !cookie.isEncoded
+  },
+  {
+    id: 'oversized_cookie',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'low',
+    message: 'Cookie muito grande',
+    impact: 'Pode afetar performance e compatibilidade',
+    remediation: 'Reduza o tamanho do cookie ou use storage alternativo',
+    check: ({ cookie }) => cookie.value.length > 4096 && {
+      message: `Cookie muito grande: ${cookie.value.length} caracteres`
+    }
+  },
+  {
+    id: 'suspicious_characters',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'low',
+    message: 'Cookie contém caracteres potencialmente perigosos',
+    impact: 'Pode indicar problemas de sanitização',
+    remediation: 'Sanitize e valide valores de cookies',
+    check: ({ cookie }) => /[<>"'&]/.test(cookie.value)
+  },
+  {
+    id: 'overly_broad_domain',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'low',
+    message: 'Domínio do cookie muito amplo',
+    impact: 'Cookie compartilhado com mais subdomínios que necessário',
+    remediation: 'Use domínio mais específico quando possível',
+    check: ({ cookie }) => cookie.scope.level === 'registrable-domain' && {
+      message: `Domínio do cookie muito amplo: compartilhado com ${cookie.scope.description}`
+    }
+  },
+  {
+    id: 'cookie_domain_public_suffix',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'high',
+    message: 'Cookie com Domain igual a um sufixo público',
+    impact: 'Navegadores rejeitam o cookie; clientes sem a Public Suffix List o compartilham com sites de terceiros',
+    remediation: 'Remova o atributo Domain ou use o domínio registrável do site',
+    check: ({ cookie }) => cookie.scope.level === 'public-suffix' && {
+      message: `Cookie com Domain=${cookie.scope.domain}, um sufixo público`
+    }
+  },
+  {
+    id: 'cookie_domain_mismatch',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'high',
+    message: 'Domain do cookie não corresponde ao host',
+    impact: 'O navegador rejeita o cookie e a funcionalidade que depende dele deixa de funcionar',
+    remediation: 'Use um Domain igual ao host ou a um domínio pai dele, ou remova o atributo',
+    check: ({ cookie }) => cookie.scope.level === 'mismatch' && {
+      message: `Domain=${cookie.scope.domain} não corresponde ao host ${cookie.scope.host}`
+    }
+  },
+  {
+    id: 'broad_path_sensitive_cookie',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'Cookie sensível com path muito amplo',
+    impact: 'Cookie enviado para todas as páginas do site',
+    remediation: 'Use path mais específico para cookies sensíveis',
+    // __Host- exige Path=/: o prefixo já restringe o cookie ao host
+    check: ({ cookie }) => cookie.path === '/' && cookie.isSensitive && cookie.prefix !== '__Host-'
+  },
+  {
+    id: 'invalid_cookie_prefix',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'high',
+    message: 'Cookie com prefixo inválido será descartado pelo navegador',
+    impact: 'O navegador ignora o cookie sem aviso; a funcionalidade que depende dele deixa de funcionar',
+    remediation: 'Cookies __Secure- exigem Secure e HTTPS; cookies __Host- também exigem Path=/ e nenhum Domain',
+    check: ({ cookie }) => cookie.prefixProblems.length > 0 && {
+      message: `Cookie ${cookie.prefix} será descartado pelo navegador: ${cookie.prefixProblems.join(', ')}`
+    }
+  },
+  {
+    id: 'session_cookie_without_host_prefix',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'info',
+    message: 'Cookie sensível sem prefixo __Host-',
+    impact: 'Subdomínios ou conexões HTTP podem sobrescrever o cookie (cookie tossing)',
+    remediation: 'Renomeie para __Host-<nome> com Secure, Path=/ e sem Domain',
+    // Só em HTTPS (o prefixo exige origem segura) e em cookies ainda sem prefixo
+    check: ({ cookie, url }) => cookie.isSensitive && !cookie.prefix && url.startsWith('https://')
+  },
+  {
+    id: 'cookie_rejected_by_browser',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'Set-Cookie rejeitado pelo navegador',
+    impact: 'O navegador descarta o cookie sem aviso; a funcionalidade que depende dele deixa de funcionar',
+    remediation: 'Corrija a linha Set-Cookie: sem caracteres de controle, nome ASCII e nome=valor até 4096 bytes',
+    check: ({ cookie }) => {
+      const reasons = browserIssues(cookie.browsers, 'reasons', code => !REJECTIONS_COVERED.includes(code));
+
+      return reasons.length > 0 && { message: `Cookie ${cookie.name} rejeitado: ${reasons.join('; ')}` };
+    }
+  },
+  {
+    id: 'cookie_attribute_ignored_by_browser',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'low',
+    message: 'Atributo do cookie ignorado pelo navegador',
+    impact: 'O cookie é armazenado com valores padrão diferentes dos pretendidos pelo servidor',
+    remediation: 'Use SameSite=Strict|Lax|None, Max-Age inteiro, Expires em formato HTTP-date e Path iniciado por /',
+    check: ({ cookie }) => {
+      const ignored = browserIssues(cookie.browsers, 'adjustments', code => IGNORED_ATTRIBUTES.includes(code));
+
+      return ignored.length > 0 && { message: `Cookie ${cookie.name}: ${ignored.join('; ')}` };
+    }
+  },
+  {
+    id: 'weak_session_entropy',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'high',
+    message: 'Identificador de sessão com pouca entropia',
+    impact: 'Sessões válidas podem ser adivinhadas por força bruta',
+    remediation: `Gere identificadores com ao menos ${ANALYSIS_CONFIG.MIN_SESSION_ENTROPY_BITS} bits de um gerador criptograficamente seguro`,
+    check: ({ cookie }) => !!cookie.entropy && cookie.entropy.isWeak && {
+      message: `Identificador de sessão com ~${cookie.entropy.effectiveBits} bits de entropia estimada (mínimo: ${ANALYSIS_CONFIG.MIN_SESSION_ENTROPY_BITS})`
+    }
+  },
+  {
+    id: 'predictable_session_id',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'critical',
+    message: 'Identificador de sessão previsível',
+    impact: 'Um atacante pode deduzir identificadores de outras sessões a partir do seu',
+    remediation: 'Gere identificadores aleatórios, sem contadores, timestamps ou valores reaproveitados',
+    check: ({ cookie }) => {
+      const patterns = cookie.entropy?.patterns || [];
+      if (patterns.length === 0) return false;
+
+      // Timestamp sozinho reduz o espaço de busca, mas não entrega a sessão de outro usuário
+      const sequential = patterns.some(pattern => pattern.type !== 'timestamp');
+      return {
+        severity: sequential ? 'critical' : 'medium',
+        message: `Identificador de sessão previsível: ${patterns.map(pattern => pattern.description).join('; ')}`
+      };
+    }
+  },
+  {
+    id: 'jwt_alg_none',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'critical',
+    message: 'JWT com alg: none (sem assinatura)',
+    impact: 'Se o servidor aceitar o token, qualquer cliente pode forjar claims (usuário, papéis, expiração)',
+    remediation: 'Assine os tokens (ex.: ES256 ou RS256) e rejeite alg: none na validação',
+    check: ({ cookie }) => !!cookie.jwt && cookie.jwt.algNone
+  },
+  {
+    id: 'jwt_hmac_public_key',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'high',
+    message: 'JWT HMAC com chave pública ou conhecida',
+    impact: 'Chave conhecida permite forjar tokens; chave pública em HS* indica risco de confusão de algoritmo',
+    remediation: 'Use um segredo aleatório de ao menos 256 bits, ou algoritmo assimétrico com a lista de algoritmos fixa na validação',
+    check: ({ cookie }) => {
+      const jwt = cookie.jwt;
+      if (!jwt || !jwt.symmetric) return false;
+
+      if (jwt.publicSecret) {
+        return { severity: 'critical', message: `JWT ${jwt.alg} assinado com segredo público conhecido ("${jwt.publicSecret}")` };
+      }
+
+      return jwt.publicKeyHints.length > 0 && {
+        message: `JWT ${jwt.alg} com referência a chave pública no header: ${jwt.publicKeyHints.join(', ')}`
+      };
+    }
+  },
+  {
+    id: 'jwt_missing_exp',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'JWT sem claim exp',
+    impact: 'O token nunca expira: um token vazado continua válido indefinidamente',
+    remediation: 'Inclua exp com validade curta e renove o token quando necessário',
+    check: ({ cookie }) => cookie.jwt?.format === 'JWS' && !cookie.jwt.hasExp
+  },
+  {
+    id: 'jwt_long_lifetime',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'JWT com validade muito longa',
+    impact: 'Aumenta a janela em que um token vazado pode ser usado',
+    remediation: 'Reduza a validade do token e use refresh tokens revogáveis',
+    check: ({ cookie }) => !!cookie.jwt && cookie.jwt.lifetime > COOKIE_SECURITY.jwt.maxLifetime && {
+      message: `JWT com validade de ${Math.round(cookie.jwt.lifetime / (1000 * 60 * 60 * 24))} dias`
+    }
+  },
+  {
+    id: 'jwt_sensitive_claims',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'JWT expõe dados sensíveis ao cliente',
+    impact: 'Claims de um JWS são apenas base64url: dados pessoais e papéis ficam legíveis por quem tem o cookie',
+    remediation: 'Mantenha apenas um identificador opaco no token, ou use JWE',
+    check: ({ cookie }) => !!cookie.jwt && cookie.jwt.sensitiveClaims.length > 0 && {
+      // Sem HttpOnly, um XSS também lê as claims
+      severity: cookie.httpOnly ? 'medium' : 'high',
+      message: `JWT expõe claims sensíveis ao cliente: ${cookie.jwt.sensitiveClaims.join(', ')}`
+    }
+  },
+  {
+    id: 'non_essential_cookie_before_consent',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'medium',
+    message: 'Cookie não essencial definido antes do consentimento',
+    impact: 'LGPD e GDPR exigem consentimento prévio para cookies que não são estritamente necessários',
+    remediation: 'Defina o cookie somente depois que o usuário aceitar a categoria correspondente no banner de consentimento',
+    check: ({ cookie }) => !!cookie.catalog && cookie.catalog.requiresConsent && {
+      severity: cookie.catalog.category === 'functional' ? 'low' : 'medium',
+      message: `Cookie ${cookie.catalog.vendor} (${cookie.catalog.categoryLabel}) definido antes do consentimento`
+    }
+  },
+  {
+    id: 'cookie_retention_exceeds_catalog',
+    category: 'cookies',
+    target: 'cookie',
+    severity: 'low',
+    message: 'Retenção do cookie acima do padrão do fornecedor',
+    impact: 'Guardar dados por mais tempo que o necessário contraria o princípio de minimização (LGPD art. 6º, GDPR art. 5º)',
+    remediation: 'Reduza Max-Age/Expires para a duração típica indicada no catálogo',
+    check: ({ cookie }) => !!cookie.catalog && cookie.isPersistent && cookie.retentionDays > cookie.catalog.lifetimeDays && {
+      message: `Retenção de ${cookie.retentionDays} dia(s) acima do padrão para ${cookie.catalog.vendor}: ${
+        cookie.catalog.lifetimeDays === 0 ? 'cookie de sessão' : `${cookie.catalog.lifetimeDays} dia(s)`
+      }`
+    }
+  },
+
+  // Regras sobre o conjunto de cookies da resposta
+  {
+    id: 'excessive_cookies',
+    category: 'cookies',
+    target: 'cookies',
+    severity: 'low',
+    message: 'Muitos cookies',
+    impact: 'Pode afetar performance e privacidade',
+    remediation: 'Revise a necessidade de todos os cookies',
+    check: ({ cookies }) => cookies.length > 10 && { message: `Muitos cookies: ${cookies.length}` }
+  },
+  {
+    id: 'low_secure_cookie_ratio',
+    category: 'cookies',
+    target: 'cookies',
+    severity: 'high',
+    message: 'Poucos cookies com flag Secure',
+    impact: 'Múltiplos cookies vulneráveis a interceptação',
+    remediation: 'Adicione flag Secure a todos os cookies',
+    check: ({ cookies, summary }) => {
+      const ratio = summary.secure / cookies.length;
+      return ratio < 0.8 && { message: `Apenas ${Math.round(ratio * 100)}% dos cookies têm flag Secure` };
+    }
+  },
+  {
+    id: 'low_httponly_ratio',
+    category: 'cookies',
+    target: 'cookies',
+    severity: 'medium',
+    message: 'Poucos cookies com flag HttpOnly',
+    impact: 'Múltiplos cookies vulneráveis a acesso via JavaScript',
+    remediation: 'Adicione flag HttpOnly aos cookies que não precisam ser acessados via JS',
+    check: ({ cookies, summary }) => {
+      const ratio = summary.httpOnly / cookies.length;
+      return ratio < 0.6 && { message: `Apenas ${Math.round(ratio * 100)}% dos cookies têm flag HttpOnly` };
+    }
+  },
+  {
+    id: 'no_session_cookies',
+    category: 'cookies',
+    target: 'cookies',
+    severity: 'low',
+    message: 'Apenas cookies persistentes detectados',
+    impact: 'Dados ficam armazenados mesmo após fechar o navegador',
+    remediation: 'Considere usar cookies de sessão quando apropriado',
+    check: ({ summary }) => summary.sessionCookies === 0 && summary.persistent > 0
+  },
+  {
+    id: 'duplicate_cookie',
+    category: 'cookies',
+    target: 'cookies',
+    severity: 'low',
+    message: 'Cookie definido mais de uma vez',
+    impact: 'Apenas o último Set-Cookie prevalece; atributos das definições anteriores são descartados',
+    remediation: 'Defina cada cookie uma única vez por resposta',
+    check: ({ duplicates }) => duplicates
+      // Apagar e redefinir o cookie na mesma resposta é um padrão comum, não duplicação
+      .filter(duplicate => duplicate.storedCopies === 1 && duplicate.activeCount > 1)
+      .map(duplicate => ({
+        cookie: duplicate.name,
+        message: `Cookie ${duplicate.name} definido ${duplicate.activeCount} vezes`
+      }))
+  },
+  {
+    id: 'conflicting_cookie_attributes',
+    category: 'cookies',
+    target: 'cookies',
+    severity: 'medium',
+    message: 'Cópias do cookie com atributos de segurança diferentes',
+    impact: 'A proteção efetiva depende de qual Set-Cookie o navegador processa por último',
+    remediation: 'Use os mesmos atributos em todas as definições do cookie',
+    check: ({ duplicates }) => duplicates
+      .filter(duplicate => duplicate.conflicts.length > 0)
+      .map(duplicate => ({
+        cookie: duplicate.name,
+        message: `Cópias de ${duplicate.name} divergem em: ${duplicate.conflicts.join(', ')}`
+      }))
+  },
+  {
+    id: 'shadowed_cookie',
+    category: 'cookies',
+    target: 'cookies',
+    severity: 'medium',
+    message: 'Cookie com várias cópias armazenadas (risco de sombreamento)',
+    impact: 'O navegador envia todas as cópias e o servidor pode ler a errada; base para ataques de cookie tossing',
+    remediation: 'Use um único Domain/Path por cookie e o prefixo __Host- em cookies sensíveis',
+    check: ({ duplicates }) => duplicates
+      .filter(duplicate => duplicate.storedCopies > 1)
+      .map(duplicate => ({
+        cookie: duplicate.name,
+        severity: duplicate.isSensitive ? 'high' : 'medium',
+        message: duplicate.parentDomainOverride
+          ? `Cópia de ${duplicate.name} com Domain de domínio pai pode sobrepor a cópia host-only`
+          : `${duplicate.storedCopies} cópias de ${duplicate.name} com Domain/Path diferentes`
+      }))
+  },
+  {
+    id: 'tracking_cookies_detected',
+    category: 'cookies',
+    target: 'cookies',
+    severity: 'info',
+    message: 'Possíveis cookies de tracking detectados',
+    impact: 'Pode afetar privacidade dos usuários',
+    remediation: 'Certifique-se de ter consentimento adequado para cookies de tracking',
+    check: ({ cookies }) => {
+      const tracking = cookies.filter(cookie => cookie.isTracking);
+      return tracking.length > 0 && {
+        message: `${tracking.length} possível(is) cookie(s) de tracking detectado(s)`
+      };
+    }
+  },
+
+  // Regras da comparação entre as variantes http:// e https:// (opção compareSchemes)
+  {
+    id: 'cookie_set_over_http',
+    category: 'cookies',
+    target: 'schemes',
+    severity: 'high',
+    message: 'Cookie emitido via HTTP sem criptografia',
+    impact: 'Um atacante na rede lê ou altera o cookie, mesmo que a versão HTTPS o defina com Secure',
+    remediation: 'Na variante HTTP, responda apenas com um redirecionamento para HTTPS, sem Set-Cookie',
+    check: ({ comparison, cookies }) => comparison.cookiesOverHttp.map(cookie => {
+      const sensitive = cookies.some(analyzed => analyzed.name === cookie.name && analyzed.isSensitive);
+
+      return {
+        cookie: cookie.name,
+        setBy: cookie.setBy,
+        severity: sensitive ? 'critical' : 'high',
+        message: cookie.beforeRedirect
+          ? `Cookie ${cookie.name} emitido via HTTP antes do redirecionamento para HTTPS`
+          : `Cookie ${cookie.name} emitido via HTTP em ${cookie.setBy}`
+      };
+    })
+  },
+  {
+    id: 'http_overwrites_secure_cookie',
+    category: 'cookies',
+    target: 'schemes',
+    severity: 'high',
+    message: 'Variante HTTP tenta sobrescrever cookie Secure',
+    impact: 'Navegadores antigos aceitam a sobrescrita, permitindo fixar ou trocar o cookie do site HTTPS',
+    remediation: 'Não emita via HTTP cookies que o site HTTPS define com Secure; use o prefixo __Host- ou __Secure-',
+    check: ({ comparison }) => comparison.overwriteAttempts.map(cookie => ({
+      cookie: cookie.name,
+      setBy: cookie.setBy,
+      message: `Resposta HTTP redefine o cookie Secure ${cookie.name}`
+    }))
+  },
+  {
+    id: 'http_without_https_redirect',
+    category: 'cookies',
+    target: 'schemes',
+    severity: 'medium',
+    message: 'Variante HTTP não redireciona para HTTPS',
+    impact: 'Usuários que digitam o endereço sem https:// navegam sem criptografia',
+    remediation: 'Redirecione todas as requisições HTTP para HTTPS (301/308) e ative HSTS',
+    check: ({ comparison }) => comparison.reachable && !comparison.redirectsToHttps && {
+      message: `${comparison.httpUrl} responde via HTTP sem redirecionar para HTTPS`
+    }
+  }
+];
@@ -0,0 +1,445 @@
+const { SECURITY_HEADERS } = require('../../../config/security');
+
+/**
+ * Impacto de cada header de segurança ausente
+ */
+const MISSING_HEADER_IMPACTS = {
+  'Content-Security-Policy': 'Site vulnerável a ataques XSS e injeção de código',
+  'Strict-Transport-Security': 'Conexões HTTP não forçadas para HTTPS',
+  'X-Frame-Options': 'Site pode ser incorporado em iframes maliciosos',
+  'X-Content-Type-Options': 'Navegador pode interpretar incorretamente tipos de arquivo',
+  'Referrer-Policy': 'Informações do referenciador podem vazar',
+  'Permissions-Policy': 'Acesso irrestrito a APIs do navegador',
+  'Cross-Origin-Opener-Policy': 'Janelas de outras origens mantêm referência à página (window.opener, XS-Leaks)',
+  'Cross-Origin-Embedder-Policy': 'Página não pode usar isolamento entre origens (crossOriginIsolated)',
+  'Cross-Origin-Resource-Policy': 'Qualquer origem pode incorporar a resposta'
+};
+
+/**
+ * Valores válidos dos headers de isolamento entre origens
+ */
+const CROSS_ORIGIN_VALUES = {
+  'Cross-Origin-Opener-Policy': ['same-origin', 'same-origin-allow-popups', 'noopener-allow-popups', 'unsafe-none'],
+  'Cross-Origin-Embedder-Policy': ['require-corp', 'credentialless', 'unsafe-none'],
+  'Cross-Origin-Resource-Policy': ['same-origin', 'same-site', 'cross-origin']
+};
+
+/**
+ * Headers opcionais (sem penalidade no score) só reportados como ausentes quando o contexto exige:
+ * COEP quando o COOP same-origin indica que a página busca crossOriginIsolated; CORP nunca
+ * (o risco real, CORP cross-origin com cookies de autenticação, tem regra própria)
+ */
+const CONDITIONAL_HEADERS = {
+  'Cross-Origin-Embedder-Policy': isolation => isolation?.coop === 'same-origin',
+  'Cross-Origin-Resource-Policy': () => false
+};
+
+const VALID_REFERRER_POLICIES = [
+  'no-referrer', 'no-referrer-when-downgrade', 'origin',
+  'origin-when-cross-origin', 'same-origin', 'strict-origin',
+  'strict-origin-when-cross-origin', 'unsafe-url'
+];
+
+/**
+ * Problemas da avaliação da CSP dos tipos informados, como achados com diretiva e fonte
+ * @param {Object} csp - Resultado de cspEvaluator.evaluate
+ * @param {Array<string>} kinds - Tipos de problema
+ * @param {Function} severity - Severidade por problema (opcional; padrão: a da regra)
+ * @returns {Array<Object>}
+ */
+function cspIssues(csp, kinds, severity = null) {
+  return (csp?.issues || [])
+    .filter(issue => kinds.includes(issue.kind))
+    .map(issue => ({
+      directive: issue.directive,
+      source: issue.source || undefined,
+      message: issue.message,
+      ...(severity && { severity: severity(issue) })
+    }));
+}
+
+/**
+ * Regras embutidas de headers de segurança
+ */
+module.exports = [
+  // Regras sobre a resposta completa
+  {
+    id: 'missing_header',
+    category: 'headers',
+    target: 'response',
+    severity: 'medium',
+    message: 'Header de segurança ausente',
+    // Com Report-Only a CSP ausente é reportada por csp_report_only
+    check: ({ missing, reportOnly, isolation }) => missing
+      .filter(header => !(reportOnly && header === 'Content-Security-Policy'))
+      .filter(header => !CONDITIONAL_HEADERS[header] || CONDITIONAL_HEADERS[header](isolation))
+      .map(header => ({
+        header,
+        severity: SECURITY_HEADERS[header].severity,
+        message: `Header ${header} ausente`,
+        description: SECURITY_HEADERS[header].description,
+        impact: MISSING_HEADER_IMPACTS[header] || 'Redução na segurança geral',
+        weight: SECURITY_HEADERS[header].weight
+      }))
+  },
+
+  {
+    id: 'csp_report_only',
+    category: 'headers',
+    target: 'response',
+    severity: 'medium',
+    message: 'CSP apenas em modo de monitoramento (Report-Only)',
+    impact: 'Violações são reportadas, mas nenhum script é bloqueado: o site continua sem proteção contra XSS',
+    remediation: 'Depois de revisar os relatórios, publique a política como Content-Security-Policy',
+    check: ({ reportOnly, csp }) => !!reportOnly && !csp && {
+      header: 'Content-Security-Policy-Report-Only',
+      message: `CSP apenas em modo de monitoramento (Report-Only): ${reportOnly.enforcement.message}`
+    }
+  },
+  {
+    id: 'csp_reporting_misconfigured',
+    category: 'headers',
+    target: 'response',
+    severity: 'low',
+    message: 'Relatórios de CSP mal configurados',
+    impact: 'Violações da política não chegam ao servidor de relatórios',
+    remediation: 'Declare o grupo de report-to em Reporting-Endpoints, com URL HTTPS',
+    check: ({ csp, reportOnly, reporting }) => [
+      ...reporting.errors.map(error => ({ header: 'Report-To', message: error })),
+      // Sem destino só é problema na Report-Only, cuja única função é reportar
+      ...(csp?.reporting.problems || []).filter(problem => problem.code !== 'no_destination')
+        .map(problem => ({ header: 'Content-Security-Policy', message: problem.message })),
+      ...(reportOnly?.reporting.problems || [])
+        .map(problem => ({ header: 'Content-Security-Policy-Report-Only', message: problem.message }))
+    ]
+  },
+
+  {
+    id: 'coop_unsafe_with_auth_cookies',
+    category: 'headers',
+    target: 'response',
+    severity: 'medium',
+    message: 'Página com cookies de autenticação sem isolamento de janela (COOP)',
+    impact: 'Sites que abrem a página mantêm window.opener e podem explorar XS-Leaks contra a sessão do usuário',
+    remediation: 'Use Cross-Origin-Opener-Policy: same-origin (ou same-origin-allow-popups se a página abre popups de login)',
+    check: ({ isolation }) => isolation.authCookies.length > 0 && (!isolation.coop || isolation.coop === 'unsafe-none') && {
+      header: 'Cross-Origin-Opener-Policy',
+      message: `${isolation.coop ? 'COOP unsafe-none' : 'Sem COOP'} em página que define cookies de autenticação (${isolation.authCookies.join(', ')})`
+    }
+  },
+  {
+    id: 'coep_without_coop_isolation',
+    category: 'headers',
+    target: 'response',
+    severity: 'low',
+    message: 'COEP sem COOP same-origin não isola a página',
+    impact: 'A página paga o custo do COEP sem obter crossOriginIsolated (SharedArrayBuffer, timers precisos)',
+    remediation: 'Combine COEP require-corp (ou credentialless) com Cross-Origin-Opener-Policy: same-origin',
+    check: ({ isolation }) => isolation.coepEnabled && isolation.coop !== 'same-origin' && {
+      header: 'Cross-Origin-Embedder-Policy',
+      message: `COEP ${isolation.coep} com COOP ${isolation.coop || 'ausente'}: a página não fica crossOriginIsolated`
+    }
+  },
+  {
+    id: 'corp_cross_origin_with_auth_cookies',
+    category: 'headers',
+    target: 'response',
+    severity: 'low',
+    message: 'CORP cross-origin em resposta com cookies de autenticação',
+    impact: 'Qualquer origem pode incorporar a resposta autenticada, expondo-a a leituras por canal lateral (Spectre)',
+    remediation: 'Use Cross-Origin-Resource-Policy: same-origin ou same-site em respostas com dados do usuário',
+    check: ({ isolation }) => isolation.corp === 'cross-origin' && isolation.authCookies.length > 0 && {
+      header: 'Cross-Origin-Resource-Policy'
+    }
+  },
+
+  // Content-Security-Policy (avaliada por cspEvaluator: cada achado traz diretiva e fonte)
+  {
+    id: 'missing_csp_directives',
+    category: 'headers',
+    target: 'header',
+    header: 'Content-Security-Policy',
+    severity: 'high',
+    message: 'Diretivas CSP críticas ausentes',
+    impact: 'Proteção incompleta contra XSS',
+    remediation: "Defina default-src (ou script-src e object-src); use object-src 'none'",
+    check: ({ csp }) => cspIssues(csp, ['missing'])
+  },
+  {
+    id: 'unsafe_csp_directives',
+    category: 'headers',
+    target: 'header',
+    header: 'Content-Security-Policy',
+    severity: 'medium',
+    message: 'Uso de diretivas inseguras',
+    impact: 'Reduz eficácia da proteção CSP',
+    remediation: "Substitua 'unsafe-inline' e 'unsafe-eval' por nonces ou hashes (com 'strict-dynamic')",
+    // 'unsafe-inline' em scripts anula a proteção contra XSS; em estilos, permite apenas injeção de CSS
+    check: ({ csp }) => cspIssues(csp, ['unsafe_inline', 'unsafe_eval'], issue =>
+      issue.kind === 'unsafe_eval' ? 'medium' : (issue.scriptLike ? 'high' : 'low'))
+  },
+  {
+    id: 'csp_wildcard_script',
+    category: 'headers',
+    target: 'header',
+    header: 'Content-Security-Policy',
+    severity: 'high',
+    message: 'Wildcard (*) em fonte de scripts',
+    impact: 'Permite execução de scripts de qualquer origem',
+    remediation: "Liste explicitamente as origens confiáveis ou use nonces com 'strict-dynamic'",
+    check: ({ csp }) => cspIssues(csp, ['wildcard'])
+  },
+  {
+    id: 'csp_insecure_scheme_source',
+    category: 'headers',
+    target: 'header',
+    header: 'Content-Security-Policy',
+    severity: 'high',
+    message: 'Esquema permissivo em fonte de scripts',
+    impact: 'data:, https: e afins liberam scripts de qualquer origem com o esquema; http: permite injeção na rede',
+    remediation: "Remova fontes de esquema (data:, blob:, https:) de script-src e object-src; use nonces ou hashes",
+    check: ({ csp }) => cspIssues(csp, ['scheme'], issue => issue.scheme === 'blob:' ? 'medium' : 'high')
+  },
+  {
+    id: 'csp_allowlist_bypass',
+    category: 'headers',
+    target: 'header',
+    header: 'Content-Security-Policy',
+    severity: 'high',
+    message: 'Host em script-src permite contornar a CSP',
+    impact: 'Endpoints JSONP ou bibliotecas AngularJS do host permitem executar scripts arbitrários',
+    remediation: "Troque a allowlist de hosts por nonces ou hashes com 'strict-dynamic'",
+    check: ({ csp }) => cspIssues(csp, ['bypass'])
+  },
+  {
+    id: 'csp_unrestricted_base_uri',
+    category: 'headers',
+    target: 'header',
+    header: 'Content-Security-Policy',
+    severity: 'medium',
+    message: 'base-uri ausente ou sem restrição',
+    impact: 'Uma tag <base> injetada redireciona scripts relativos, inclusive os que usam nonce',
+    remediation: "Adicione base-uri 'none' (ou 'self')",
+    check: ({ csp }) => cspIssues(csp, ['base_uri'])
+  },
+  {
+    id: 'csp_unrestricted_form_action',
+    category: 'headers',
+    target: 'header',
+    header: 'Content-Security-Policy',
+    severity: 'low',
+    message: 'form-action ausente ou sem restrição',
+    impact: 'Formulários injetados podem enviar dados para qualquer origem',
+    remediation: "Adicione form-action 'self' (e as origens que recebem formulários)",
+    check: ({ csp }) => cspIssues(csp, ['form_action'])
+  },
+  {
+    id: 'csp_unrestricted_frame_ancestors',
+    category: 'headers',
+    target: 'header',
+    header: 'Content-Security-Policy',
+    severity: 'low',
+    message: 'frame-ancestors ausente ou sem restrição',
+    impact: 'A página pode ser incorporada por outros sites (clickjacking) se X-Frame-Options também faltar',
+    remediation: "Adicione frame-ancestors 'none' (ou 'self')",
+    check: ({ csp }) => cspIssues(csp, ['frame_ancestors'])
+  },
+
+  // Cross-Origin-Opener-Policy, Cross-Origin-Embedder-Policy e Cross-Origin-Resource-Policy
+  {
+    id: 'invalid_cross_origin_policy',
+    category: 'headers',
+    target: 'header',
+    severity: 'medium',
+    message: 'Valor inválido em header de isolamento entre origens',
+    impact: 'O navegador ignora o header e aplica o padrão permissivo',
+    remediation: 'Use COOP same-origin, COEP require-corp (ou credentialless) e CORP same-origin ou same-site',
+    check: ({ name, parsed }) => !!CROSS_ORIGIN_VALUES[name] && !CROSS_ORIGIN_VALUES[name].includes(parsed.value) && {
+      message: `${name}: valor inválido "${parsed.value}" (válidos: ${CROSS_ORIGIN_VALUES[name].join(', ')})`
+    }
+  },
+
+  // Strict-Transport-Security
+  {
+    id: 'hsts_short_max_age',
+    category: 'headers',
+    target: 'header',
+    header: 'Strict-Transport-Security',
+    severity: 'medium',
+    message: 'Max-age muito baixo',
+    impact: 'HSTS pode não ser efetivo para proteção a longo prazo',
+    remediation: 'Use max-age de pelo menos 31536000 segundos (1 ano)',
+    check: ({ parsed }) => (!parsed.maxAge || parsed.maxAge < 31536000) && {
+      message: `Max-age muito baixo: ${parsed.maxAge || 0} segundos`
+    }
+  },
+  {
+    id: 'hsts_preload_not_eligible',
+    category: 'headers',
+    target: 'response',
+    severity: 'info',
+    message: 'Domínio não elegível para a lista de HSTS preload',
+    impact: 'A primeira visita de cada navegador ainda pode ser feita via HTTP e interceptada',
+    remediation: 'Complete o checklist de preload e envie o domínio em hstspreload.org',
+    check: ({ preload }) => {
+      if (!preload?.applicable || preload.eligible) return false;
+
+      const pending = preload.steps.filter(step => !step.passed);
+
+      // O header já pede preload: o envio à lista seria recusado
+      return {
+        ...(preload.params?.preload && { severity: 'low' }),
+        message: `${preload.domain}: ${pending.length} requisito(s) de preload pendente(s): ${pending.map(step => step.label).join('; ')}`
+      };
+    }
+  },
+
+  // X-Frame-Options
+  {
+    id: 'deprecated_allow_from',
+    category: 'headers',
+    target: 'header',
+    header: 'X-Frame-Options',
+    severity: 'low',
+    message: 'ALLOW-FROM é obsoleto, use CSP frame-ancestors',
+    impact: 'Não suportado por navegadores modernos',
+    remediation: 'Use a diretiva frame-ancestors da CSP',
+    check: ({ value }) => value.toLowerCase().startsWith('allow-from')
+  },
+  {
+    id: 'invalid_x_frame_options',
+    category: 'headers',
+    target: 'header',
+    header: 'X-Frame-Options',
+    severity: 'medium',
+    message: 'Valor inválido',
+    impact: 'Header não oferece proteção',
+    remediation: 'Use DENY ou SAMEORIGIN',
+    check: ({ value }) => {
+      const normalized = value.toLowerCase();
+      const valid = normalized === 'deny' || normalized === 'sameorigin' || normalized.startsWith('allow-from');
+      return !valid && { message: `Valor inválido: ${value}` };
+    }
+  },
+
+  // X-Content-Type-Options
+  {
+    id: 'invalid_x_content_type_options',
+    category: 'headers',
+    target: 'header',
+    header: 'X-Content-Type-Options',
+    severity: 'medium',
+    message: "Valor deve ser 'nosniff'",
+    impact: 'Não previne MIME sniffing',
+    remediation: 'Use X-Content-Type-Options: nosniff',
+    check: ({ value }) => value.toLowerCase() !== 'nosniff' && {
+      message: `Valor deve ser 'nosniff', encontrado: ${value}`
+    }
+  },
+
+  // Referrer-Policy
+  {
+    id: 'invalid_referrer_policy',
+    category: 'headers',
+    target: 'header',
+    header: 'Referrer-Policy',
+    severity: 'low',
+    message: 'Políticas inválidas',
+    impact: 'Pode não funcionar como esperado',
+    remediation: 'Use strict-origin-when-cross-origin ou no-referrer',
+    check: ({ value }) => {
+      const invalid = value.split(',').map(p => p.trim().toLowerCase()).filter(p => !VALID_REFERRER_POLICIES.includes(p));
+      return invalid.length > 0 && { message: `Políticas inválidas: ${invalid.join(', ')}` };
+    }
+  },
+
+  // X-XSS-Protection
+  {
+    id: 'obsolete_header',
+    category: 'headers',
+    target: 'header',
+    header: 'X-XSS-Protection',
+    severity: 'info',
+    message: 'X-XSS-Protection é obsoleto, use CSP',
+    impact: 'Substituído por Content Security Policy',
+    check: () => true
+  },
+  {
+    id: 'xss_protection_disabled',
+    category: 'headers',
+    target: 'header',
+    header: 'X-XSS-Protection',
+    severity: 'low',
+    message: 'Proteção XSS desabilitada',
+    impact: 'Não oferece proteção contra XSS em navegadores antigos',
+    check: ({ value }) => value === '0'
+  },
+  {
+    id: 'invalid_xss_protection',
+    category: 'headers',
+    target: 'header',
+    header: 'X-XSS-Protection',
+    severity: 'low',
+    message: 'Valor inválido',
+    impact: 'Header não oferece proteção',
+    check: ({ value }) => !['0', '1', '1; mode=block'].includes(value) && { message: `Valor inválido: ${value}` }
+  },
+
+  // Sondagem CORS com origens forjadas (opção probeCors)
+  {
+    id: 'cors_reflected_origin_with_credentials',
+    category: 'headers',
+    target: 'cors',
+    severity: 'critical',
+    message: 'CORS aceita origem de terceiros com credenciais',
+    impact: 'Qualquer site visitado pelo usuário lê as respostas autenticadas (dados pessoais, tokens CSRF)',
+    remediation: 'Compare Origin com uma lista fixa de origens confiáveis, por igualdade, antes de enviar Access-Control-Allow-Credentials',
+    check: ({ target }) => {
+      const reflected = target.probes.filter(probe => probe.kind !== 'null' && probe.allowed && probe.allowCredentials);
+      const arbitrary = reflected.find(probe => probe.kind === 'arbitrary');
+
+      if (arbitrary) {
+        return { origin: arbitrary.origin, message: `${target.url} reflete qualquer Origin com Access-Control-Allow-Credentials: true` };
+      }
+
+      // Só origens parecidas passam: validação por prefixo, sufixo ou regex sem âncora
+      return reflected.length > 0 && {
+        severity: 'high',
+        origin: reflected[0].origin,
+        message: `${target.url} aceita com credenciais a origem forjada ${reflected.map(probe => probe.origin).join(', ')}`
+      };
+    }
+  },
+  {
+    id: 'cors_wildcard_with_credentials',
+    category: 'headers',
+    target: 'cors',
+    severity: 'medium',
+    message: 'Access-Control-Allow-Origin: * combinado com Allow-Credentials: true',
+    impact: 'O navegador bloqueia a combinação; costuma indicar uma tentativa de liberar credenciais que acaba trocada por reflexão da origem',
+    remediation: 'Use * apenas em recursos públicos, sem credenciais; para credenciais, liste as origens confiáveis',
+    check: ({ target }) => target.probes.some(probe => probe.wildcard && probe.allowCredentials) && {
+      message: `${target.url} responde Access-Control-Allow-Origin: * com Access-Control-Allow-Credentials: true`
+    }
+  },
+  {
+    id: 'cors_null_origin_trusted',
+    category: 'headers',
+    target: 'cors',
+    severity: 'high',
+    message: 'CORS confia na origem null',
+    impact: 'Iframes sandbox e documentos data: de qualquer site enviam Origin: null e leem a resposta',
+    remediation: 'Nunca inclua null entre as origens permitidas',
+    check: ({ target }) => {
+      const probe = target.probes.find(candidate => candidate.kind === 'null' && candidate.allowed);
+
+      return !!probe && {
+        origin: 'null',
+        ...(!probe.allowCredentials && { severity: 'medium' }),
+        message: probe.allowCredentials
+          ? `${target.url} aceita Origin: null com Access-Control-Allow-Credentials: true`
+          : `${target.url} aceita Origin: null (sem credenciais)`
+      };
+    }
+  }
+];
@@ -0,0 +1,50 @@
+/**
+ * Regras embutidas de HTML
+ */
+module.exports = [
+  // Formulários
+  {
+    id: 'form_password_no_https',
+    category: 'html',
+    target: 'form',
+    severity: 'critical',
+    message: 'Formulário com campo de senha sem HTTPS',
+    impact: 'Senhas podem ser interceptadas',
+    remediation: 'Sirva páginas com formulários de login apenas via HTTPS',
+    check: ({ form, isHttps }) => form.hasPasswordField && !isHttps
+  },
+  {
+    id: 'password_in_get',
+    category: 'html',
+    target: 'form',
+    severity: 'critical',
+    message: 'Campo de senha em formulário GET',
+    impact: 'Senha aparecerá na URL e logs do servidor',
+    remediation: 'Use method="post" em formulários com senha',
+    check: ({ form }) => form.hasPasswordField && form.method === 'get'
+  },
+
+  // Scripts
+  {
+    id: 'script_http_external',
+    category: 'html',
+    target: 'script',
+    severity: 'high',
+    message: 'Script externo carregado via HTTP',
+    impact: 'Script pode ser modificado por atacantes',
+    remediation: 'Carregue scripts externos apenas via HTTPS',
+    check: ({ script }) => script.isExternal && !script.isHttps && script.src.startsWith('http://')
+  },
+
+  // Documento
+  {
+    id: 'missing_charset',
+    category: 'html',
+    target: 'document',
+    severity: 'low',
+    message: 'Meta tag charset ausente',
+    impact: 'Pode causar problemas de encoding',
+    remediation: 'Declare <meta charset="utf-8"> no início do <head>',
+    check: ({ $ }) => $('meta[charset]').length === 0 && $('meta[http-equiv="Content-Type"]').length === 0
+  }
+];
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { VULNERABILITY_TYPES } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+const DEFAULT_RULES_DIR = path.join(__dirname, '../../../rules');
+const SEVERITIES = Object.values(VULNERABILITY_TYPES);
+const ID_PATTERN = /^[a-z0-9][a-z0-9_.-]*$/i;
+
+/**
+ * Alvos disponíveis por categoria e o que cada um recebe em check(context)
+ *
+ *   cookies.cookie   { cookie, url }                        - uma vez por cookie
+ *   cookies.cookies  { cookies, summary, duplicates, url }  - uma vez por resposta
+ *   cookies.schemes  { comparison, cookies, url }           - com a opção compareSchemes (HTTP x HTTPS)
+ *   headers.header   { name, value, parsed, csp, url }      - uma vez por header de segurança presente
+ *                                                             (csp preenchido só na Content-Security-Policy)
+ *   headers.response { headers, present, missing, csp, reporting, reportOnly,
+ *                      isolation, preload, url, isHttps }     - preload é null sem a opção hstsPreload
+ *   headers.cors     { target, url }                        - com a opção probeCors, uma vez por URL sondada
+ *   html.document    { $, html, url, isHttps }
+ *   html.form        { form, $form, url, isHttps }          - uma vez por <form>
+ *   html.script      { script, $script, url }               - uma vez por <script src>
+ */
+const RULE_TARGETS = {
+  cookies: ['cookie', 'cookies', 'schemes'],
+  headers: ['header', 'response', 'cors'],
+  html: ['document', 'form', 'script']
+};
+
+/**
+ * Registro de regras de segurança (embutidas e customizadas)
+ *
+ * Uma regra declara id, category, target, severity, message, impact, remediation
+ * e check(context). O check retorna falso (sem achado), true (achado com os textos
+ * da regra), um objeto que sobrescreve campos do achado ou uma lista de objetos.
+ */
+class RuleRegistry {
+
+  constructor(rulesDir = process.env.SAFE_COOKIE_RULES_PATH || DEFAULT_RULES_DIR) {
+    this.rulesDir = rulesDir;
+    this.rules = new Map();
+    this.loadedDirs = new Set();
+
+    for (const file of ['cookieRules', 'headerRules', 'htmlRules']) {
+      for (const rule of require(`./builtin/${file}`)) {
+        this.register(rule, 'builtin');
+      }
+    }
+  }
+
+  /**
+   * Registra uma regra
+   * @param {Object} rule - Definição da regra
+   * @param {string} source - Origem: builtin ou custom
+   * @param {string} file - Módulo de onde a regra foi carregada (regras customizadas)
+   * @returns {Object} - Regra registrada
+   */
+  register(rule, source = 'custom', file = null) {
+    const errors = this._validate(rule);
+
+    if (errors.length > 0) {
+      throw this._invalidRule(rule?.id, errors);
+    }
+
+    if (this.rules.has(rule.id)) {
+      throw this._invalidRule(rule.id, [`Já existe uma regra com id ${rule.id}`]);
+    }
+
+    const registered = {
+      ...rule,
+      target: rule.target || RULE_TARGETS[rule.category][0],
+      source,
+      file: file && path.basename(file)
+    };
+
+    this.rules.set(rule.id, registered);
+
+    return registered;
+  }
+
+  /**
+   * Carrega regras customizadas de um diretório (cada módulo exporta uma regra ou uma lista)
+   * Módulos inválidos são ignorados e registrados no log
+   * @param {string} dir - Diretório com os módulos .js
+   * @returns {Array<string>} - IDs das regras carregadas
+   */
+  loadDirectory(dir = this.rulesDir) {
+    const resolved = path.resolve(dir);
+    const loaded = [];
+
+    if (this.loadedDirs.has(resolved)) {
+      return loaded;
+    }
+    this.loadedDirs.add(resolved);
+
+    let files;
+    try {
+      files = fs.readdirSync(resolved).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return loaded;
+      throw error;
+    }
+
+    for (const file of files) {
+      const modulePath = path.join(resolved, file);
+
+      try {
+        const exported = require(modulePath);
+        const rules = Array.isArray(exported) ? exported : [exported];
+
+        for (const rule of rules) {
+          loaded.push(this.register(rule, 'custom', modulePath).id);
+        }
+      } catch (error) {
+        logger.errorWithContext(error, { operation: 'load_rule', file: modulePath, details: error.details });
+      }
+    }
+
+    if (loaded.length > 0) {
+      logger.info('Custom rules loaded', { dir: resolved, rules: loaded });
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Executa as regras de uma categoria/alvo e retorna as vulnerabilidades encontradas
+   * @param {string} category - cookies, headers ou html
+   * @param {string} target - Alvo dentro da categoria (ver RULE_TARGETS)
+   * @param {Object} context - Dados entregues a check(context)
+   * @returns {Array<Object>} - Vulnerabilidades no formato dos analisadores
+   */
+  run(category, target, context) {
+    this.loadDirectory();
+
+    const vulnerabilities = [];
+
+    for (const rule of this.rules.values()) {
+      if (rule.category !== category || rule.target !== target) continue;
+      if (rule.header && rule.header.toLowerCase() !== String(context.name).toLowerCase()) continue;
+
+      let result;
+      try {
+        result = rule.check(context);
+      } catch (error) {
+        // Regra com defeito não deve interromper a análise
+        logger.errorWithContext(error, { operation: 'run_rule', ruleId: rule.id, url: context.url });
+        continue;
+      }
+
+      if (!result) continue;
+
+      const findings = result === true ? [{}] : [].concat(result);
+      for (const finding of findings) {
+        vulnerabilities.push(this._toVulnerability(rule, finding));
+      }
+    }
+
+    return vulnerabilities;
+  }
+
+  /**
+   * Lista as regras registradas (sem a função check)
+   * @returns {Array<Object>}
+   */
+  list() {
+    this.loadDirectory();
+
+    return [...this.rules.values()].map(({ check, ...rule }) => rule);
+  }
+
+  /**
+   * Converte o retorno de check em vulnerabilidade
+   * @private
+   */
+  _toVulnerability(rule, finding) {
+    const vulnerability = {
+      type: rule.id,
+      severity: rule.severity,
+      message: rule.message,
+      impact: rule.impact,
+      ...(typeof finding === 'object' ? finding : {})
+    };
+
+    // O id da regra identifica o achado (supressões, SARIF); check não pode trocá-lo
+    vulnerability.type = rule.id;
+
+    if (rule.remediation && !vulnerability.solution) {
+      vulnerability.solution = rule.remediation;
+    }
+
+    if (rule.source === 'custom') {
+      vulnerability.custom = true;
+    }
+
+    for (const key of Object.keys(vulnerability)) {
+      if (vulnerability[key] === undefined) delete vulnerability[key];
+    }
+
+    return vulnerability;
+  }
+
+  /**
+   * Valida a definição de uma regra
+   * @private
+   */
+  _validate(rule) {
+    if (rule === null || typeof rule !== 'object') {
+      return ['A regra deve ser um objeto'];
+    }
+
+    const errors = [];
+
+    if (typeof rule.id !== 'string' || !ID_PATTERN.test(rule.id)) {
+      errors.push('id deve ser um texto com letras, números, "_", "." ou "-"');
+    }
+
+    if (!RULE_TARGETS[rule.category]) {
+      errors.push(`category deve ser uma de: ${Object.keys(RULE_TARGETS).join(', ')}`);
+    } else if (rule.target !== undefined && !RULE_TARGETS[rule.category].includes(rule.target)) {
+      errors.push(`target de ${rule.category} deve ser um de: ${RULE_TARGETS[rule.category].join(', ')}`);
+    }
+
+    if (!SEVERITIES.includes(rule.severity)) {
+      errors.push(`severity deve ser uma de: ${SEVERITIES.join(', ')}`);
+    }
+
+    if (typeof rule.check !== 'function') {
+      errors.push('check deve ser uma função');
+    }
+
+    if (typeof rule.message !== 'string' || !rule.message.trim()) {
+      errors.push('message é obrigatória');
+    }
+
+    if (rule.remediation !== undefined && typeof rule.remediation !== 'string') {
+      errors.push('remediation deve ser um texto');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Cria erro para regra inválida
+   * @private
+   */
+  _invalidRule(id, details) {
+    const error = new Error(`Regra inválida${id ? `: ${id}` : ''}`);
+    error.code = 'INVALID_RULE';
+    error.details = details;
+    return error;
+  }
+}
+
+module.exports = new RuleRegistry();
+module.exports.RULE_TARGETS = RULE_TARGETS;
@@ -0,0 +1,379 @@
+const { REGEX } = require('../../utils/constants');
+const publicSuffix = require('../network/publicSuffix');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Limites de armazenamento comuns aos navegadores (RFC 6265bis, seção 5.6)
+ */
+const MAX_PAIR_BYTES = 4096;
+const MAX_ATTRIBUTE_BYTES = 1024;
+const MAX_LIFETIME_DAYS = 400;
+
+/**
+ * Diferenças de comportamento modeladas por navegador
+ * - laxByDefault: cookie sem SameSite válido é tratado como Lax (Chromium 80+)
+ * - noneRequiresSecure: SameSite=None sem Secure é rejeitado
+ * - partitionedRequiresSecure: Partitioned sem Secure rejeita o cookie (no Firefox o atributo é ignorado)
+ */
+const BROWSERS = {
+  chromium: { label: 'Chromium', laxByDefault: true, noneRequiresSecure: true, partitionedRequiresSecure: true },
+  firefox: { label: 'Firefox', laxByDefault: false, noneRequiresSecure: false, partitionedRequiresSecure: false }
+};
+
+const CONTROL_CHARACTERS = /[\x00-\x08\x0A-\x1F\x7F]/;
+const NON_ASCII = /[^\x20-\x7E]/;
+
+/**
+ * Tokens de data do Expires (RFC 6265bis, seção 5.1.1); o restante do token após o valor é ignorado
+ */
+const DATE_DELIMITERS = /[\x09\x20-\x2F\x3B-\x40\x5B-\x60\x7B-\x7E]+/;
+const DATE_TIME = /^(\d{1,2}):(\d{1,2}):(\d{1,2})(?:\D[\s\S]*)?$/;
+const DATE_DAY = /^(\d{1,2})(?:\D[\s\S]*)?$/;
+const DATE_YEAR = /^(\d{2,4})(?:\D[\s\S]*)?$/;
+const DATE_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Simulação do armazenamento de um Set-Cookie pelo Chromium e pelo Firefox
+ *
+ * Aplica o algoritmo de armazenamento da RFC 6265bis com as diferenças atuais de cada
+ * navegador: o set-cookie-parser aceita linhas que o navegador rejeita (caracteres de
+ * controle, nome não ASCII, par acima de 4096 bytes, Domain fora do host) ou altera
+ * (SameSite inválido, Max-Age não numérico, expiração limitada a 400 dias)
+ */
+class BrowserCookieSimulator {
+
+  /**
+   * Simula o armazenamento de uma linha Set-Cookie em cada navegador
+   * @param {string} header - Linha Set-Cookie como recebida
+   * @param {string} url - URL da resposta que definiu o cookie
+   * @param {Date} now - Momento da análise (para expiração)
+   * @returns {Object} - Por navegador: { browser, stored, deletes, reasons, adjustments, effective }
+   */
+  simulate(header, url, now = new Date()) {
+    const parsed = this._parse(header);
+
+    return Object.fromEntries(Object.entries(BROWSERS).map(([key, browser]) =>
+      [key, this._store(parsed, new URL(url), browser, now.getTime())]
+    ));
+  }
+
+  /**
+   * Interpreta a linha como o navegador: par nome=valor e atributos (o último de cada vence)
+   * @private
+   */
+  _parse(header) {
+    const parsed = { name: '', value: '', attributes: {}, errors: [], adjustments: [] };
+    const line = typeof header === 'string' ? header : '';
+
+    if (CONTROL_CHARACTERS.test(line)) {
+      parsed.errors.push(this._issue('control_characters', 'Contém caracteres de controle'));
+    }
+
+    const [pair, ...attributes] = line.split(';');
+    const separator = pair.indexOf('=');
+
+    // Sem "=", a linha inteira vira o valor de um cookie sem nome
+    parsed.name = separator === -1 ? '' : pair.slice(0, separator).trim();
+    parsed.value = (separator === -1 ? pair : pair.slice(separator + 1)).trim();
+
+    if (!parsed.name && !parsed.value) {
+      parsed.errors.push(this._issue('empty', 'Nome e valor vazios'));
+    }
+
+    if (Buffer.byteLength(parsed.name + parsed.value) > MAX_PAIR_BYTES) {
+      parsed.errors.push(this._issue('oversized', `Nome e valor somam mais de ${MAX_PAIR_BYTES} bytes`));
+    }
+
+    if (NON_ASCII.test(parsed.name)) {
+      parsed.errors.push(this._issue('non_ascii_name', 'Nome com caracteres fora do ASCII'));
+    }
+
+    // Cookie sem nome não pode se passar por um cookie com prefixo
+    if (!parsed.name && /^__(secure|host)-/i.test(parsed.value)) {
+      parsed.errors.push(this._issue('nameless_prefix', 'Cookie sem nome com valor iniciado por __Secure- ou __Host-'));
+    }
+
+    for (const attribute of attributes) {
+      this._parseAttribute(parsed, attribute);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Interpreta um atributo; valores inválidos fazem o navegador ignorar o atributo
+   * @private
+   */
+  _parseAttribute(parsed, attribute) {
+    const separator = attribute.indexOf('=');
+    const name = (separator === -1 ? attribute : attribute.slice(0, separator)).trim().toLowerCase();
+    const value = separator === -1 ? '' : attribute.slice(separator + 1).trim();
+
+    if (!name) return;
+
+    if (Buffer.byteLength(value) > MAX_ATTRIBUTE_BYTES) {
+      parsed.adjustments.push(this._issue('attribute_too_long', `${name} ignorado: valor acima de ${MAX_ATTRIBUTE_BYTES} bytes`));
+      return;
+    }
+
+    switch (name) {
+      case 'expires': {
+        const time = this._parseCookieDate(value);
+        if (time === null) {
+          parsed.adjustments.push(this._issue('expires_invalid', `Expires=${value} ignorado: data inválida`));
+        } else {
+          parsed.attributes.expires = time;
+        }
+        break;
+      }
+      case 'max-age':
+        if (!/^-?\d+$/.test(value)) {
+          parsed.adjustments.push(this._issue('max_age_invalid', `Max-Age=${value} ignorado: não é um número inteiro`));
+        } else {
+          parsed.attributes.maxAge = Number(value);
+        }
+        break;
+      case 'domain':
+        // Domain vazio é ignorado: o cookie fica host-only
+        if (value) {
+          parsed.attributes.domain = value.replace(/^\./, '').toLowerCase();
+        } else {
+          delete parsed.attributes.domain;
+        }
+        break;
+      case 'path':
+        if (value.startsWith('/')) {
+          parsed.attributes.path = value;
+        } else {
+          delete parsed.attributes.path;
+          parsed.adjustments.push(this._issue('path_defaulted', `Path=${value} ignorado: não começa com /`));
+        }
+        break;
+      case 'samesite': {
+        const sameSite = ['strict', 'lax', 'none'].find(candidate => candidate === value.toLowerCase());
+        if (sameSite) {
+          parsed.attributes.sameSite = sameSite.charAt(0).toUpperCase() + sameSite.slice(1);
+        } else {
+          delete parsed.attributes.sameSite;
+          parsed.adjustments.push(this._issue('samesite_invalid', `SameSite=${value} ignorado: valor inválido`));
+        }
+        break;
+      }
+      case 'secure':
+        parsed.attributes.secure = true;
+        break;
+      case 'httponly':
+        parsed.attributes.httpOnly = true;
+        break;
+      case 'partitioned':
+        parsed.attributes.partitioned = true;
+        break;
+      default:
+        // Atributos desconhecidos são ignorados sem aviso
+        break;
+    }
+  }
+
+  /**
+   * Aplica as regras de armazenamento de um navegador ao cookie interpretado
+   * @private
+   */
+  _store(parsed, requestUrl, browser, now) {
+    const { attributes } = parsed;
+    const host = requestUrl.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const secureOrigin = requestUrl.protocol === 'https:' || host === 'localhost' || host === '127.0.0.1';
+    const reasons = [...parsed.errors];
+    const adjustments = [...parsed.adjustments];
+
+    const effective = {
+      domain: host,
+      hostOnly: true,
+      path: attributes.path || this._defaultPath(requestUrl.pathname),
+      secure: !!attributes.secure,
+      httpOnly: !!attributes.httpOnly,
+      sameSite: attributes.sameSite || (browser.laxByDefault ? 'Lax' : 'None'),
+      sameSiteDefault: !attributes.sameSite,
+      partitioned: !!attributes.partitioned,
+      expires: null,
+      session: true
+    };
+
+    if (effective.secure && !secureOrigin) {
+      reasons.push(this._issue('secure_from_insecure_origin', 'Secure definido por origem não segura (HTTP)'));
+    }
+
+    this._applyDomain(attributes.domain, host, effective, reasons, adjustments);
+    this._applyPrefix(parsed.name, attributes, secureOrigin, reasons);
+
+    if (attributes.sameSite === 'None' && !effective.secure && browser.noneRequiresSecure) {
+      reasons.push(this._issue('samesite_none_insecure', 'SameSite=None sem Secure'));
+    }
+
+    if (effective.partitioned && !effective.secure) {
+      if (browser.partitionedRequiresSecure) {
+        reasons.push(this._issue('partitioned_insecure', 'Partitioned sem Secure'));
+      } else {
+        effective.partitioned = false;
+        adjustments.push(this._issue('partitioned_ignored', 'Partitioned ignorado: cookie sem Secure'));
+      }
+    }
+
+    const deletes = this._applyExpiration(attributes, effective, adjustments, now);
+
+    return {
+      browser: browser.label,
+      stored: reasons.length === 0 && !deletes,
+      deletes: reasons.length === 0 && deletes,
+      reasons,
+      adjustments,
+      effective
+    };
+  }
+
+  /**
+   * Valida o atributo Domain contra o host e a Public Suffix List
+   * @private
+   */
+  _applyDomain(domain, host, effective, reasons, adjustments) {
+    if (!domain) return;
+
+    // Em IPs o Domain só é aceito se for o próprio endereço
+    if (REGEX.IPV4.test(host) || host.includes(':')) {
+      if (domain !== host) {
+        reasons.push(this._issue('domain_mismatch', `Domain=${domain} em host IP ${host}`));
+      }
+      return;
+    }
+
+    if (publicSuffix.isPublicSuffix(domain)) {
+      if (domain === host) {
+        adjustments.push(this._issue('domain_public_suffix_host', `Domain=${domain} é sufixo público: cookie fica host-only`));
+      } else {
+        reasons.push(this._issue('domain_public_suffix', `Domain=${domain} é um sufixo público`));
+      }
+      return;
+    }
+
+    if (host !== domain && !host.endsWith(`.${domain}`)) {
+      reasons.push(this._issue('domain_mismatch', `Domain=${domain} não corresponde a ${host}`));
+      return;
+    }
+
+    effective.domain = domain;
+    effective.hostOnly = false;
+  }
+
+  /**
+   * Requisitos dos prefixos __Secure- e __Host- (comparados sem diferenciar maiúsculas)
+   * @private
+   */
+  _applyPrefix(name, attributes, secureOrigin, reasons) {
+    const lowerName = name.toLowerCase();
+    const isHost = lowerName.startsWith('__host-');
+
+    if (!isHost && !lowerName.startsWith('__secure-')) return;
+
+    if (!attributes.secure || !secureOrigin) {
+      reasons.push(this._issue('invalid_prefix', 'Prefixo exige Secure e origem HTTPS'));
+    }
+
+    if (isHost && (attributes.domain || attributes.path !== '/')) {
+      reasons.push(this._issue('invalid_prefix', '__Host- exige Path=/ e ausência de Domain'));
+    }
+  }
+
+  /**
+   * Calcula a expiração efetiva (Max-Age vence Expires; limite de 400 dias)
+   * @returns {boolean} - true se a linha remove o cookie (expiração no passado)
+   * @private
+   */
+  _applyExpiration(attributes, effective, adjustments, now) {
+    let expires = null;
+
+    if (attributes.maxAge !== undefined) {
+      expires = attributes.maxAge <= 0 ? 0 : now + Math.min(attributes.maxAge * 1000, Number.MAX_SAFE_INTEGER);
+    } else if (attributes.expires !== undefined) {
+      expires = attributes.expires;
+    }
+
+    if (expires === null) return false;
+    if (expires <= now) return true;
+
+    const limit = now + MAX_LIFETIME_DAYS * DAY_MS;
+    if (expires > limit) {
+      expires = limit;
+      adjustments.push(this._issue('lifetime_capped', `Expiração limitada a ${MAX_LIFETIME_DAYS} dias`));
+    }
+
+    effective.expires = new Date(expires).toISOString();
+    effective.session = false;
+    return false;
+  }
+
+  /**
+   * Algoritmo de datas de cookie dos navegadores (RFC 6265bis, seção 5.1.1)
+   *
+   * Diferente de Date.parse: cada token é tentado como hora, dia, mês e ano, nesta ordem,
+   * e só o primeiro de cada tipo conta; anos de 2 dígitos e limites inválidos são tratados
+   * @private
+   * @param {string} value - Valor do atributo Expires
+   * @returns {number|null} - Timestamp em ms (UTC) ou null se o navegador ignoraria o atributo
+   */
+  _parseCookieDate(value) {
+    const found = {};
+
+    for (const token of value.split(DATE_DELIMITERS)) {
+      if (!token) continue;
+
+      let match;
+      if (!found.time && (match = token.match(DATE_TIME))) {
+        found.time = match.slice(1, 4).map(Number);
+      } else if (found.day === undefined && (match = token.match(DATE_DAY))) {
+        found.day = Number(match[1]);
+      } else if (found.month === undefined && DATE_MONTHS.includes(token.slice(0, 3).toLowerCase())) {
+        found.month = DATE_MONTHS.indexOf(token.slice(0, 3).toLowerCase());
+      } else if (found.year === undefined && (match = token.match(DATE_YEAR))) {
+        found.year = Number(match[1]);
+      }
+    }
+
+    if (!found.time || found.day === undefined || found.month === undefined || found.year === undefined) {
+      return null;
+    }
+
+    let year = found.year;
+    if (year >= 70 && year <= 99) year += 1900;
+    if (year >= 0 && year <= 69) year += 2000;
+
+    const [hour, minute, second] = found.time;
+    if (found.day < 1 || found.day > 31 || year < 1601 || hour > 23 || minute > 59 || second > 59) {
+      return null;
+    }
+
+    // Datas inexistentes (ex.: 30 de fevereiro) também invalidam o atributo
+    const time = Date.UTC(year, found.month, found.day, hour, minute, second);
+    return new Date(time).getUTCDate() === found.day ? time : null;
+  }
+
+  /**
+   * Path padrão: diretório do path da requisição (RFC 6265bis, seção 5.1.4)
+   * @private
+   */
+  _defaultPath(pathname) {
+    if (!pathname || !pathname.startsWith('/')) return '/';
+
+    const lastSlash = pathname.lastIndexOf('/');
+    return lastSlash === 0 ? '/' : pathname.slice(0, lastSlash);
+  }
+
+  /**
+   * Motivo de rejeição ou ajuste
+   * @private
+   */
+  _issue(code, message) {
+    return { code, message };
+  }
+}
+
+module.exports = new BrowserCookieSimulator();
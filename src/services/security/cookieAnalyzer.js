@@ -1,41 +1,89 @@
 const setCookie = require('set-cookie-parser');
 const { COOKIE_SECURITY } = require('../../config/security');
+const ruleRegistry = require('../rules/ruleRegistry');
+const sessionEntropy = require('./sessionEntropy');
+const jwtInspector = require('./jwtInspector');
+const publicSuffix = require('../network/publicSuffix');
+const cookieCatalog = require('./cookieCatalog');
+const schemeComparison = require('./schemeComparison');
+const browserCookieSimulator = require('./browserCookieSimulator');
 const logger = require('../../utils/logger');
 
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Atributos comparados entre cópias de um cookie com o mesmo nome
+ */
+const COPY_ATTRIBUTES = {
+  secure: 'Secure',
+  httpOnly: 'HttpOnly',
+  sameSite: 'SameSite',
+  partitioned: 'Partitioned',
+  isPersistent: 'Expiração'
+};
+
 /**
  * Analisador avançado de segurança de cookies
  */
 class CookieAnalyzer {
 
   /**
-   * Analisa todos os cookies de uma resposta HTTP
-   * @param {Array|string} cookieHeaders - Headers Set-Cookie
-   * @param {string} url - URL de origem
+   * Analisa todos os cookies de uma resposta HTTP, incluindo os definidos nos redirecionamentos
+   * @param {Array|string} cookieHeaders - Headers Set-Cookie da resposta final
+   * @param {string} url - URL da resposta final
+   * @param {Object} context - Dados adicionais da coleta
+   * @param {Array} context.redirectChain - Respostas intermediárias ({ url, status, cookies }) do httpClient
+   * @param {Map} context.sessionSamples - Valores de sessões novas por nome de cookie (ver sessionEntropy)
+   * @param {Object} context.httpVariant - Respostas da variante http:// (ver schemeComparison)
    * @returns {Object} - Análise completa dos cookies
    */
-  analyzeCookies(cookieHeaders, url) {
+  analyzeCookies(cookieHeaders, url, context = {}) {
+    const { redirectChain = [], sessionSamples = null, httpVariant = null } = context;
     const startTime = Date.now();
     
     try {
-      if (!cookieHeaders || cookieHeaders.length === 0) {
-        return {
+      // Cada Set-Cookie é analisado no contexto da URL que o definiu
+      const sources = [
+        ...redirectChain.map(hop => ({ url: hop.url, status: hop.status, redirect: true, cookies: this._parseSetCookies(hop.cookies) })),
+        { url, status: null, redirect: false, cookies: this._parseSetCookies(cookieHeaders) }
+      ];
+      const count = sources.reduce((total, source) => total + source.cookies.length, 0);
+      const chain = redirectChain.length > 0
+        ? sources.map(source => ({
+          url: source.url,
+          status: source.status,
+          redirect: source.redirect,
+          cookies: source.cookies.map(cookie => cookie.name)
+        }))
+        : undefined;
+
+      if (count === 0) {
+        const empty = {
           url,
           hasCookies: false,
           count: 0,
           score: 100, // Sem cookies = sem problemas de cookie
           grade: 'A',
           message: 'Nenhum cookie encontrado',
-          recommendation: 'Se o site usar autenticação, considere implementar cookies seguros'
+          recommendation: 'Se o site usar autenticação, considere implementar cookies seguros',
+          redirectChain: chain
         };
+
+        // A variante HTTP pode definir cookies mesmo sem nenhum na resposta HTTPS
+        if (httpVariant) {
+          empty.vulnerabilities = [];
+          this._compareSchemes(empty, httpVariant, url);
+          empty.score = this._calculateCookieScore(empty);
+          empty.grade = this._calculateGrade(empty.score);
+        }
+
+        return empty;
       }
 
-      // Parsear cookies
-      const cookies = setCookie.parse(cookieHeaders);
-      
       const analysis = {
         url,
         hasCookies: true,
-        count: cookies.length,
+        count,
         cookies: [],
         vulnerabilities: [],
         recommendations: [],
@@ -47,29 +95,53 @@ class CookieAnalyzer {
           sameSite: 0,
           withExpiration: 0,
           sessionCookies: 0,
-          persistent: 0
-        }
+          persistent: 0,
+          partitioned: 0
+        },
+        redirectChain: chain
       };
 
-      // Analisar cada cookie individualmente
-      for (const cookie of cookies) {
-        const cookieAnalysis = this._analyzeSingleCookie(cookie, url);
-        analysis.cookies.push(cookieAnalysis);
-
-        // Atualizar sumário
-        if (cookieAnalysis.secure) analysis.summary.secure++;
-        if (cookieAnalysis.httpOnly) analysis.summary.httpOnly++;
-        if (cookieAnalysis.sameSite) analysis.summary.sameSite++;
-        if (cookieAnalysis.hasExpiration) analysis.summary.withExpiration++;
-        if (cookieAnalysis.isSession) analysis.summary.sessionCookies++;
-        if (cookieAnalysis.isPersistent) analysis.summary.persistent++;
-
-        // Adicionar vulnerabilidades encontradas
-        analysis.vulnerabilities.push(...cookieAnalysis.vulnerabilities);
+      // Analisar cada cookie individualmente, no contexto da URL que o definiu
+      for (const [hop, source] of sources.entries()) {
+        for (const cookie of source.cookies) {
+          const cookieAnalysis = this._analyzeSingleCookie(cookie, source.url, sessionSamples);
+          cookieAnalysis.setBy = source.url;
+          analysis.cookies.push(cookieAnalysis);
+
+          // Atualizar sumário
+          if (cookieAnalysis.secure) analysis.summary.secure++;
+          if (cookieAnalysis.httpOnly) analysis.summary.httpOnly++;
+          if (cookieAnalysis.sameSite) analysis.summary.sameSite++;
+          if (cookieAnalysis.hasExpiration) analysis.summary.withExpiration++;
+          if (cookieAnalysis.isSession) analysis.summary.sessionCookies++;
+          if (cookieAnalysis.isPersistent) analysis.summary.persistent++;
+          if (cookieAnalysis.partitioned) analysis.summary.partitioned++;
+
+          // Adicionar vulnerabilidades encontradas, identificando o cookie (e o redirecionamento) de origem
+          analysis.vulnerabilities.push(...cookieAnalysis.vulnerabilities.map(vuln => ({
+            ...vuln,
+            cookie: cookie.name,
+            ...(source.redirect && { setBy: source.url, hop })
+          })));
+        }
       }
 
+      // Cookies com o mesmo nome definidos mais de uma vez (antes das regras de conjunto)
+      analysis.duplicates = this._findDuplicateCookies(analysis.cookies);
+
       // Analisar padrões gerais dos cookies
-      this._analyzeOverallCookiePatterns(analysis);
+      this._analyzeOverallCookiePatterns(analysis, url);
+
+      // Comparar com a variante http:// do site
+      if (httpVariant) {
+        this._compareSchemes(analysis, httpVariant, url);
+      }
+
+      // Prontidão para o bloqueio de cookies de terceiros
+      analysis.thirdPartyReadiness = this._assessThirdPartyReadiness(analysis.cookies);
+
+      // Conformidade LGPD/GDPR (finalidade e retenção segundo o catálogo)
+      analysis.consent = this._assessConsentCompliance(analysis.cookies);
 
       // Calcular score e grade
       analysis.score = this._calculateCookieScore(analysis);
@@ -81,7 +153,7 @@ class CookieAnalyzer {
       const duration = Date.now() - startTime;
       logger.performance('cookie_analysis', duration, { 
         url, 
-        cookieCount: cookies.length, 
+        cookieCount: count, 
         score: analysis.score 
       });
 
@@ -93,11 +165,31 @@ class CookieAnalyzer {
     }
   }
 
+  /**
+   * Verifica se o nome indica cookie de sessão ou autenticação (ignorando o prefixo __Host-/__Secure-)
+   * @param {string} name - Nome do cookie
+   * @returns {boolean}
+   */
+  isSensitiveCookie(name) {
+    const prefix = this._cookiePrefix(name);
+    return this._isSensitiveCookie(prefix ? name.slice(prefix.length) : name);
+  }
+
+  /**
+   * Interpreta as linhas Set-Cookie, mantendo a linha original de cada cookie
+   * @private
+   */
+  _parseSetCookies(cookieHeaders) {
+    const lines = [].concat(cookieHeaders || []).filter(line => typeof line === 'string' && line.trim());
+
+    return lines.map(line => ({ ...setCookie.parseString(line), raw: line }));
+  }
+
   /**
    * Analisa um cookie individual
    * @private
    */
-  _analyzeSingleCookie(cookie, url) {
+  _analyzeSingleCookie(cookie, url, sessionSamples = null) {
     const analysis = {
       name: cookie.name,
       value: cookie.value,
@@ -106,6 +198,7 @@ class CookieAnalyzer {
       secure: !!cookie.secure,
       httpOnly: !!cookie.httpOnly,
       sameSite: cookie.sameSite || null,
+      partitioned: !!cookie.partitioned,
       maxAge: cookie.maxAge,
       expires: cookie.expires,
       hasExpiration: !!(cookie.maxAge || cookie.expires),
@@ -117,74 +210,25 @@ class CookieAnalyzer {
       explanation: this._explainCookie(cookie.name)
     };
 
-    // Verificar se o nome é sensível
-    const isSensitive = this._isSensitiveCookie(cookie.name);
-    analysis.isSensitive = isSensitive;
-
-    // Analisar flag Secure
-    if (!analysis.secure) {
-      const severity = isSensitive ? 'critical' : 'high';
-      analysis.vulnerabilities.push({
-        type: 'missing_secure_flag',
-        severity,
-        message: 'Cookie sem flag Secure',
-        impact: 'Cookie pode ser transmitido via HTTP não criptografado',
-        solution: 'Adicione a flag Secure ao cookie'
-      });
-    }
-
-    // Analisar flag HttpOnly
-    if (!analysis.httpOnly) {
-      const severity = isSensitive ? 'high' : 'medium';
-      analysis.vulnerabilities.push({
-        type: 'missing_httponly_flag',
-        severity,
-        message: 'Cookie sem flag HttpOnly',
-        impact: 'Cookie acessível via JavaScript (vulnerável a XSS)',
-        solution: 'Adicione a flag HttpOnly ao cookie'
-      });
-    }
-
-    // Analisar SameSite
-    if (!analysis.sameSite) {
-      analysis.vulnerabilities.push({
-        type: 'missing_samesite',
-        severity: 'medium',
-        message: 'Cookie sem atributo SameSite',
-        impact: 'Vulnerável a ataques CSRF',
-        solution: 'Configure SameSite como Strict, Lax ou None conforme necessário'
-      });
-    } else if (analysis.sameSite.toLowerCase() === 'none' && !analysis.secure) {
-      analysis.vulnerabilities.push({
-        type: 'samesite_none_without_secure',
-        severity: 'high',
-        message: 'SameSite=None sem flag Secure',
-        impact: 'Configuração inválida, cookie será rejeitado por navegadores modernos',
-        solution: 'Adicione flag Secure quando usar SameSite=None'
-      });
-    }
+    // Fatos usados pelas regras
+    analysis.prefix = this._cookiePrefix(cookie.name);
+    analysis.isSensitive = this._isSensitiveCookie(analysis.prefix ? cookie.name.slice(analysis.prefix.length) : cookie.name);
+    analysis.catalog = cookieCatalog.classify(cookie.name);
+    analysis.isTracking = this._isTrackingCookie(cookie.name, analysis.catalog);
 
-    // Analisar duração
     if (analysis.isPersistent) {
-      const duration = this._calculateCookieDuration(cookie);
-      analysis.duration = duration;
-
-      if (duration > COOKIE_SECURITY.maxAge) {
-        analysis.vulnerabilities.push({
-          type: 'excessive_cookie_lifetime',
-          severity: 'medium',
-          message: `Cookie com duração excessiva: ${Math.round(duration / (1000 * 60 * 60 * 24))} dias`,
-          impact: 'Aumenta janela de oportunidade para ataques',
-          solution: 'Reduza a duração do cookie para o mínimo necessário'
-        });
-      }
+      analysis.duration = this._calculateCookieDuration(cookie);
+      analysis.retentionDays = Math.round(analysis.duration / DAY_MS);
     }
 
-    // Analisar valor do cookie
-    this._analyzeCookieValue(analysis);
+    this._describeCookieValue(analysis);
+    this._describeCookieScope(analysis, url);
+    this._describeCookiePrefix(analysis, cookie, url);
+    this._describeSessionEntropy(analysis, sessionSamples);
+    this._describeBrowserAcceptance(analysis, cookie, url);
 
-    // Analisar domínio e path
-    this._analyzeCookieScope(analysis, url);
+    // Regras de cookie individual (embutidas e customizadas)
+    analysis.vulnerabilities.push(...ruleRegistry.run('cookies', 'cookie', { cookie: analysis, url }));
 
     // Determinar nível de segurança geral
     analysis.securityLevel = this._determineCookieSecurityLevel(analysis);
@@ -196,155 +240,294 @@ class CookieAnalyzer {
    * Analisa padrões gerais dos cookies
    * @private
    */
-  _analyzeOverallCookiePatterns(analysis) {
-    const { cookies, summary } = analysis;
-
-    // Verificar se há muitos cookies
-    if (cookies.length > 10) {
-      analysis.vulnerabilities.push({
-        type: 'excessive_cookies',
-        severity: 'low',
-        message: `Muitos cookies: ${cookies.length}`,
-        impact: 'Pode afetar performance e privacidade',
-        solution: 'Revise a necessidade de todos os cookies'
-      });
+  _analyzeOverallCookiePatterns(analysis, url) {
+    const { cookies, summary, duplicates } = analysis;
+
+    analysis.vulnerabilities.push(...ruleRegistry.run('cookies', 'cookies', { cookies, summary, duplicates, url }));
+  }
+
+  /**
+   * Compara os cookies da variante http:// com os da resposta HTTPS e executa as regras de esquema
+   * @private
+   */
+  _compareSchemes(analysis, httpVariant, url) {
+    const cookies = analysis.cookies || [];
+    const comparison = schemeComparison.compare(httpVariant, cookies);
+
+    analysis.schemeComparison = comparison;
+    analysis.vulnerabilities.push(...ruleRegistry.run('cookies', 'schemes', { comparison, cookies, url }));
+  }
+
+  /**
+   * Registra se o valor do cookie aparenta estar codificado ou é um JWT
+   * @private
+   */
+  _describeCookieValue(analysis) {
+    analysis.isEncoded = this._isEncodedValue(analysis.value);
+    analysis.jwt = jwtInspector.inspect(analysis.value);
+
+    // Um JWS é apenas base64url: header e claims são legíveis por quem tem o cookie
+    if (analysis.jwt?.format === 'JWS') {
+      analysis.recommendations.push('Valor é um JWT assinado, mas não cifrado - as claims são legíveis no cliente');
+    } else if (analysis.jwt?.format === 'JWE') {
+      analysis.recommendations.push('Valor é um JWT cifrado (JWE) - claims não legíveis no cliente');
+    } else if (analysis.isEncoded) {
+      analysis.recommendations.push('Valor aparenta estar codificado - boa prática');
     }
+  }
 
-    // Verificar proporção de cookies seguros
-    const secureRatio = summary.secure / cookies.length;
-    if (secureRatio < 0.8) {
-      analysis.vulnerabilities.push({
-        type: 'low_secure_cookie_ratio',
-        severity: 'high',
-        message: `Apenas ${Math.round(secureRatio * 100)}% dos cookies têm flag Secure`,
-        impact: 'Múltiplos cookies vulneráveis a interceptação',
-        solution: 'Adicione flag Secure a todos os cookies'
-      });
+  /**
+   * Registra características do escopo do cookie (domínio e path)
+   * @private
+   */
+  _describeCookieScope(analysis, url) {
+    if (analysis.domain && analysis.domain.startsWith('.')) {
+      analysis.isWildcardDomain = true;
+      analysis.recommendations.push('Cookie com domínio wildcard - verifique se é necessário');
     }
 
-    // Verificar HttpOnly
-    const httpOnlyRatio = summary.httpOnly / cookies.length;
-    if (httpOnlyRatio < 0.6) {
-      analysis.vulnerabilities.push({
-        type: 'low_httponly_ratio',
-        severity: 'medium',
-        message: `Apenas ${Math.round(httpOnlyRatio * 100)}% dos cookies têm flag HttpOnly`,
-        impact: 'Múltiplos cookies vulneráveis a acesso via JavaScript',
-        solution: 'Adicione flag HttpOnly aos cookies que não precisam ser acessados via JS'
-      });
+    if (analysis.path === '/') {
+      analysis.isBroadPath = true;
     }
 
-    // Verificar cookies de sessão vs persistentes
-    if (summary.sessionCookies === 0 && summary.persistent > 0) {
-      analysis.vulnerabilities.push({
-        type: 'no_session_cookies',
-        severity: 'low',
-        message: 'Apenas cookies persistentes detectados',
-        impact: 'Dados ficam armazenados mesmo após fechar o navegador',
-        solution: 'Considere usar cookies de sessão quando apropriado'
-      });
+    analysis.scope = this._domainScope(analysis.domain, url);
+  }
+
+  /**
+   * Alcance do atributo Domain segundo a Public Suffix List (RFC 6265bis, seção 5.6)
+   * Níveis: host-only, host-and-subdomains, subdomains, registrable-domain, public-suffix e mismatch
+   * @private
+   */
+  _domainScope(domain, url) {
+    const host = new URL(url).hostname.toLowerCase();
+    const registrableDomain = publicSuffix.registrableDomain(host);
+    const scope = { host, domain: null, registrableDomain, level: 'host-only', description: `apenas ${host}` };
+
+    if (!domain) return scope;
+
+    scope.domain = domain.toLowerCase().replace(/^\./, '');
+
+    // O navegador rejeita Domain igual a um sufixo público, exceto quando é o próprio host
+    if (publicSuffix.isPublicSuffix(scope.domain) && scope.domain !== host) {
+      return { ...scope, level: 'public-suffix', description: `sufixo público ${scope.domain} (rejeitado pelo navegador)` };
     }
 
-    // Verificar tracking cookies suspeitos
-    const trackingCookies = cookies.filter(c => this._isTrackingCookie(c.name));
-    if (trackingCookies.length > 0) {
-      analysis.vulnerabilities.push({
-        type: 'tracking_cookies_detected',
-        severity: 'info',
-        message: `${trackingCookies.length} possível(is) cookie(s) de tracking detectado(s)`,
-        impact: 'Pode afetar privacidade dos usuários',
-        solution: 'Certifique-se de ter consentimento adequado para cookies de tracking'
-      });
+    const matches = host === scope.domain || (!!registrableDomain && host.endsWith(`.${scope.domain}`));
+    if (!matches) {
+      return { ...scope, level: 'mismatch', description: `${scope.domain} não corresponde a ${host} (rejeitado pelo navegador)` };
     }
+
+    if (scope.domain === registrableDomain) {
+      return { ...scope, level: 'registrable-domain', description: `todos os subdomínios de ${registrableDomain}` };
+    }
+
+    if (scope.domain === host) {
+      return { ...scope, level: 'host-and-subdomains', description: `${host} e seus subdomínios` };
+    }
+
+    return { ...scope, level: 'subdomains', description: `${scope.domain} e seus subdomínios` };
   }
 
   /**
-   * Analisa o valor do cookie
+   * Valida os requisitos do prefixo do nome (RFC 6265bis, seção 4.1.3)
+   * Cookies que violam os requisitos são descartados pelo navegador sem aviso
    * @private
    */
-  _analyzeCookieValue(analysis) {
-    const value = analysis.value;
+  _describeCookiePrefix(analysis, cookie, url) {
+    analysis.prefixProblems = [];
 
-    // Verificar se parece estar codificado/criptografado
-    if (this._isEncodedValue(value)) {
-      analysis.isEncoded = true;
-      analysis.recommendations.push('Valor aparenta estar codificado - boa prática');
-    } else {
-      analysis.isEncoded = false;
-      if (analysis.isSensitive) {
-        analysis.vulnerabilities.push({
-          type: 'unencoded_sensitive_cookie',
-          severity: 'medium',
-          message: 'Cookie sensível com valor não codificado',
-          impact: 'Informações sensíveis podem ser facilmente lidas',
-          solution: 'Codifique ou criptografe valores de cookies sensíveis'
-        });
+    if (!analysis.prefix) return;
+
+    if (!cookie.secure) {
+      analysis.prefixProblems.push('sem flag Secure');
+    }
+
+    if (!url.startsWith('https://')) {
+      analysis.prefixProblems.push('definido por origem não segura (HTTP)');
+    }
+
+    if (analysis.prefix === '__Host-') {
+      if (cookie.domain) {
+        analysis.prefixProblems.push(`com atributo Domain=${cookie.domain}`);
+      }
+
+      if (!cookie.path) {
+        analysis.prefixProblems.push('sem atributo Path=/');
+      } else if (cookie.path !== '/') {
+        analysis.prefixProblems.push(`com Path=${cookie.path} (deve ser /)`);
       }
     }
+  }
 
-    // Verificar tamanho do valor
-    if (value.length > 4096) {
-      analysis.vulnerabilities.push({
-        type: 'oversized_cookie',
-        severity: 'low',
-        message: `Cookie muito grande: ${value.length} caracteres`,
-        impact: 'Pode afetar performance e compatibilidade',
-        solution: 'Reduza o tamanho do cookie ou use storage alternativo'
-      });
+  /**
+   * Estima a entropia do identificador de sessão com o valor recebido e os das sessões coletadas
+   * Só é executado quando a coleta de sessões está ativada nas opções
+   * @private
+   */
+  _describeSessionEntropy(analysis, sessionSamples) {
+    if (!sessionSamples || !analysis.isSensitive || !analysis.value) return;
+
+    const values = [analysis.value, ...(sessionSamples.get(analysis.name) || [])].filter(Boolean);
+    analysis.entropy = sessionEntropy.analyzeValues(values);
+
+    if (analysis.entropy.samples < 2) {
+      analysis.recommendations.push('Entropia estimada apenas pelo valor recebido - sem outras sessões para comparar');
+    }
+  }
+
+  /**
+   * Simula o armazenamento da linha Set-Cookie original no Chromium e no Firefox
+   * @private
+   */
+  _describeBrowserAcceptance(analysis, cookie, url) {
+    analysis.raw = cookie.raw || null;
+    analysis.browsers = cookie.raw ? browserCookieSimulator.simulate(cookie.raw, url) : null;
+  }
+
+  /**
+   * Avalia quais cookies cross-site (SameSite=None) continuam funcionando quando
+   * o navegador bloqueia cookies de terceiros: apenas os particionados (CHIPS)
+   * @private
+   */
+  _assessThirdPartyReadiness(cookies) {
+    const crossSite = cookies.filter(cookie => cookie.sameSite && cookie.sameSite.toLowerCase() === 'none');
+    const partitioned = crossSite.filter(cookie => cookie.partitioned && cookie.secure);
+    const rejected = crossSite.filter(cookie => !cookie.secure);
+    const blocked = crossSite.filter(cookie => cookie.secure && !cookie.partitioned);
+
+    const readiness = {
+      status: 'ready',
+      crossSite: crossSite.length,
+      partitioned: partitioned.map(cookie => cookie.name),
+      blocked: blocked.map(cookie => cookie.name),
+      rejected: rejected.map(cookie => cookie.name),
+      message: `${partitioned.length} de ${crossSite.length} cookie(s) cross-site particionado(s) (CHIPS)`
+    };
+
+    if (crossSite.length === 0) {
+      readiness.status = 'not_applicable';
+      readiness.message = 'Nenhum cookie cross-site (SameSite=None): o site não depende de cookies de terceiros';
+    } else if (blocked.length > 0 || rejected.length > 0) {
+      readiness.status = 'at_risk';
     }
 
-    // Verificar caracteres suspeitos
-    if (/[<>\"'&]/.test(value)) {
-      analysis.vulnerabilities.push({
-        type: 'suspicious_characters',
-        severity: 'low',
-        message: 'Cookie contém caracteres potencialmente perigosos',
-        impact: 'Pode indicar problemas de sanitização',
-        solution: 'Sanitize e valide valores de cookies'
+    return readiness;
+  }
+
+  /**
+   * Agrupa cookies pelo nome e descreve as cópias de cada nome repetido
+   * O navegador guarda uma cópia por (nome, domínio, host-only, path): cópias com chaves
+   * diferentes coexistem e o servidor recebe todas, sem saber qual é a legítima
+   * @private
+   */
+  _findDuplicateCookies(cookies) {
+    const groups = new Map();
+
+    for (const cookie of cookies) {
+      if (!groups.has(cookie.name)) groups.set(cookie.name, []);
+      groups.get(cookie.name).push(cookie);
+    }
+
+    const duplicates = [];
+
+    for (const [name, copies] of groups) {
+      if (copies.length < 2) continue;
+
+      // Cópias que removem o cookie ou que o navegador rejeita não ficam armazenadas
+      const stored = copies.filter(cookie => !this._isDeletion(cookie) &&
+        cookie.scope.level !== 'mismatch' && cookie.scope.level !== 'public-suffix');
+      const storageKeys = new Set(stored.map(cookie => `${cookie.scope.domain || cookie.scope.host}|${!cookie.domain}|${cookie.path}`));
+
+      const conflicts = Object.entries(COPY_ATTRIBUTES)
+        .filter(([attribute]) => new Set(stored.map(cookie => this._copyAttribute(cookie, attribute))).size > 1)
+        .map(([, label]) => label);
+
+      duplicates.push({
+        name,
+        count: copies.length,
+        activeCount: stored.length,
+        storedCopies: storageKeys.size,
+        conflicts,
+        // Uma cópia com Domain (domínio pai) disputa com a cópia host-only no header Cookie
+        parentDomainOverride: stored.some(cookie => !cookie.domain) && stored.some(cookie => cookie.domain),
+        isSensitive: copies.some(cookie => cookie.isSensitive),
+        copies: copies.map(cookie => ({
+          setBy: cookie.setBy || null,
+          domain: cookie.scope.domain || cookie.scope.host,
+          hostOnly: !cookie.domain,
+          path: cookie.path,
+          secure: cookie.secure,
+          httpOnly: cookie.httpOnly,
+          sameSite: cookie.sameSite,
+          deleted: this._isDeletion(cookie)
+        }))
       });
     }
+
+    return duplicates;
   }
 
   /**
-   * Analisa escopo do cookie (domínio e path)
+   * Set-Cookie que apaga o cookie (Max-Age <= 0 ou Expires no passado)
    * @private
    */
-  _analyzeCookieScope(analysis, url) {
-    const urlObj = new URL(url);
-
-    // Analisar domínio
-    if (analysis.domain) {
-      if (analysis.domain.startsWith('.')) {
-        analysis.isWildcardDomain = true;
-        analysis.recommendations.push('Cookie com domínio wildcard - verifique se é necessário');
-      }
+  _isDeletion(cookie) {
+    return (typeof cookie.maxAge === 'number' && cookie.maxAge <= 0) ||
+      (cookie.duration !== undefined && cookie.duration <= 0);
+  }
 
-      // Verificar se domínio é muito amplo
-      const domainParts = analysis.domain.replace(/^\./, '').split('.');
-      if (domainParts.length <= 2) {
-        analysis.vulnerabilities.push({
-          type: 'overly_broad_domain',
-          severity: 'low',
-          message: 'Domínio do cookie muito amplo',
-          impact: 'Cookie compartilhado com mais subdomínios que necessário',
-          solution: 'Use domínio mais específico quando possível'
-        });
-      }
+  /**
+   * Valor comparável de um atributo entre cópias
+   * @private
+   */
+  _copyAttribute(cookie, attribute) {
+    if (attribute === 'sameSite') {
+      return cookie.sameSite ? String(cookie.sameSite).toLowerCase() : null;
     }
 
-    // Analisar path
-    if (analysis.path === '/') {
-      analysis.isBroadPath = true;
-      if (analysis.isSensitive) {
-        analysis.vulnerabilities.push({
-          type: 'broad_path_sensitive_cookie',
-          severity: 'medium',
-          message: 'Cookie sensível com path muito amplo',
-          impact: 'Cookie enviado para todas as páginas do site',
-          solution: 'Use path mais específico para cookies sensíveis'
-        });
-      }
+    return !!cookie[attribute];
+  }
+
+  /**
+   * Cookies não essenciais definidos sem interação de consentimento e retenções acima do catálogo
+   * A análise só faz a primeira visita, então todo cookie recebido foi definido antes do consentimento
+   * @private
+   */
+  _assessConsentCompliance(cookies) {
+    const byCategory = { necessary: 0, functional: 0, analytics: 0, marketing: 0, unknown: 0 };
+
+    for (const cookie of cookies) {
+      const category = cookie.catalog?.category || 'unknown';
+      byCategory[category] = (byCategory[category] || 0) + 1;
     }
+
+    const beforeConsent = cookies
+      .filter(cookie => cookie.catalog?.requiresConsent)
+      .map(cookie => ({
+        name: cookie.name,
+        vendor: cookie.catalog.vendor,
+        category: cookie.catalog.category,
+        categoryLabel: cookie.catalog.categoryLabel,
+        setBy: cookie.setBy || null
+      }));
+
+    const excessiveRetention = cookies
+      .filter(cookie => cookie.catalog && cookie.isPersistent && cookie.retentionDays > cookie.catalog.lifetimeDays)
+      .map(cookie => ({
+        name: cookie.name,
+        vendor: cookie.catalog.vendor,
+        retentionDays: cookie.retentionDays,
+        typicalDays: cookie.catalog.lifetimeDays
+      }));
+
+    return {
+      status: beforeConsent.length > 0 || excessiveRetention.length > 0 ? 'at_risk' : 'compliant',
+      catalogVersion: cookieCatalog.describe().version,
+      byCategory,
+      beforeConsent,
+      excessiveRetention,
+      unclassified: cookies.filter(cookie => !cookie.catalog).map(cookie => cookie.name)
+    };
   }
 
   /**
@@ -371,47 +554,73 @@ class CookieAnalyzer {
     }
   }
 
+  /**
+   * Recalcula o score ignorando as vulnerabilidades aceitas pela política (accepted)
+   * @param {Object} analysis - Resultado de analyzeCookies
+   * @returns {number} - Score de 0 a 100
+   */
+  scoreOpenFindings(analysis) {
+    return this._calculateCookieScore({
+      ...analysis,
+      vulnerabilities: analysis.vulnerabilities.filter(vuln => !vuln.accepted)
+    });
+  }
+
   /**
    * Calcula score baseado na análise dos cookies
    * @private
    */
   _calculateCookieScore(analysis) {
-    if (!analysis.hasCookies) return 100;
+    if (!analysis.hasCookies) {
+      // Apenas achados da variante HTTP (compareSchemes) penalizam uma resposta sem cookies
+      return Math.max(0, 100 - this._vulnerabilityPenalty(analysis.vulnerabilities || []));
+    }
 
-    let score = 100;
     const { cookies, vulnerabilities } = analysis;
 
     // Penalizar por vulnerabilidades
+    let score = 100 - this._vulnerabilityPenalty(vulnerabilities);
+
+    // Bonificar por boas práticas
+    const secureRatio = analysis.summary.secure / cookies.length;
+    const httpOnlyRatio = analysis.summary.httpOnly / cookies.length;
+    const sameSiteRatio = analysis.summary.sameSite / cookies.length;
+
+    score += (secureRatio * 10);
+    score += (httpOnlyRatio * 10);
+    score += (sameSiteRatio * 5);
+
+    return Math.max(0, Math.min(100, Math.round(score)));
+  }
+
+  /**
+   * Pontos descontados do score pelas vulnerabilidades encontradas
+   * @private
+   */
+  _vulnerabilityPenalty(vulnerabilities) {
+    let penalty = 0;
+
     for (const vuln of vulnerabilities) {
       switch (vuln.severity) {
         case 'critical':
-          score -= 25;
+          penalty += 25;
           break;
         case 'high':
-          score -= 15;
+          penalty += 15;
           break;
         case 'medium':
-          score -= 10;
+          penalty += 10;
           break;
         case 'low':
-          score -= 5;
+          penalty += 5;
           break;
         case 'info':
-          score -= 2;
+          penalty += 2;
           break;
       }
     }
 
-    // Bonificar por boas práticas
-    const secureRatio = analysis.summary.secure / cookies.length;
-    const httpOnlyRatio = analysis.summary.httpOnly / cookies.length;
-    const sameSiteRatio = analysis.summary.sameSite / cookies.length;
-
-    score += (secureRatio * 10);
-    score += (httpOnlyRatio * 10);
-    score += (sameSiteRatio * 5);
-
-    return Math.max(0, Math.min(100, Math.round(score)));
+    return penalty;
   }
 
   /**
@@ -466,6 +675,18 @@ class CookieAnalyzer {
       recommendations.push('Configure o atributo SameSite para todos os cookies');
     }
 
+    if (analysis.cookies.some(cookie => cookie.prefixProblems.length > 0)) {
+      recommendations.push('Corrija os cookies com prefixo __Host-/__Secure- inválido: o navegador os descarta');
+    }
+
+    if (analysis.thirdPartyReadiness.blocked.length > 0) {
+      recommendations.push('Adicione o atributo Partitioned (CHIPS) aos cookies usados em contexto de terceiros');
+    }
+
+    if (analysis.cookies.some(cookie => cookie.entropy && (cookie.entropy.isWeak || cookie.entropy.patterns.length > 0))) {
+      recommendations.push('Gere identificadores de sessão com um gerador criptograficamente seguro (ex.: crypto.randomBytes(32))');
+    }
+
     return [...new Set(recommendations)]; // Remove duplicatas
   }
 
@@ -486,11 +707,24 @@ class CookieAnalyzer {
            );
   }
 
+  /**
+   * Prefixo de nome do cookie (__Host- ou __Secure-)
+   * A comparação ignora maiúsculas, como nos navegadores atuais (RFC 6265bis)
+   * @private
+   */
+  _cookiePrefix(name) {
+    return COOKIE_SECURITY.prefixes.find(prefix => name.toLowerCase().startsWith(prefix.toLowerCase())) || null;
+  }
+
   /**
    * Verifica se é um cookie de tracking
    * @private
    */
-  _isTrackingCookie(name) {
+  _isTrackingCookie(name, catalog = null) {
+    if (catalog) {
+      return catalog.category === 'analytics' || catalog.category === 'marketing';
+    }
+
     const trackingPatterns = [
       /^_ga/i, /^_gtm/i, /^_gid/i, /^_fbp/i, /^_fbc/i,
       /track/i, /analytics/i, /pixel/i, /campaign/i,
@@ -537,22 +771,14 @@ class CookieAnalyzer {
    * @private
    */
   _explainCookie(name) {
-    const explanations = {
-      'PHPSESSID': 'Cookie de sessão do PHP para identificar usuários únicos',
-      'JSESSIONID': 'Cookie de sessão usado em servidores Java',
-      'ASP.NET_SessionId': 'Cookie de sessão para aplicações ASP.NET',
-      'csrftoken': 'Token usado para proteção contra ataques CSRF',
-      'SID': 'Identificador de sessão genérico',
-      'NID': 'Cookie usado pelo Google para personalizar anúncios',
-      '_ga': 'Cookie do Google Analytics para identificar usuários únicos',
-      '_gid': 'Cookie do Google Analytics para identificar usuários em 24h',
-      '_fbp': 'Cookie do Facebook Pixel para tracking',
-      '_session_id': 'Identificador de sessão da aplicação'
-    };
+    // Cookies conhecidos do catálogo
+    const known = cookieCatalog.classify(name);
+    if (known?.description) {
+      return known.description;
+    }
 
-    // Busca exata
-    if (explanations[name]) {
-      return explanations[name];
+    if (name === 'SID') {
+      return 'Identificador de sessão genérico';
     }
 
     // Busca por padrões
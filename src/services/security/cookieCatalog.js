@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '../../config/cookieCatalog.json');
+
+/**
+ * Catálogo de cookies conhecidos: fornecedor, finalidade e duração típica
+ *
+ * O catálogo embutido fica em src/config/cookieCatalog.json; para usar uma versão
+ * atualizada sem alterar o código, aponte SAFE_COOKIE_CATALOG_PATH para outro arquivo
+ * no mesmo formato. Entradas com "name" casam exatamente; entradas com "pattern"
+ * são expressões regulares testadas na ordem do arquivo, depois dos nomes exatos.
+ */
+class CookieCatalog {
+
+  constructor(catalogPath = process.env.SAFE_COOKIE_CATALOG_PATH || DEFAULT_CATALOG_PATH) {
+    this.catalogPath = catalogPath;
+    this.catalog = null;
+  }
+
+  /**
+   * Classifica um cookie pelo nome
+   * @param {string} name - Nome do cookie
+   * @returns {Object|null} - { vendor, category, categoryLabel, requiresConsent, lifetimeDays, description } ou null se desconhecido
+   */
+  classify(name) {
+    const catalog = this._load();
+    const entry = catalog.names.get(name) || catalog.patterns.find(candidate => candidate.regex.test(name));
+
+    if (!entry) return null;
+
+    const category = catalog.categories[entry.category];
+
+    return {
+      vendor: entry.vendor,
+      category: entry.category,
+      categoryLabel: category.label,
+      requiresConsent: category.requiresConsent,
+      lifetimeDays: entry.lifetimeDays,
+      description: entry.description || null
+    };
+  }
+
+  /**
+   * Versão e tamanho do catálogo carregado
+   * @returns {Object} - { version, path, entries }
+   */
+  describe() {
+    const catalog = this._load();
+
+    return {
+      version: catalog.version,
+      path: this.catalogPath,
+      entries: catalog.names.size + catalog.patterns.length
+    };
+  }
+
+  /**
+   * Carrega e valida o catálogo na primeira consulta
+   * @private
+   */
+  _load() {
+    if (this.catalog) return this.catalog;
+
+    const data = JSON.parse(fs.readFileSync(this.catalogPath, 'utf8'));
+    const errors = this._validate(data);
+
+    if (errors.length > 0) {
+      const error = new Error(`Catálogo de cookies inválido: ${this.catalogPath}`);
+      error.code = 'INVALID_COOKIE_CATALOG';
+      error.details = errors;
+      throw error;
+    }
+
+    const catalog = { version: data.version, categories: data.categories, names: new Map(), patterns: [] };
+
+    for (const entry of data.cookies) {
+      if (entry.name) {
+        catalog.names.set(entry.name, entry);
+      } else {
+        catalog.patterns.push({ ...entry, regex: new RegExp(entry.pattern) });
+      }
+    }
+
+    this.catalog = catalog;
+    return catalog;
+  }
+
+  /**
+   * Valida a estrutura do catálogo
+   * @private
+   */
+  _validate(data) {
+    if (!data || typeof data !== 'object' || !data.categories || !Array.isArray(data.cookies)) {
+      return ['O catálogo deve ter "categories" e a lista "cookies"'];
+    }
+
+    const errors = [];
+
+    data.cookies.forEach((entry, index) => {
+      const label = entry?.name || entry?.pattern || `#${index}`;
+
+      if (!entry || (typeof entry.name !== 'string') === (typeof entry.pattern !== 'string')) {
+        errors.push(`${label}: informe "name" ou "pattern"`);
+        return;
+      }
+
+      if (entry.pattern) {
+        try {
+          new RegExp(entry.pattern);
+        } catch (error) {
+          errors.push(`${label}: pattern inválido (${error.message})`);
+        }
+      }
+
+      if (!data.categories[entry.category]) {
+        errors.push(`${label}: categoria desconhecida "${entry.category}"`);
+      }
+
+      if (typeof entry.vendor !== 'string' || !entry.vendor) {
+        errors.push(`${label}: "vendor" é obrigatório`);
+      }
+
+      if (!Number.isFinite(entry.lifetimeDays) || entry.lifetimeDays < 0) {
+        errors.push(`${label}: "lifetimeDays" deve ser um número >= 0 (0 = cookie de sessão)`);
+      }
+    });
+
+    return errors;
+  }
+}
+
+module.exports = new CookieCatalog();
@@ -0,0 +1,140 @@
+const httpClient = require('../network/httpClient');
+const publicSuffix = require('../network/publicSuffix');
+const { TIMEOUTS } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+/**
+ * Rótulo das origens forjadas; .invalid é reservado e nunca resolve (RFC 2606)
+ */
+const PROBE_DOMAIN = 'safe-cookie-probe.invalid';
+const PROBE_LABEL = 'safecookieprobe';
+
+/**
+ * Origens enviadas a cada URL sondada
+ * - arbitrary: origem qualquer, sem relação com o site
+ * - null: origem de iframes sandbox, data: e file:
+ * - subdomain_lookalike: começa com o host (engana startsWith e regex sem âncora no fim)
+ * - prefix_suffix: termina com o domínio (engana endsWith sem o ponto)
+ */
+const PROBE_KINDS = ['arbitrary', 'null', 'subdomain_lookalike', 'prefix_suffix'];
+
+/**
+ * Sondagem ativa de CORS: repete a requisição com headers Origin forjados e
+ * interpreta Access-Control-Allow-Origin e Access-Control-Allow-Credentials
+ */
+class CorsProbe {
+
+  /**
+   * Sonda a URL analisada e os paths de API informados
+   *
+   * As origens de cada URL são enviadas em paralelo e a sondagem inteira respeita o
+   * timeout da análise: sondagens que começariam depois do prazo são registradas como falha
+   * @param {string} url - URL analisada
+   * @param {Array<string>} paths - Paths extras na mesma origem (ex.: /api/me)
+   * @param {Object} requestOptions - Opções da requisição HTTP (ver httpClient.get)
+   * @returns {Promise<Object>} - { targets: [{ url, probes, status }] }
+   */
+  async probe(url, paths = [], requestOptions = {}) {
+    const targets = [...new Set([url, ...paths.map(path => new URL(path, url).toString())])];
+    const deadline = Date.now() + (requestOptions.timeout || TIMEOUTS.HTTP_REQUEST);
+    const results = [];
+
+    for (const target of targets) {
+      const probes = await Promise.all(PROBE_KINDS.map(kind => this._send(target, kind, requestOptions, deadline)));
+
+      results.push({ url: target, probes, status: this._status(probes) });
+    }
+
+    logger.analysis(url, 'cors_probe_complete', { targets: targets.length });
+
+    return { targets: results };
+  }
+
+  /**
+   * Origem forjada de cada tipo para um host
+   * @param {string} kind - Tipo da sondagem (ver PROBE_KINDS)
+   * @param {string} url - URL sondada
+   * @returns {string}
+   */
+  originFor(kind, url) {
+    const { protocol, hostname } = new URL(url);
+    const domain = publicSuffix.registrableDomain(hostname) || hostname;
+
+    switch (kind) {
+      case 'null':
+        return 'null';
+      case 'subdomain_lookalike':
+        return `${protocol}//${hostname}.${PROBE_DOMAIN}`;
+      case 'prefix_suffix':
+        return `${protocol}//${PROBE_LABEL}${domain}`;
+      default:
+        return `https://${PROBE_DOMAIN}`;
+    }
+  }
+
+  /**
+   * Envia uma requisição com o Origin forjado e lê a resposta CORS
+   * @private
+   */
+  async _send(url, kind, requestOptions, deadline) {
+    const origin = this.originFor(kind, url);
+    const remaining = deadline - Date.now();
+
+    if (remaining <= 0) {
+      return this._failed(kind, origin, 'Tempo da análise esgotado antes da sondagem');
+    }
+
+    try {
+      const response = await httpClient.get(url, {
+        ...requestOptions,
+        retries: 1,
+        timeout: Math.min(requestOptions.timeout || remaining, remaining),
+        headers: { ...requestOptions.headers, Origin: origin }
+      });
+
+      return { kind, origin, status: response.status, ...this._interpret(response.headers, origin) };
+    } catch (error) {
+      // Erros do httpClient trazem a mensagem em userMessage
+      const message = error.userMessage || error.message || 'Falha na requisição';
+      logger.analysis(url, 'cors_probe_failed', { kind, error: message });
+
+      return this._failed(kind, origin, message);
+    }
+  }
+
+  /**
+   * Resultado de uma sondagem sem resposta
+   * @private
+   */
+  _failed(kind, origin, message) {
+    return { kind, origin, status: null, allowOrigin: null, allowCredentials: false, allowed: false, wildcard: false, error: message };
+  }
+
+  /**
+   * Interpreta os headers CORS da resposta para a origem enviada
+   * @private
+   */
+  _interpret(headers, origin) {
+    const allowOrigin = headers['access-control-allow-origin']?.trim() || null;
+
+    return {
+      allowOrigin,
+      allowCredentials: headers['access-control-allow-credentials']?.trim() === 'true',
+      // O navegador compara o valor com a origem da página caractere a caractere
+      allowed: allowOrigin === origin,
+      wildcard: allowOrigin === '*',
+      error: null
+    };
+  }
+
+  /**
+   * Resumo da URL: alguma origem forjada aceita, nenhuma ou sem resposta
+   * @private
+   */
+  _status(probes) {
+    if (probes.every(probe => probe.error)) return 'unreachable';
+    return probes.some(probe => probe.allowed) ? 'trusts_untrusted' : 'restricted';
+  }
+}
+
+module.exports = new CorsProbe();
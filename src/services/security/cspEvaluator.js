@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+
+const reportingEndpoints = require('./reportingEndpoints');
+
+const BYPASSES_PATH = path.join(__dirname, '../../config/cspBypasses.json');
+
+/**
+ * Cadeia de fallback de cada diretiva de busca (CSP nível 3, seção 6.8.3)
+ * base-uri, form-action e frame-ancestors não herdam de default-src
+ */
+const FALLBACKS = {
+  'script-src': ['script-src', 'default-src'],
+  'script-src-elem': ['script-src-elem', 'script-src', 'default-src'],
+  'script-src-attr': ['script-src-attr', 'script-src', 'default-src'],
+  'style-src': ['style-src', 'default-src'],
+  'style-src-elem': ['style-src-elem', 'style-src', 'default-src'],
+  'style-src-attr': ['style-src-attr', 'style-src', 'default-src'],
+  'object-src': ['object-src', 'default-src'],
+  'worker-src': ['worker-src', 'child-src', 'script-src', 'default-src'],
+  'frame-src': ['frame-src', 'child-src', 'default-src']
+};
+
+/**
+ * Esquemas que, numa fonte de scripts, permitem carregar conteúdo controlado pelo atacante
+ */
+const RISKY_SCHEMES = ['data:', 'blob:', 'http:', 'https:', 'filesystem:'];
+
+/**
+ * Problemas que mantêm a política sem proteção efetiva contra XSS
+ */
+const BLOCKING_KINDS = ['missing', 'wildcard', 'scheme', 'bypass'];
+
+/**
+ * Avaliador de Content-Security-Policy
+ *
+ * Resolve a diretiva efetiva de cada tipo de recurso (fallback para default-src),
+ * aplica a semântica de nonces, hashes e 'strict-dynamic' (que anulam 'unsafe-inline'
+ * e, no caso de 'strict-dynamic', as allowlists de hosts e esquemas) e confere os hosts
+ * de script contra a lista embutida de endpoints JSONP e AngularJS que contornam allowlists
+ */
+class CspEvaluator {
+
+  constructor() {
+    this.bypasses = null;
+  }
+
+  /**
+   * Interpreta o header em diretivas (nomes em minúsculas; diretiva repetida é ignorada)
+   * @param {string} value - Valor do header Content-Security-Policy
+   * @returns {Object} - Fontes por diretiva
+   */
+  parse(value) {
+    const directives = {};
+
+    for (const part of String(value).split(';')) {
+      const [name, ...sources] = part.trim().split(/\s+/);
+      if (!name) continue;
+
+      const directive = name.toLowerCase();
+      if (!directives[directive]) {
+        directives[directive] = sources;
+      }
+    }
+
+    return directives;
+  }
+
+  /**
+   * Avalia a política e lista os problemas, cada um com a diretiva e a fonte responsáveis
+   * @param {Object} directives - Resultado de parse
+   * @returns {Object} - { scripts, objects, issues }
+   */
+  evaluate(directives) {
+    const issues = [];
+
+    // script-src sempre; script-src-elem/-attr só quando declaradas
+    const scripts = ['script-src', 'script-src-elem', 'script-src-attr']
+      .filter(name => name === 'script-src' || directives[name])
+      .map(name => this._describeScripts(name, directives));
+
+    for (const script of scripts) {
+      this._checkScripts(script, issues);
+    }
+
+    const objects = this._resolve('object-src', directives);
+    this._checkObjects(objects, issues);
+
+    for (const name of ['style-src', 'style-src-elem', 'style-src-attr'].filter(candidate => candidate === 'style-src' || directives[candidate])) {
+      this._checkStyles(this._resolve(name, directives), issues);
+    }
+
+    this._checkDocumentDirective('base-uri', directives['base-uri'], issues);
+    this._checkDocumentDirective('form-action', directives['form-action'], issues);
+    this._checkDocumentDirective('frame-ancestors', directives['frame-ancestors'], issues);
+
+    return { scripts, objects, issues };
+  }
+
+  /**
+   * Destinos de relatórios da política (report-uri e report-to) e problemas de configuração
+   * @param {Object} directives - Resultado de parse
+   * @param {Object} endpoints - Resultado de reportingEndpoints.parse
+   * @returns {Object} - { reportUri, reportTo, endpoint, configured, problems }
+   */
+  describeReporting(directives, endpoints) {
+    const reportUri = directives['report-uri'] || [];
+    const reportTo = directives['report-to']?.[0] || null;
+    const endpoint = reportTo ? reportingEndpoints.resolve(endpoints, reportTo) : null;
+    const problems = [];
+
+    if (reportTo && !endpoint) {
+      problems.push(this._problem('missing_group', `report-to ${reportTo} sem destino em Reporting-Endpoints ou Report-To`));
+    }
+
+    for (const url of [...reportUri, endpoint?.url].filter(candidate => candidate?.startsWith('http://'))) {
+      problems.push(this._problem('insecure_endpoint', `Relatórios enviados sem TLS para ${url}`));
+    }
+
+    if (reportUri.length === 0 && !reportTo) {
+      problems.push(this._problem('no_destination', 'Nenhum destino de relatórios (report-uri ou report-to)'));
+    }
+
+    return {
+      reportUri,
+      reportTo,
+      endpoint,
+      configured: reportUri.length > 0 || !!endpoint,
+      problems
+    };
+  }
+
+  /**
+   * Situação de uma política Report-Only a caminho de ser aplicada
+   * @param {Object} csp - Resultado de evaluate para a política Report-Only
+   * @param {Object} reporting - Resultado de describeReporting
+   * @param {boolean} enforced - Se a resposta também tem uma Content-Security-Policy aplicada
+   * @returns {Object} - { status: testing|blind|needs_work|ready, blocking, message }
+   */
+  assessEnforcement(csp, reporting, enforced) {
+    const blocking = csp.issues.filter(issue => BLOCKING_KINDS.includes(issue.kind) ||
+      (issue.kind === 'unsafe_inline' && issue.scriptLike));
+
+    if (enforced) {
+      return { status: 'testing', blocking, message: 'Política aplicada; a versão Report-Only testa mudanças antes de aplicá-las' };
+    }
+
+    if (!reporting.configured) {
+      return { status: 'blind', blocking, message: 'Sem destino de relatórios: as violações não são coletadas e a política não pode ser validada' };
+    }
+
+    if (blocking.length > 0) {
+      return { status: 'needs_work', blocking, message: `Aplicar a política como está ainda deixaria ${blocking.length} brecha(s) para XSS` };
+    }
+
+    return { status: 'ready', blocking, message: 'Política pronta para ser aplicada: publique-a como Content-Security-Policy após revisar os relatórios' };
+  }
+
+  /**
+   * Diretiva efetiva de um tipo de recurso, seguindo a cadeia de fallback
+   * @private
+   */
+  _resolve(name, directives) {
+    const from = (FALLBACKS[name] || [name, 'default-src']).find(candidate => directives[candidate]);
+
+    return { directive: name, from: from || null, sources: from ? directives[from] : null };
+  }
+
+  /**
+   * Diretiva de scripts com nonces, hashes e 'strict-dynamic' identificados
+   * @private
+   */
+  _describeScripts(name, directives) {
+    const resolved = this._resolve(name, directives);
+    const sources = resolved.sources || [];
+    const keywords = sources.map(source => source.toLowerCase());
+
+    const nonces = sources.filter(source => /^'nonce-.+'$/i.test(source)).length;
+    const hashes = sources.filter(source => /^'sha(256|384|512)-.+'$/i.test(source)).length;
+    const strictDynamic = keywords.includes("'strict-dynamic'");
+
+    return {
+      ...resolved,
+      nonces,
+      hashes,
+      strictDynamic,
+      inlineNeutralized: this._inlineNeutralized(name, sources, nonces > 0 || hashes > 0 || strictDynamic),
+      // Com 'strict-dynamic' hosts e esquemas da lista são ignorados
+      allowlistIgnored: strictDynamic
+    };
+  }
+
+  /**
+   * Problemas de uma diretiva de scripts
+   * @private
+   */
+  _checkScripts(script, issues) {
+    const { directive, from, sources } = script;
+
+    if (!sources) {
+      issues.push(this._issue('missing', directive, null, `${directive} ausente e sem default-src: scripts de qualquer origem`));
+      return;
+    }
+
+    for (const source of sources) {
+      const keyword = source.toLowerCase();
+
+      if (keyword === "'unsafe-inline'" && !script.inlineNeutralized) {
+        issues.push(this._issue('unsafe_inline', directive, source, `${this._label(directive, from)} permite scripts inline (${source})`, { scriptLike: true }));
+      } else if (keyword === "'unsafe-eval'") {
+        issues.push(this._issue('unsafe_eval', directive, source, `${this._label(directive, from)} permite eval() (${source})`, { scriptLike: true }));
+      }
+
+      if (script.allowlistIgnored) continue;
+
+      if (source === '*') {
+        issues.push(this._issue('wildcard', directive, source, `${this._label(directive, from)} permite scripts de qualquer origem (*)`));
+      } else if (this._isRiskyScheme(keyword)) {
+        issues.push(this._issue('scheme', directive, source, `${this._label(directive, from)} permite scripts de qualquer origem ${source}`, { scheme: keyword }));
+      } else if (keyword.startsWith('http://')) {
+        issues.push(this._issue('scheme', directive, source, `${this._label(directive, from)} carrega scripts de ${source} sem TLS`, { scheme: 'http:' }));
+      } else {
+        const bypasses = this._findBypasses(source);
+        if (bypasses.length > 0) {
+          const endpoints = bypasses.map(bypass => `${bypass.type === 'jsonp' ? 'JSONP' : 'AngularJS'} em ${bypass.host}${bypass.path}`);
+          issues.push(this._issue('bypass', directive, source,
+            `${this._label(directive, from)} permite ${source}, que expõe ${endpoints.join(', ')}`,
+            { bypasses: bypasses.map(bypass => bypass.type) }));
+        }
+      }
+    }
+  }
+
+  /**
+   * Problemas de object-src (plugins executam código como scripts)
+   * @private
+   */
+  _checkObjects(objects, issues) {
+    const { directive, from, sources } = objects;
+
+    if (!sources) {
+      issues.push(this._issue('missing', directive, null, "object-src ausente e sem default-src: use object-src 'none'"));
+      return;
+    }
+
+    for (const source of sources) {
+      const keyword = source.toLowerCase();
+
+      if (source === '*') {
+        issues.push(this._issue('wildcard', directive, source, `${this._label(directive, from)} permite plugins de qualquer origem (*)`));
+      } else if (this._isRiskyScheme(keyword)) {
+        issues.push(this._issue('scheme', directive, source, `${this._label(directive, from)} permite plugins de qualquer origem ${source}`, { scheme: keyword }));
+      }
+    }
+  }
+
+  /**
+   * 'unsafe-inline' em estilos (injeção de CSS), quando não anulado por nonce ou hash
+   * @private
+   */
+  _checkStyles(styles, issues) {
+    const { directive, from, sources } = styles;
+    if (!sources) return;
+
+    const neutralized = this._inlineNeutralized(directive, sources,
+      sources.some(source => /^'(nonce-.+|sha(256|384|512)-.+)'$/i.test(source)));
+    const unsafeInline = sources.find(source => source.toLowerCase() === "'unsafe-inline'");
+
+    if (unsafeInline && !neutralized) {
+      issues.push(this._issue('unsafe_inline', directive, unsafeInline, `${this._label(directive, from)} permite estilos inline (${unsafeInline})`, { scriptLike: false }));
+    }
+  }
+
+  /**
+   * Se 'unsafe-inline' deixa de valer na diretiva
+   *
+   * Em elementos, nonce, hash (ou 'strict-dynamic' em scripts) anulam 'unsafe-inline'.
+   * Em atributos (-attr: handlers on* e style=""), nonces nunca se aplicam e hashes só
+   * com 'unsafe-hashes'; fora disso o 'unsafe-inline' é tratado como efetivo
+   * @private
+   */
+  _inlineNeutralized(directive, sources, elementNeutralized) {
+    if (!directive.endsWith('-attr')) return elementNeutralized;
+
+    const hashes = sources.some(source => /^'sha(256|384|512)-.+'$/i.test(source));
+    return hashes && sources.some(source => source.toLowerCase() === "'unsafe-hashes'");
+  }
+
+  /**
+   * base-uri, form-action e frame-ancestors: ausentes ou sem restrição
+   * @private
+   */
+  _checkDocumentDirective(directive, sources, issues) {
+    const kind = directive.replace(/-/g, '_');
+
+    if (!sources) {
+      issues.push(this._issue(kind, directive, null, `${directive} ausente (não herda de default-src)`));
+      return;
+    }
+
+    const permissive = sources.find(source => source === '*' || this._isRiskyScheme(source.toLowerCase()));
+    if (permissive) {
+      issues.push(this._issue(kind, directive, permissive, `${directive} permite qualquer origem ${permissive}`));
+    }
+  }
+
+  /**
+   * Endpoints da lista de bypasses permitidos por uma fonte de host
+   * @private
+   */
+  _findBypasses(source) {
+    const match = /^(?:(https?|wss?):\/\/)?(\*\.)?([a-z0-9.-]+)(?::(\d+|\*))?(\/[^?#]*)?$/i.exec(source);
+    if (!match) return [];
+
+    const [, , wildcard, host, , sourcePath] = match;
+    const sourceHost = host.toLowerCase();
+
+    return this._loadBypasses().filter(bypass => {
+      const hostMatches = wildcard
+        ? bypass.host.endsWith(`.${sourceHost}`)
+        : bypass.host === sourceHost;
+
+      return hostMatches && this._pathMatches(sourcePath, bypass.path);
+    });
+  }
+
+  /**
+   * Path da fonte alcança o endpoint: diretório que o contém ou arquivo dentro dele
+   * @private
+   */
+  _pathMatches(sourcePath, bypassPath) {
+    if (!sourcePath || sourcePath === '/') return true;
+    if (sourcePath.startsWith(bypassPath)) return true;
+
+    return sourcePath.endsWith('/') && bypassPath.startsWith(sourcePath);
+  }
+
+  /**
+   * Esquema sozinho (https:, data:...) que libera qualquer origem com esse esquema
+   * @private
+   */
+  _isRiskyScheme(source) {
+    return RISKY_SCHEMES.includes(source);
+  }
+
+  /**
+   * Nome da diretiva indicando de onde a lista foi herdada
+   * @private
+   */
+  _label(directive, from) {
+    return from && from !== directive ? `${directive} (via ${from})` : directive;
+  }
+
+  /**
+   * Problema encontrado na política
+   * @private
+   */
+  _issue(kind, directive, source, message, extra = {}) {
+    return { kind, directive, source, message, ...extra };
+  }
+
+  /**
+   * Problema na configuração de relatórios
+   * @private
+   */
+  _problem(code, message) {
+    return { code, message };
+  }
+
+  /**
+   * Carrega a lista de bypasses na primeira consulta
+   * @private
+   */
+  _loadBypasses() {
+    if (!this.bypasses) {
+      this.bypasses = JSON.parse(fs.readFileSync(BYPASSES_PATH, 'utf8')).bypasses;
+    }
+
+    return this.bypasses;
+  }
+}
+
+module.exports = new CspEvaluator();
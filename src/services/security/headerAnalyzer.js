@@ -1,6 +1,32 @@
+const setCookie = require('set-cookie-parser');
 const { SECURITY_HEADERS } = require('../../config/security');
+const ruleRegistry = require('../rules/ruleRegistry');
+const cspEvaluator = require('./cspEvaluator');
+const reportingEndpoints = require('./reportingEndpoints');
+const hstsPreload = require('./hstsPreload');
+const cookieAnalyzer = require('./cookieAnalyzer');
 const logger = require('../../utils/logger');
 
+/**
+ * Redução de score por severidade dos problemas encontrados (CSP e sondagem CORS)
+ */
+const SEVERITY_PENALTIES = {
+  critical: 20,
+  high: 15,
+  medium: 10,
+  low: 5,
+  info: 0
+};
+
+/**
+ * Score de cada valor dos headers de isolamento entre origens (valor inválido: 20)
+ */
+const CROSS_ORIGIN_SCORES = {
+  'Cross-Origin-Opener-Policy': { 'same-origin': 100, 'same-origin-allow-popups': 80, 'noopener-allow-popups': 80, 'unsafe-none': 30 },
+  'Cross-Origin-Embedder-Policy': { 'require-corp': 100, 'credentialless': 90, 'unsafe-none': 30 },
+  'Cross-Origin-Resource-Policy': { 'same-origin': 100, 'same-site': 90, 'cross-origin': 60 }
+};
+
 /**
  * Analisador avançado de headers de segurança HTTP
  */
@@ -10,10 +36,14 @@ class HeaderAnalyzer {
    * Analisa os headers de segurança de uma resposta HTTP
    * @param {Object} headers - Headers da resposta HTTP
    * @param {string} url - URL analisada
+   * @param {Object} context - Dados coletados além da resposta principal
+   * @param {Object} context.cors - Resultado da sondagem CORS (ver corsProbe.probe)
+   * @param {Object} context.preload - Checklist de HSTS preload (ver hstsPreload.assess)
    * @returns {Object} - Análise completa dos headers
    */
-  analyzeHeaders(headers, url) {
+  analyzeHeaders(headers, url, context = {}) {
     const startTime = Date.now();
+    const { cors = null, preload = null } = context;
     
     try {
       const normalizedHeaders = this._normalizeHeaders(headers);
@@ -29,27 +59,60 @@ class HeaderAnalyzer {
         details: {}
       };
 
+      // Destinos de relatórios (Reporting-Endpoints/Report-To), usados pelo report-to da CSP
+      analysis.reporting = reportingEndpoints.parse(normalizedHeaders);
+
       // Analisar cada header de segurança
-      for (const [headerName, config] of Object.entries(SECURITY_HEADERS)) {
+      for (const headerName of Object.keys(SECURITY_HEADERS)) {
         const headerValue = normalizedHeaders[headerName.toLowerCase()];
         
         if (headerValue) {
           analysis.present.push(headerName);
-          analysis.details[headerName] = this._analyzeSpecificHeader(headerName, headerValue, url);
+          analysis.details[headerName] = this._analyzeSpecificHeader(headerName, headerValue, url, analysis.reporting);
+
+          // Achados do header entram na lista geral, identificando o header de origem
+          analysis.vulnerabilities.push(...analysis.details[headerName].vulnerabilities.map(vuln => ({
+            ...vuln,
+            header: headerName
+          })));
         } else {
           analysis.missing.push(headerName);
-          analysis.vulnerabilities.push({
-            type: 'missing_header',
-            header: headerName,
-            severity: config.severity,
-            message: `Header ${headerName} ausente`,
-            description: config.description,
-            impact: this._getHeaderImpact(headerName),
-            weight: config.weight
-          });
         }
       }
 
+      // Isolamento entre origens (COOP + COEP) e cookies de autenticação expostos
+      analysis.isolation = this._assessCrossOriginIsolation(analysis, normalizedHeaders);
+
+      // CSP em modo de monitoramento: avaliada pelo mesmo motor, sem bloquear nada
+      const reportOnlyValue = normalizedHeaders['content-security-policy-report-only'];
+      if (reportOnlyValue) {
+        analysis.reportOnly = this._analyzeReportOnlyCSP(reportOnlyValue, analysis);
+      }
+
+      if (preload) {
+        analysis.preload = preload;
+      }
+
+      // Regras sobre a resposta (headers ausentes e regras customizadas)
+      analysis.vulnerabilities.push(...ruleRegistry.run('headers', 'response', {
+        headers: normalizedHeaders,
+        present: analysis.present,
+        missing: analysis.missing,
+        csp: analysis.details['Content-Security-Policy']?.csp || null,
+        reporting: analysis.reporting,
+        reportOnly: analysis.reportOnly || null,
+        isolation: analysis.isolation,
+        preload,
+        url,
+        isHttps: url.startsWith('https://')
+      }));
+
+      // Sondagem CORS: uma avaliação por URL sondada
+      if (cors) {
+        analysis.cors = this._analyzeCors(cors, url);
+        analysis.vulnerabilities.push(...analysis.cors.vulnerabilities);
+      }
+
       // Analisar headers adicionais interessantes
       analysis.additionalHeaders = this._analyzeAdditionalHeaders(normalizedHeaders);
 
@@ -71,6 +134,48 @@ class HeaderAnalyzer {
     }
   }
 
+  /**
+   * Recalcula o score ignorando as vulnerabilidades aceitas pela política (accepted)
+   * @param {Object} analysis - Resultado de analyzeHeaders
+   * @returns {number} - Score de 0 a 100
+   */
+  scoreOpenFindings(analysis) {
+    const open = analysis.vulnerabilities.filter(vuln => !vuln.accepted);
+    const details = { ...analysis.details };
+    const csp = details['Content-Security-Policy'];
+
+    if (csp) {
+      details['Content-Security-Policy'] = {
+        ...csp,
+        score: this._cspScore(open.filter(vuln => vuln.header === 'Content-Security-Policy'))
+      };
+    }
+
+    // Header ausente aceito pela política não é penalizado
+    const acceptedMissing = new Set(analysis.vulnerabilities
+      .filter(vuln => vuln.accepted && vuln.type === 'missing_header')
+      .map(vuln => vuln.header));
+
+    return this._calculateSecurityScore({
+      ...analysis,
+      details,
+      missing: analysis.missing.filter(headerName => !acceptedMissing.has(headerName)),
+      cors: analysis.cors && { ...analysis.cors, vulnerabilities: analysis.cors.vulnerabilities.filter(vuln => !vuln.accepted) }
+    });
+  }
+
+  /**
+   * Aplica as regras de CORS a cada URL sondada
+   * @private
+   */
+  _analyzeCors(cors, url) {
+    const vulnerabilities = cors.targets.flatMap(target =>
+      ruleRegistry.run('headers', 'cors', { target, url }).map(vuln => ({ ...vuln, url: target.url }))
+    );
+
+    return { targets: cors.targets, vulnerabilities };
+  }
+
   /**
    * Normaliza headers para análise consistente
    * @private
@@ -89,7 +194,7 @@ class HeaderAnalyzer {
    * Analisa um header específico em detalhes
    * @private
    */
-  _analyzeSpecificHeader(headerName, headerValue, url) {
+  _analyzeSpecificHeader(headerName, headerValue, url, reporting) {
     const analysis = {
       value: headerValue,
       isPresent: true,
@@ -99,9 +204,28 @@ class HeaderAnalyzer {
       score: 0
     };
 
+    const parsed = this._parseHeaderValue(headerName, headerValue);
+    const isCSP = headerName.toLowerCase() === 'content-security-policy';
+
+    // Avaliação completa da CSP (fallbacks, nonces, bypasses), entregue às regras como csp
+    if (isCSP) {
+      analysis.directives = parsed;
+      analysis.csp = cspEvaluator.evaluate(parsed);
+      analysis.csp.reporting = cspEvaluator.describeReporting(parsed, reporting);
+    }
+
+    // Regras do header (embutidas e customizadas); o score é avaliado em seguida
+    analysis.vulnerabilities.push(...ruleRegistry.run('headers', 'header', {
+      name: headerName,
+      value: headerValue,
+      parsed,
+      csp: analysis.csp,
+      url
+    }));
+
     switch (headerName.toLowerCase()) {
       case 'content-security-policy':
-        return this._analyzeCSP(headerValue, analysis);
+        return this._analyzeCSP(analysis);
       
       case 'strict-transport-security':
         return this._analyzeHSTS(headerValue, analysis);
@@ -123,6 +247,11 @@ class HeaderAnalyzer {
       
       case 'cache-control':
         return this._analyzeCacheControl(headerValue, analysis);
+
+      case 'cross-origin-opener-policy':
+      case 'cross-origin-embedder-policy':
+      case 'cross-origin-resource-policy':
+        return this._analyzeCrossOriginPolicy(headerName, parsed, analysis, reporting);
       
       default:
         analysis.isConfigured = true;
@@ -135,56 +264,88 @@ class HeaderAnalyzer {
    * Analisa Content Security Policy
    * @private
    */
-  _analyzeCSP(value, analysis) {
-    const directives = this._parseCSPDirectives(value);
-    analysis.directives = directives;
+  _analyzeCSP(analysis) {
     analysis.isConfigured = true;
 
-    // Verificar diretivas importantes
-    const criticalDirectives = ['default-src', 'script-src', 'object-src'];
-    const missingCritical = criticalDirectives.filter(dir => !directives[dir]);
-
-    if (missingCritical.length > 0) {
-      analysis.vulnerabilities.push({
-        type: 'missing_csp_directives',
-        severity: 'high',
-        message: `Diretivas CSP críticas ausentes: ${missingCritical.join(', ')}`,
-        impact: 'Proteção incompleta contra XSS'
-      });
-    }
+    analysis.score = this._cspScore(analysis.vulnerabilities);
+    return analysis;
+  }
 
-    // Verificar uso de 'unsafe-inline' e 'unsafe-eval'
-    const unsafeUsage = [];
-    for (const [directive, sources] of Object.entries(directives)) {
-      if (sources.includes("'unsafe-inline'")) {
-        unsafeUsage.push(`${directive}: unsafe-inline`);
-      }
-      if (sources.includes("'unsafe-eval'")) {
-        unsafeUsage.push(`${directive}: unsafe-eval`);
-      }
-    }
+  /**
+   * Score da CSP: cada problema apontado pelas regras reduz o score conforme a severidade
+   * @private
+   */
+  _cspScore(vulnerabilities) {
+    const penalty = vulnerabilities.reduce((total, vuln) => total + (SEVERITY_PENALTIES[vuln.severity] || 0), 0);
+    return Math.max(20, 100 - penalty);
+  }
+
+  /**
+   * Analisa COOP, COEP e CORP (valor e destino de report-to, quando houver)
+   * @private
+   */
+  _analyzeCrossOriginPolicy(headerName, parsed, analysis, reporting) {
+    const scores = CROSS_ORIGIN_SCORES[headerName];
+    const group = parsed.params['report-to'];
 
-    if (unsafeUsage.length > 0) {
-      analysis.vulnerabilities.push({
-        type: 'unsafe_csp_directives',
-        severity: 'medium',
-        message: `Uso de diretivas inseguras: ${unsafeUsage.join(', ')}`,
-        impact: 'Reduz eficácia da proteção CSP'
-      });
+    analysis.policy = parsed.value;
+    analysis.isConfigured = scores[parsed.value] !== undefined;
+    analysis.score = scores[parsed.value] ?? 20;
+    analysis.reportTo = group ? { group, endpoint: reportingEndpoints.resolve(reporting, group) } : null;
+
+    return analysis;
+  }
+
+  /**
+   * Situação do isolamento entre origens: crossOriginIsolated exige COOP same-origin
+   * e COEP require-corp ou credentialless
+   * @private
+   */
+  _assessCrossOriginIsolation(analysis, headers) {
+    const policy = headerName => analysis.details[headerName]?.policy || null;
+    const coop = policy('Cross-Origin-Opener-Policy');
+    const coep = policy('Cross-Origin-Embedder-Policy');
+    const corp = policy('Cross-Origin-Resource-Policy');
+    const coepEnabled = coep === 'require-corp' || coep === 'credentialless';
+    const windowIsolated = ['same-origin', 'same-origin-allow-popups', 'noopener-allow-popups'].includes(coop);
+
+    const authCookies = headers['set-cookie']
+      ? setCookie.parse(setCookie.splitCookiesString(headers['set-cookie']))
+        .map(cookie => cookie.name)
+        .filter(name => cookieAnalyzer.isSensitiveCookie(name))
+      : [];
+
+    const isolation = { coop, coep, corp, coepEnabled, crossOriginIsolated: coop === 'same-origin' && coepEnabled, authCookies };
+
+    if (isolation.crossOriginIsolated) {
+      return { ...isolation, status: 'isolated', message: `Página isolada entre origens (crossOriginIsolated): COOP same-origin + COEP ${coep}` };
     }
 
-    // Verificar wildcard em script-src
-    if (directives['script-src'] && directives['script-src'].includes('*')) {
-      analysis.vulnerabilities.push({
-        type: 'csp_wildcard_script',
-        severity: 'high',
-        message: 'Wildcard (*) em script-src',
-        impact: 'Permite execução de scripts de qualquer origem'
-      });
+    if (windowIsolated) {
+      const missing = coop === 'same-origin' ? 'COEP require-corp ou credentialless' : 'COOP same-origin e COEP';
+      return { ...isolation, status: 'window', message: `Janela isolada por COOP ${coop}; falta ${missing} para crossOriginIsolated` };
     }
 
-    analysis.score = Math.max(20, 100 - (analysis.vulnerabilities.length * 20));
-    return analysis;
+    return { ...isolation, status: 'none', message: 'Sem isolamento entre origens: janelas de outros sites podem manter referência à página' };
+  }
+
+  /**
+   * Avalia Content-Security-Policy-Report-Only e se ela está a caminho de ser aplicada
+   * @private
+   */
+  _analyzeReportOnlyCSP(value, analysis) {
+    const directives = cspEvaluator.parse(value);
+    const csp = cspEvaluator.evaluate(directives);
+    const reporting = cspEvaluator.describeReporting(directives, analysis.reporting);
+
+    return {
+      value,
+      monitoringOnly: true,
+      directives,
+      csp,
+      reporting,
+      enforcement: cspEvaluator.assessEnforcement(csp, reporting, analysis.present.includes('Content-Security-Policy'))
+    };
   }
 
   /**
@@ -193,19 +354,9 @@ class HeaderAnalyzer {
    */
   _analyzeHSTS(value, analysis) {
     analysis.isConfigured = true;
-    const hstsParams = this._parseHSTSParams(value);
+    const hstsParams = hstsPreload.parseHeader(value);
     analysis.params = hstsParams;
 
-    // Verificar max-age
-    if (!hstsParams.maxAge || hstsParams.maxAge < 31536000) { // 1 ano
-      analysis.vulnerabilities.push({
-        type: 'hsts_short_max_age',
-        severity: 'medium',
-        message: `Max-age muito baixo: ${hstsParams.maxAge || 0} segundos`,
-        impact: 'HSTS pode não ser efetivo para proteção a longo prazo'
-      });
-    }
-
     // Verificar includeSubDomains
     if (!hstsParams.includeSubDomains) {
       analysis.recommendations.push('Considere adicionar includeSubDomains para proteger subdomínios');
@@ -237,20 +388,8 @@ class HeaderAnalyzer {
     } else if (normalizedValue.startsWith('allow-from')) {
       analysis.score = 70;
       analysis.level = 'permissive';
-      analysis.vulnerabilities.push({
-        type: 'deprecated_allow_from',
-        severity: 'low',
-        message: 'ALLOW-FROM é obsoleto, use CSP frame-ancestors',
-        impact: 'Não suportado por navegadores modernos'
-      });
     } else {
       analysis.score = 30;
-      analysis.vulnerabilities.push({
-        type: 'invalid_x_frame_options',
-        severity: 'medium',
-        message: `Valor inválido: ${value}`,
-        impact: 'Header não oferece proteção'
-      });
     }
 
     return analysis;
@@ -268,12 +407,6 @@ class HeaderAnalyzer {
       analysis.level = 'secure';
     } else {
       analysis.score = 30;
-      analysis.vulnerabilities.push({
-        type: 'invalid_x_content_type_options',
-        severity: 'medium',
-        message: `Valor deve ser 'nosniff', encontrado: ${value}`,
-        impact: 'Não previne MIME sniffing'
-      });
     }
 
     return analysis;
@@ -285,25 +418,10 @@ class HeaderAnalyzer {
    */
   _analyzeReferrerPolicy(value, analysis) {
     analysis.isConfigured = true;
-    const validPolicies = [
-      'no-referrer', 'no-referrer-when-downgrade', 'origin', 
-      'origin-when-cross-origin', 'same-origin', 'strict-origin', 
-      'strict-origin-when-cross-origin', 'unsafe-url'
-    ];
 
     const policies = value.split(',').map(p => p.trim().toLowerCase());
     analysis.policies = policies;
 
-    const invalidPolicies = policies.filter(p => !validPolicies.includes(p));
-    if (invalidPolicies.length > 0) {
-      analysis.vulnerabilities.push({
-        type: 'invalid_referrer_policy',
-        severity: 'low',
-        message: `Políticas inválidas: ${invalidPolicies.join(', ')}`,
-        impact: 'Pode não funcionar como esperado'
-      });
-    }
-
     // Avaliar nível de privacidade
     if (policies.includes('no-referrer') || policies.includes('strict-origin')) {
       analysis.score = 100;
@@ -348,15 +466,8 @@ class HeaderAnalyzer {
    * @private
    */
   _analyzeXSSProtection(value, analysis) {
-    analysis.isConfigured = true;
-    
     // Header obsoleto, mas ainda relevante para navegadores antigos
-    analysis.vulnerabilities.push({
-      type: 'obsolete_header',
-      severity: 'info',
-      message: 'X-XSS-Protection é obsoleto, use CSP',
-      impact: 'Substituído por Content Security Policy'
-    });
+    analysis.isConfigured = true;
 
     if (value === '1; mode=block') {
       analysis.score = 70;
@@ -367,20 +478,8 @@ class HeaderAnalyzer {
     } else if (value === '0') {
       analysis.score = 20;
       analysis.level = 'disabled';
-      analysis.vulnerabilities.push({
-        type: 'xss_protection_disabled',
-        severity: 'low',
-        message: 'Proteção XSS desabilitada',
-        impact: 'Não oferece proteção contra XSS em navegadores antigos'
-      });
     } else {
       analysis.score = 30;
-      analysis.vulnerabilities.push({
-        type: 'invalid_xss_protection',
-        severity: 'low',
-        message: `Valor inválido: ${value}`,
-        impact: 'Header não oferece proteção'
-      });
     }
 
     return analysis;
@@ -493,8 +592,12 @@ class HeaderAnalyzer {
       }
     }
 
+    // Origens forjadas aceitas pelo CORS reduzem o score conforme a severidade
+    const corsPenalty = (analysis.cors?.vulnerabilities || [])
+      .reduce((total, vuln) => total + (SEVERITY_PENALTIES[vuln.severity] || 0), 0);
+
     // Normalizar para 0-100
-    const normalizedScore = Math.max(0, Math.min(100, (score / totalWeight) * 100));
+    const normalizedScore = Math.max(0, Math.min(100, (score / totalWeight) * 100 - corsPenalty));
     
     return Math.round(normalizedScore);
   }
@@ -515,7 +618,7 @@ class HeaderAnalyzer {
     }
     
     // Headers que são geralmente opcionais
-    const generallyOptional = ['Permissions-Policy', 'Referrer-Policy'];
+    const generallyOptional = ['Permissions-Policy', 'Referrer-Policy', 'Cross-Origin-Embedder-Policy', 'Cross-Origin-Resource-Policy'];
     return generallyOptional.includes(headerName);
   }
 
@@ -556,6 +659,19 @@ class HeaderAnalyzer {
       }
     }
 
+    if (analysis.reportOnly) {
+      recommendations.push(`CSP Report-Only: ${analysis.reportOnly.enforcement.message}`);
+    }
+
+    if (analysis.preload?.applicable && !analysis.preload.eligible) {
+      const pending = analysis.preload.steps.filter(step => !step.passed).map(step => step.label);
+      recommendations.push(`HSTS preload: pendente - ${pending.join('; ')}`);
+    }
+
+    if (analysis.cors?.vulnerabilities.length > 0) {
+      recommendations.push('CORS: responda Access-Control-Allow-Origin apenas para origens de uma lista fixa, comparadas por igualdade');
+    }
+
     // Recomendações gerais baseadas no score
     if (analysis.score < 50) {
       recommendations.push('Configuração de segurança inadequada - revisão urgente necessária');
@@ -569,73 +685,39 @@ class HeaderAnalyzer {
   }
 
   /**
-   * Retorna impacto de um header ausente
+   * Valor do header já interpretado, entregue às regras
    * @private
    */
-  _getHeaderImpact(headerName) {
-    const impacts = {
-      'Content-Security-Policy': 'Site vulnerável a ataques XSS e injeção de código',
-      'Strict-Transport-Security': 'Conexões HTTP não forçadas para HTTPS',
-      'X-Frame-Options': 'Site pode ser incorporado em iframes maliciosos',
-      'X-Content-Type-Options': 'Navegador pode interpretar incorretamente tipos de arquivo',
-      'Referrer-Policy': 'Informações do referenciador podem vazar',
-      'Permissions-Policy': 'Acesso irrestrito a APIs do navegador'
-    };
-
-    return impacts[headerName] || 'Redução na segurança geral';
-  }
-
-  /**
-   * Parseia diretivas CSP
-   * @private
-   */
-  _parseCSPDirectives(cspValue) {
-    const directives = {};
-    const parts = cspValue.split(';');
-
-    for (const part of parts) {
-      const trimmed = part.trim();
-      if (!trimmed) continue;
-
-      const spaceIndex = trimmed.indexOf(' ');
-      if (spaceIndex === -1) {
-        directives[trimmed] = [];
-      } else {
-        const directive = trimmed.substring(0, spaceIndex);
-        const sources = trimmed.substring(spaceIndex + 1).split(/\s+/);
-        directives[directive] = sources;
-      }
+  _parseHeaderValue(headerName, headerValue) {
+    switch (headerName.toLowerCase()) {
+      case 'content-security-policy':
+        return cspEvaluator.parse(headerValue);
+      case 'strict-transport-security':
+        return hstsPreload.parseHeader(headerValue);
+      case 'permissions-policy':
+        return this._parsePermissionsPolicy(headerValue);
+      case 'cross-origin-opener-policy':
+      case 'cross-origin-embedder-policy':
+      case 'cross-origin-resource-policy':
+        return this._parseCrossOriginPolicy(headerValue);
+      default:
+        return null;
     }
-
-    return directives;
   }
 
   /**
-   * Parseia parâmetros HSTS
+   * Parseia COOP/COEP/CORP: valor e parâmetros (ex.: same-origin; report-to="coop")
    * @private
    */
-  _parseHSTSParams(hstsValue) {
-    const params = {
-      maxAge: 0,
-      includeSubDomains: false,
-      preload: false
-    };
+  _parseCrossOriginPolicy(value) {
+    const [token, ...params] = value.split(';');
 
-    const parts = hstsValue.split(';');
-    
-    for (const part of parts) {
-      const trimmed = part.trim().toLowerCase();
-      
-      if (trimmed.startsWith('max-age=')) {
-        params.maxAge = parseInt(trimmed.substring(8));
-      } else if (trimmed === 'includesubdomains') {
-        params.includeSubDomains = true;
-      } else if (trimmed === 'preload') {
-        params.preload = true;
-      }
-    }
-
-    return params;
+    return {
+      value: token.trim(),
+      params: Object.fromEntries(params
+        .map(param => param.split('=').map(part => part.trim().replace(/^"|"$/g, '')))
+        .filter(([name]) => name))
+    };
   }
 
   /**
@@ -0,0 +1,182 @@
+const httpClient = require('../network/httpClient');
+const publicSuffix = require('../network/publicSuffix');
+const logger = require('../../utils/logger');
+
+/**
+ * max-age mínimo aceito pela lista de preload (1 ano)
+ */
+const PRELOAD_MIN_MAX_AGE = 31536000;
+
+/**
+ * Avaliação de elegibilidade para a lista de HSTS preload dos navegadores
+ *
+ * Segue os requisitos de hstspreload.org, nesta ordem:
+ * certificado válido, redirecionamento HTTP -> HTTPS no mesmo host, Strict-Transport-Security
+ * no domínio registrável com max-age >= 1 ano, includeSubDomains e preload (inclusive se a
+ * resposta HTTPS for um redirecionamento) e www em HTTPS
+ */
+class HstsPreload {
+
+  /**
+   * Interpreta o valor de Strict-Transport-Security
+   * @param {string} value - Valor do header
+   * @returns {Object} - { maxAge, includeSubDomains, preload }
+   */
+  parseHeader(value) {
+    const params = {
+      maxAge: 0,
+      includeSubDomains: false,
+      preload: false
+    };
+
+    for (const part of value.split(';')) {
+      const trimmed = part.trim().toLowerCase();
+
+      if (trimmed.startsWith('max-age=')) {
+        params.maxAge = parseInt(trimmed.substring(8).replace(/^"|"$/g, ''));
+      } else if (trimmed === 'includesubdomains') {
+        params.includeSubDomains = true;
+      } else if (trimmed === 'preload') {
+        params.preload = true;
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * Acessa o domínio registrável (HTTP e HTTPS) e o www e monta o checklist de preload
+   * @param {string} url - URL analisada (o domínio avaliado é o registrável dela)
+   * @param {Object} requestOptions - Opções da requisição HTTP (ver httpClient.get)
+   * @returns {Promise<Object>} - { applicable, domain, eligible, header, params, steps: [{ id, label, passed, detail }] }
+   */
+  async assess(url, requestOptions = {}) {
+    const domain = publicSuffix.registrableDomain(new URL(url).hostname);
+
+    if (!domain) {
+      return {
+        applicable: false,
+        domain: new URL(url).hostname,
+        eligible: false,
+        header: null,
+        params: null,
+        steps: [],
+        message: 'Preload exige um domínio registrável (não se aplica a IPs e sufixos públicos)'
+      };
+    }
+
+    // Só a primeira resposta de cada endereço conta: o redirecionamento é avaliado, não seguido.
+    // Uma tentativa por endereço, em paralelo: a verificação leva no máximo um timeout da análise
+    const options = { ...requestOptions, retries: 1, maxRedirects: 0 };
+    const [plain, secure, www] = await Promise.all([
+      this._fetch(`http://${domain}/`, options),
+      this._fetch(`https://${domain}/`, options),
+      this._fetch(`https://www.${domain}/`, options)
+    ]);
+
+    const header = secure.response?.headers['strict-transport-security'] || null;
+    const params = header ? this.parseHeader(header) : null;
+
+    const steps = [
+      this._certificateStep(domain, secure),
+      this._redirectStep(domain, plain),
+      this._step('hsts_header', `https://${domain} envia Strict-Transport-Security`, !!header,
+        header || (secure.response ? 'Header ausente na resposta HTTPS' : 'HTTPS não respondeu')),
+      this._step('max_age', `max-age de pelo menos ${PRELOAD_MIN_MAX_AGE} segundos (1 ano)`,
+        !!params && params.maxAge >= PRELOAD_MIN_MAX_AGE, params ? `max-age=${params.maxAge || 0}` : 'Sem header'),
+      this._step('include_subdomains', 'Diretiva includeSubDomains', !!params?.includeSubDomains,
+        params?.includeSubDomains ? 'Presente' : 'Ausente'),
+      this._step('preload', 'Diretiva preload', !!params?.preload, params?.preload ? 'Presente' : 'Ausente'),
+      this._wwwStep(domain, www)
+    ];
+
+    const eligible = steps.every(step => step.passed);
+    logger.analysis(url, 'hsts_preload_assessed', { domain, eligible });
+
+    return { applicable: true, domain, eligible, header, params, steps };
+  }
+
+  /**
+   * Certificado válido no domínio registrável
+   * @private
+   */
+  _certificateStep(domain, secure) {
+    const label = `https://${domain} responde com certificado válido`;
+
+    if (!secure.response) {
+      return this._step('https_certificate', label, false, secure.error);
+    }
+
+    return this._step('https_certificate', label, !!secure.response.ssl?.authorized,
+      secure.response.ssl?.authorized ? `HTTP ${secure.response.status}` : 'Certificado não confiável pelo sistema');
+  }
+
+  /**
+   * A primeira resposta HTTP deve redirecionar para HTTPS no mesmo host
+   * @private
+   */
+  _redirectStep(domain, plain) {
+    const label = `http://${domain} redireciona primeiro para https://${domain}`;
+
+    if (!plain.response) {
+      return this._step('http_redirect', label, false, plain.error);
+    }
+
+    const { status, headers } = plain.response;
+    const location = status >= 300 && status < 400 && headers.location
+      ? new URL(headers.location, `http://${domain}/`)
+      : null;
+
+    if (!location) {
+      return this._step('http_redirect', label, false, `HTTP ${status} sem redirecionamento`);
+    }
+
+    // Redirecionar direto para outro host (ex.: https://www) impede que o apex receba HSTS
+    const passed = location.protocol === 'https:' && location.hostname === domain;
+    return this._step('http_redirect', label, passed, `HTTP ${status} -> ${location.toString()}`);
+  }
+
+  /**
+   * www deve servir HTTPS se existir no DNS
+   * @private
+   */
+  _wwwStep(domain, www) {
+    const label = `https://www.${domain} responde via HTTPS`;
+
+    if (!www.response) {
+      // Sem registro DNS o www não é exigido
+      return www.dns
+        ? this._step('www_https', label, true, 'www sem registro DNS (não exigido)')
+        : this._step('www_https', label, false, www.error);
+    }
+
+    return this._step('www_https', label, !!www.response.ssl?.authorized,
+      www.response.ssl?.authorized ? `HTTP ${www.response.status}` : 'Certificado não confiável pelo sistema');
+  }
+
+  /**
+   * Requisição única; falhas viram resultado com a mensagem do erro
+   * @private
+   */
+  async _fetch(url, options) {
+    try {
+      return { response: await httpClient.get(url, options) };
+    } catch (error) {
+      return {
+        response: null,
+        dns: error.category === 'dns',
+        error: error.userMessage || error.message || 'Falha na requisição'
+      };
+    }
+  }
+
+  /**
+   * Item do checklist
+   * @private
+   */
+  _step(id, label, passed, detail) {
+    return { id, label, passed, detail };
+  }
+}
+
+module.exports = new HstsPreload();
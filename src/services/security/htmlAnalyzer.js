@@ -0,0 +1,106 @@
+const cheerio = require('cheerio');
+const ruleRegistry = require('../rules/ruleRegistry');
+const logger = require('../../utils/logger');
+
+/**
+ * Redução do score de HTML por severidade
+ */
+const SEVERITY_PENALTIES = {
+  critical: 20,
+  high: 15,
+  medium: 10,
+  low: 5,
+  info: 0
+};
+
+/**
+ * Analisador de segurança do HTML da página
+ */
+class HtmlAnalyzer {
+
+  /**
+   * Analisa formulários, scripts e metadados do documento
+   * @param {string} htmlContent - HTML da resposta
+   * @param {string} url - URL analisada
+   * @returns {Object} - Análise do HTML
+   */
+  analyzeHTML(htmlContent, url) {
+    const startTime = Date.now();
+    const $ = cheerio.load(htmlContent || '');
+    const isHttps = url.startsWith('https://');
+
+    const analysis = {
+      url,
+      vulnerabilities: [],
+      recommendations: [],
+      forms: [],
+      scripts: [],
+      score: 0
+    };
+
+    // Analisar formulários
+    $('form').each((i, form) => {
+      const $form = $(form);
+      const formAnalysis = {
+        method: $form.attr('method')?.toLowerCase() || 'get',
+        action: $form.attr('action') || '',
+        hasPasswordField: $form.find('input[type="password"]').length > 0,
+        isSecure: isHttps,
+        vulnerabilities: []
+      };
+
+      formAnalysis.vulnerabilities.push(...ruleRegistry.run('html', 'form', { form: formAnalysis, $form, url, isHttps }));
+
+      analysis.forms.push(formAnalysis);
+
+      // Identificar o formulário de origem (action) nas vulnerabilidades consolidadas
+      analysis.vulnerabilities.push(...formAnalysis.vulnerabilities.map(vuln => ({ ...vuln, form: formAnalysis.action })));
+    });
+
+    // Analisar scripts
+    $('script[src]').each((i, script) => {
+      const $script = $(script);
+      const src = $script.attr('src');
+      const scriptAnalysis = {
+        src,
+        isExternal: !src.startsWith('/') && !src.startsWith(url),
+        isHttps: src.startsWith('https://'),
+        vulnerabilities: []
+      };
+
+      scriptAnalysis.vulnerabilities.push(...ruleRegistry.run('html', 'script', { script: scriptAnalysis, $script, url }));
+
+      analysis.scripts.push(scriptAnalysis);
+      analysis.vulnerabilities.push(...scriptAnalysis.vulnerabilities.map(vuln => ({ ...vuln, script: src })));
+    });
+
+    // Regras sobre o documento completo
+    analysis.vulnerabilities.push(...ruleRegistry.run('html', 'document', { $, html: htmlContent, url, isHttps }));
+
+    analysis.score = this._calculateScore(analysis.vulnerabilities);
+
+    logger.performance('html_analysis', Date.now() - startTime, { url, score: analysis.score });
+
+    return analysis;
+  }
+
+  /**
+   * Recalcula o score ignorando as vulnerabilidades aceitas pela política (accepted)
+   * @param {Object} analysis - Resultado de analyzeHTML
+   * @returns {number} - Score de 0 a 100
+   */
+  scoreOpenFindings(analysis) {
+    return this._calculateScore(analysis.vulnerabilities.filter(vuln => !vuln.accepted));
+  }
+
+  /**
+   * Score base de 80 reduzido conforme a severidade de cada vulnerabilidade
+   * @private
+   */
+  _calculateScore(vulnerabilities) {
+    const penalty = vulnerabilities.reduce((total, vuln) => total + (SEVERITY_PENALTIES[vuln.severity] || 0), 0);
+    return Math.max(0, 80 - penalty);
+  }
+}
+
+module.exports = new HtmlAnalyzer();
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { COOKIE_SECURITY } = require('../../config/security');
+
+const JWS_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+const JWE_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CPF_PATTERN = /^\d{3}\.?\d{3}\.?\d{3}-?\d{2}$/;
+
+/**
+ * Campos do header que apontam para chave pública (sem sentido em algoritmos HMAC)
+ */
+const PUBLIC_KEY_HEADERS = ['jwk', 'jku', 'x5u', 'x5c', 'x5t', 'x5t#S256'];
+
+/**
+ * Tamanho máximo de textos exibidos no token decodificado
+ */
+const MAX_DISPLAY_LENGTH = 64;
+
+/**
+ * Decodificação e auditoria de JWTs (JWS/JWE) encontrados em valores de cookies
+ * Os tokens são apenas decodificados: a assinatura não é verificada
+ */
+class JwtInspector {
+
+  /**
+   * Decodifica um valor de cookie que contenha um JWT
+   * @param {string} value - Valor do cookie
+   * @param {Date} now - Momento da análise (para validade do token)
+   * @returns {Object|null} - Header, claims redigidas e fatos para as regras, ou null se não for JWT
+   */
+  inspect(value, now = new Date()) {
+    const token = this._extractToken(value);
+    if (!token) return null;
+
+    const parts = token.split('.');
+    const header = this._decodeJson(parts[0]);
+    if (!header || typeof header.alg !== 'string') return null;
+
+    if (JWE_PATTERN.test(token)) {
+      if (typeof header.enc !== 'string') return null;
+
+      // Claims de um JWE são cifradas e não ficam legíveis no cliente
+      return {
+        format: 'JWE',
+        alg: header.alg,
+        enc: header.enc,
+        header: this._redact(header),
+        claims: null,
+        algNone: false,
+        symmetric: false,
+        publicKeyHints: [],
+        publicSecret: null,
+        ...this._describeValidity(null, now),
+        sensitiveClaims: []
+      };
+    }
+
+    const claims = this._decodeJson(parts[1]);
+    if (!claims) return null;
+
+    const alg = header.alg;
+    const symmetric = /^HS(256|384|512)$/i.test(alg);
+
+    return {
+      format: 'JWS',
+      alg,
+      header: this._redact(header),
+      claims: this._redact(claims),
+      algNone: alg.toLowerCase() === 'none',
+      symmetric,
+      publicKeyHints: symmetric ? this._publicKeyHints(header) : [],
+      publicSecret: symmetric ? this._findPublicSecret(parts, alg) : null,
+      ...this._describeValidity(claims, now),
+      sensitiveClaims: this._sensitiveClaims(claims)
+    };
+  }
+
+  /**
+   * Extrai o token do valor (pode vir codificado para URL ou com o esquema Bearer)
+   * @private
+   */
+  _extractToken(value) {
+    if (typeof value !== 'string' || value.length < 10) return null;
+
+    let token = value.trim();
+    try {
+      token = decodeURIComponent(token);
+    } catch (error) {
+      // Valor com % solto: usar como está
+    }
+
+    token = token.replace(/^bearer\s+/i, '');
+
+    return JWS_PATTERN.test(token) || JWE_PATTERN.test(token) ? token : null;
+  }
+
+  /**
+   * Decodifica um segmento base64url contendo um objeto JSON
+   * @private
+   */
+  _decodeJson(segment) {
+    try {
+      const decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+      return decoded && typeof decoded === 'object' && !Array.isArray(decoded) ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Expiração, emissão e tempo de vida do token
+   * @private
+   */
+  _describeValidity(claims, now) {
+    const exp = typeof claims?.exp === 'number' ? claims.exp * 1000 : null;
+    const iat = typeof claims?.iat === 'number' ? claims.iat * 1000 : null;
+    const nbf = typeof claims?.nbf === 'number' ? claims.nbf * 1000 : null;
+    const start = iat ?? nbf ?? now.getTime();
+
+    return {
+      hasExp: exp !== null,
+      issuedAt: iat !== null ? new Date(iat).toISOString() : null,
+      expiresAt: exp !== null ? new Date(exp).toISOString() : null,
+      lifetime: exp !== null ? exp - start : null,
+      expired: exp !== null && exp < now.getTime()
+    };
+  }
+
+  /**
+   * Campos do header que indicam chave pública em um token HMAC (confusão de algoritmo)
+   * @private
+   */
+  _publicKeyHints(header) {
+    const hints = PUBLIC_KEY_HEADERS.filter(field => header[field] !== undefined);
+
+    if (typeof header.kid === 'string' && /pub|\.pem$|\.crt$|jwks|^https?:/i.test(header.kid)) {
+      hints.push(`kid=${this._truncate(header.kid)}`);
+    }
+
+    return hints;
+  }
+
+  /**
+   * Testa a assinatura HMAC contra segredos públicos de exemplos e tutoriais
+   * @private
+   */
+  _findPublicSecret(parts, alg) {
+    const digest = `sha${alg.slice(2)}`;
+    const signature = parts[2];
+    const input = `${parts[0]}.${parts[1]}`;
+
+    return COOKIE_SECURITY.jwt.publicSecrets.find(secret =>
+      crypto.createHmac(digest, secret).update(input).digest('base64url') === signature
+    ) || null;
+  }
+
+  /**
+   * Claims com dados pessoais ou de autorização, pelo nome ou pelo formato do valor
+   * @private
+   */
+  _sensitiveClaims(claims) {
+    return Object.entries(claims)
+      .filter(([name, value]) => this._isSensitiveClaim(name, value))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Claim sensível: nome conhecido, e-mail ou CPF
+   * @private
+   */
+  _isSensitiveClaim(name, value) {
+    if (COOKIE_SECURITY.jwt.sensitiveClaims.includes(name.toLowerCase())) return true;
+    return typeof value === 'string' && (EMAIL_PATTERN.test(value) || CPF_PATTERN.test(value));
+  }
+
+  /**
+   * Cópia para exibição: claims sensíveis redigidas e textos longos truncados
+   * @private
+   */
+  _redact(value, name = null) {
+    if (name !== null && this._isSensitiveClaim(name, value)) return '[redigido]';
+    if (typeof value === 'string') return this._truncate(value);
+    if (Array.isArray(value)) return value.map(item => this._redact(item));
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._redact(item, key)]));
+    }
+
+    return value;
+  }
+
+  /**
+   * Encurta textos longos (assinaturas, certificados) para exibição
+   * @private
+   */
+  _truncate(text) {
+    return text.length > MAX_DISPLAY_LENGTH ? `${text.slice(0, MAX_DISPLAY_LENGTH)}…` : text;
+  }
+}
+
+module.exports = new JwtInspector();
@@ -0,0 +1,55 @@
+/**
+ * Leitura dos destinos de relatórios declarados pelos headers Reporting-Endpoints
+ * (Reporting API v1) e Report-To (versão anterior, em JSON), usados por report-to da CSP
+ */
+class ReportingEndpoints {
+
+  /**
+   * Extrai os grupos de relatórios da resposta
+   * @param {Object} headers - Headers normalizados (nomes em minúsculas)
+   * @returns {Object} - { endpoints: { grupo: { url, source } }, errors }
+   */
+  parse(headers) {
+    const endpoints = {};
+    const errors = [];
+
+    // Report-To primeiro: Reporting-Endpoints, mais recente, prevalece no mesmo grupo
+    if (headers['report-to']) {
+      try {
+        const groups = JSON.parse(`[${headers['report-to']}]`);
+
+        for (const group of groups) {
+          const url = group?.endpoints?.[0]?.url;
+          if (typeof url === 'string') {
+            endpoints[group.group || 'default'] = { url, source: 'Report-To' };
+          }
+        }
+      } catch (error) {
+        errors.push(`Report-To não é um JSON válido: ${error.message}`);
+      }
+    }
+
+    if (headers['reporting-endpoints']) {
+      const pattern = /([a-z0-9_-]+)\s*=\s*"([^"]*)"/gi;
+      let match;
+
+      while ((match = pattern.exec(headers['reporting-endpoints'])) !== null) {
+        endpoints[match[1]] = { url: match[2], source: 'Reporting-Endpoints' };
+      }
+    }
+
+    return { endpoints, errors };
+  }
+
+  /**
+   * Destino de um grupo de relatórios
+   * @param {Object} parsed - Resultado de parse
+   * @param {string} group - Nome do grupo (ex.: valor de report-to)
+   * @returns {Object|null} - { url, source } ou null se o grupo não foi declarado
+   */
+  resolve(parsed, group) {
+    return parsed.endpoints[group] || null;
+  }
+}
+
+module.exports = new ReportingEndpoints();
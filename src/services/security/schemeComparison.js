@@ -0,0 +1,110 @@
+const setCookie = require('set-cookie-parser');
+const httpClient = require('../network/httpClient');
+const logger = require('../../utils/logger');
+
+/**
+ * Comparação do comportamento de cookies entre as variantes http:// e https:// de um site
+ */
+class SchemeComparison {
+
+  /**
+   * Busca a variante http:// da URL analisada, seguindo os redirecionamentos
+   * @param {string} url - URL analisada (https://)
+   * @param {Object} requestOptions - Opções da requisição HTTP (ver httpClient.get)
+   * @returns {Promise<Object>} - { httpUrl, reachable, finalUrl, redirectsToHttps, responses, error }
+   */
+  async fetchHttpVariant(url, requestOptions = {}) {
+    const parsed = new URL(url);
+
+    if (parsed.protocol !== 'https:') {
+      return { httpUrl: url, applicable: false, reachable: false, responses: [] };
+    }
+
+    parsed.protocol = 'http:';
+    const httpUrl = parsed.toString();
+
+    try {
+      const response = await httpClient.get(httpUrl, { ...requestOptions, retries: 1 });
+      const finalUrl = response.finalUrl || httpUrl;
+      // Com maxRedirects: 0 a última resposta pode ser o próprio redirecionamento
+      const finalLocation = response.status >= 300 && response.status < 400 ? response.headers?.location || null : null;
+
+      // Cada resposta da cadeia, com os cookies que definiu
+      const responses = [
+        ...(response.redirectChain || []).map(hop => ({
+          url: hop.url,
+          status: hop.status,
+          location: hop.location,
+          cookies: setCookie.parse(hop.cookies || [])
+        })),
+        { url: finalUrl, status: response.status, location: finalLocation, cookies: setCookie.parse(response.cookies) }
+      ];
+
+      return {
+        httpUrl,
+        applicable: true,
+        reachable: true,
+        finalUrl,
+        redirectsToHttps: finalUrl.startsWith('https://') || !!finalLocation?.startsWith('https://'),
+        responses
+      };
+    } catch (error) {
+      logger.analysis(url, 'http_variant_failed', { httpUrl, error: error.message });
+
+      return { httpUrl, applicable: true, reachable: false, responses: [], error: error.message };
+    }
+  }
+
+  /**
+   * Compara os cookies recebidos via HTTP com os da análise HTTPS
+   * @param {Object} variant - Resultado de fetchHttpVariant
+   * @param {Array} httpsCookies - Cookies analisados da resposta HTTPS
+   * @returns {Object} - Cookies emitidos sem TLS, tentativas de sobrescrever cookies Secure e redirecionamento para HTTPS
+   */
+  compare(variant, httpsCookies) {
+    const plainResponses = variant.responses.filter(response => response.url.startsWith('http://'));
+    const secureNames = new Set(httpsCookies.filter(cookie => cookie.secure).map(cookie => cookie.name));
+
+    const cookiesOverHttp = plainResponses.flatMap(response => response.cookies.map(cookie => ({
+      name: cookie.name,
+      setBy: response.url,
+      status: response.status,
+      secure: !!cookie.secure,
+      // Antes do redirecionamento: resposta 3xx que ainda leva ao HTTPS
+      beforeRedirect: !!response.location
+    })));
+
+    const overwriteAttempts = cookiesOverHttp.filter(cookie => secureNames.has(cookie.name));
+
+    // O primeiro salto HTTP deve ser um redirecionamento direto, sem cookies, para HTTPS
+    const firstResponse = plainResponses[0] || null;
+    const redirectsFirst = !!firstResponse && !!firstResponse.location &&
+      firstResponse.location.startsWith('https://') && firstResponse.cookies.length === 0;
+
+    const comparison = {
+      applicable: variant.applicable,
+      httpUrl: variant.httpUrl,
+      reachable: variant.reachable,
+      finalUrl: variant.finalUrl || null,
+      redirectsToHttps: !!variant.redirectsToHttps,
+      redirectsBeforeCookies: redirectsFirst,
+      firstResponse: firstResponse && { status: firstResponse.status, location: firstResponse.location },
+      cookiesOverHttp,
+      overwriteAttempts,
+      status: 'ok',
+      error: variant.error || null
+    };
+
+    if (!variant.applicable) {
+      comparison.status = 'not_applicable';
+    } else if (!variant.reachable) {
+      comparison.status = 'unreachable';
+    } else if (cookiesOverHttp.length > 0 || !comparison.redirectsToHttps) {
+      comparison.status = 'at_risk';
+    }
+
+    return comparison;
+  }
+}
+
+module.exports = new SchemeComparison();
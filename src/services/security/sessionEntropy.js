@@ -0,0 +1,265 @@
+const setCookie = require('set-cookie-parser');
+const httpClient = require('../network/httpClient');
+const { ANALYSIS_CONFIG } = require('../../utils/constants');
+const logger = require('../../utils/logger');
+
+/**
+ * Distância máxima do momento da coleta para um número ser considerado timestamp de emissão
+ */
+const TIMESTAMP_WINDOW_SECONDS = 60 * 60 * 24;
+
+/**
+ * Maior incremento entre amostras consecutivas tratado como contador
+ */
+const MAX_COUNTER_STEP = 1000;
+
+/**
+ * Análise de entropia e previsibilidade de identificadores de sessão
+ */
+class SessionEntropy {
+
+  /**
+   * Coleta valores de cookies de sessões novas (requisições sem cookies enviados)
+   * @param {string} url - URL analisada
+   * @param {number} count - Quantidade de requisições extras
+   * @param {Object} requestOptions - Opções da requisição HTTP (ver httpClient.get)
+   * @returns {Promise<Map<string, Array<string>>>} - Valores coletados por nome de cookie
+   */
+  async collectSamples(url, count, requestOptions = {}) {
+    const samples = new Map();
+
+    for (let i = 0; i < count; i++) {
+      let response;
+      try {
+        response = await httpClient.get(url, { ...requestOptions, retries: 1 });
+      } catch (error) {
+        // Amostras já coletadas continuam válidas para a estimativa
+        logger.analysis(url, 'session_sampling_failed', { sample: i + 1, error: error.message });
+        break;
+      }
+
+      const headers = [
+        ...(response.redirectChain || []).flatMap(hop => hop.cookies),
+        ...response.cookies
+      ];
+
+      // Um valor por cookie e sessão: o último Set-Cookie é o que o navegador guardaria
+      const session = new Map(setCookie.parse(headers).map(cookie => [cookie.name, cookie.value]));
+
+      for (const [name, value] of session) {
+        if (!samples.has(name)) samples.set(name, []);
+        samples.get(name).push(value);
+      }
+    }
+
+    logger.analysis(url, 'session_sampling_complete', { requests: count, cookies: samples.size });
+
+    return samples;
+  }
+
+  /**
+   * Estima a entropia dos valores de um identificador de sessão
+   * @param {Array<string>} values - Valores de sessões distintas, na ordem de coleta
+   * @param {Date} now - Momento da coleta (para reconhecer timestamps)
+   * @returns {Object} - Conjunto de caracteres, Shannon, bits efetivos e padrões encontrados
+   */
+  analyzeValues(values, now = new Date()) {
+    const lengths = values.map(value => value.length);
+    const commonPrefix = this._commonPrefix(values);
+    // O prefixo fixo não conta: o conjunto de caracteres é o da parte que varia
+    const suffixes = values.map(value => value.slice(commonPrefix.length));
+    const charset = this._charset(suffixes.some(Boolean) ? suffixes : values);
+    const varyingPositions = this._varyingPositions(values, commonPrefix.length);
+    const bitsPerChar = charset.size > 1 ? Math.log2(charset.size) : 0;
+
+    const entropy = {
+      samples: values.length,
+      length: { min: Math.min(...lengths), max: Math.max(...lengths) },
+      charset: charset.name,
+      charsetSize: charset.size,
+      shannonPerChar: this._round(this._shannon(values.join(''))),
+      varyingPositions,
+      commonPrefix: commonPrefix.length >= 2 ? commonPrefix : null,
+      effectiveBits: Math.round(varyingPositions * bitsPerChar),
+      patterns: []
+    };
+
+    const distinct = new Set(values);
+    if (values.length > 1 && distinct.size < values.length) {
+      entropy.patterns.push({
+        type: 'repeated',
+        description: `${values.length - distinct.size} valor(es) repetido(s) entre sessões novas`
+      });
+    }
+
+    const counter = this._findCounter(values);
+    if (counter) {
+      entropy.patterns.push({ type: 'counter', description: counter });
+    }
+
+    const timestamp = this._findTimestamp(values, now);
+    if (timestamp) {
+      entropy.patterns.push({ type: 'timestamp', description: timestamp });
+    }
+
+    entropy.isWeak = entropy.effectiveBits < ANALYSIS_CONFIG.MIN_SESSION_ENTROPY_BITS;
+
+    return entropy;
+  }
+
+  /**
+   * Conjunto de caracteres observado (hex, decimal, base64...) e seu tamanho
+   * @private
+   */
+  _charset(values) {
+    const all = values.join('');
+
+    if (/^[0-9]+$/.test(all)) return { name: 'decimal', size: 10 };
+    if (/^[0-9a-f]+$/.test(all) || /^[0-9A-F]+$/.test(all)) return { name: 'hex', size: 16 };
+
+    let size = 0;
+    const classes = [];
+    if (/[a-z]/.test(all)) { size += 26; classes.push('a-z'); }
+    if (/[A-Z]/.test(all)) { size += 26; classes.push('A-Z'); }
+    if (/[0-9]/.test(all)) { size += 10; classes.push('0-9'); }
+
+    const symbols = new Set(all.replace(/[a-zA-Z0-9]/g, ''));
+    size += symbols.size;
+    if (symbols.size > 0) classes.push([...symbols].join(''));
+
+    return { name: classes.join(' '), size };
+  }
+
+  /**
+   * Entropia de Shannon em bits por caractere
+   * @private
+   */
+  _shannon(text) {
+    if (!text) return 0;
+
+    const frequencies = new Map();
+    for (const char of text) {
+      frequencies.set(char, (frequencies.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of frequencies.values()) {
+      const probability = count / text.length;
+      entropy -= probability * Math.log2(probability);
+    }
+
+    return entropy;
+  }
+
+  /**
+   * Prefixo comum a todas as amostras
+   * @private
+   */
+  _commonPrefix(values) {
+    if (values.length < 2) return '';
+
+    let prefix = values[0];
+    for (const value of values.slice(1)) {
+      while (!value.startsWith(prefix)) {
+        prefix = prefix.slice(0, -1);
+      }
+    }
+
+    return prefix;
+  }
+
+  /**
+   * Posições que variam entre as amostras (com uma única amostra, todas exceto o prefixo)
+   * Posições constantes não contribuem para a entropia
+   * @private
+   */
+  _varyingPositions(values, prefixLength) {
+    if (values.length < 2) {
+      return values[0].length;
+    }
+
+    const maxLength = Math.max(...values.map(value => value.length));
+    let varying = 0;
+
+    for (let position = prefixLength; position < maxLength; position++) {
+      const chars = new Set(values.map(value => value[position]));
+      if (chars.size > 1) varying++;
+    }
+
+    return varying;
+  }
+
+  /**
+   * Procura números que crescem pouco entre sessões consecutivas
+   * Compara cada sequência de dígitos (na mesma ordem) e o valor inteiro quando hexadecimal
+   * @private
+   */
+  _findCounter(values) {
+    if (values.length < 3) return null;
+
+    const candidates = [];
+    const runs = values.map(value => value.match(/\d+/g) || []);
+    const runCount = Math.min(...runs.map(list => list.length));
+
+    for (let index = 0; index < runCount; index++) {
+      candidates.push({
+        label: `sequência numérica nº ${index + 1}`,
+        numbers: runs.map(list => Number(list[index]))
+      });
+    }
+
+    if (values.every(value => /^[0-9a-f]{1,13}$/i.test(value))) {
+      candidates.push({ label: 'valor hexadecimal', numbers: values.map(value => parseInt(value, 16)) });
+    }
+
+    for (const { label, numbers } of candidates) {
+      if (numbers.some(number => !Number.isSafeInteger(number))) continue;
+
+      const steps = numbers.slice(1).map((number, i) => number - numbers[i]);
+      if (steps.every(step => step > 0 && step <= MAX_COUNTER_STEP)) {
+        return `${label} incrementa a cada sessão (passos: ${steps.join(', ')})`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Procura timestamps Unix (s ou ms, decimal ou hexadecimal) próximos do momento da coleta
+   * @private
+   */
+  _findTimestamp(values, now) {
+    const nowSeconds = now.getTime() / 1000;
+    const isRecent = seconds => Math.abs(seconds - nowSeconds) <= TIMESTAMP_WINDOW_SECONDS;
+
+    const matches = (value) => {
+      for (const run of value.match(/\d{10,13}/g) || []) {
+        const number = Number(run.slice(0, run.length >= 13 ? 13 : 10));
+        if (isRecent(run.length >= 13 ? number / 1000 : number)) return 'timestamp Unix em decimal';
+      }
+
+      // Hexadecimal só no início ou como bloco separado (ex.: ObjectId), para não achar timestamps ao acaso
+      for (const [, run] of value.matchAll(/(?:^|[^0-9a-f])([0-9a-f]{8})(?![0-9a-f])/gi)) {
+        if (isRecent(parseInt(run, 16))) return 'timestamp Unix em hexadecimal';
+      }
+
+      const leading = value.match(/^[0-9a-f]{8}/i);
+      if (leading && isRecent(parseInt(leading[0], 16))) return 'timestamp Unix em hexadecimal';
+
+      return null;
+    };
+
+    const found = values.map(matches);
+    return found.every(Boolean) ? `${found[0]} no valor da sessão` : null;
+  }
+
+  /**
+   * Arredonda para duas casas decimais
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new SessionEntropy();
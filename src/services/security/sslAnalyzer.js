@@ -12,9 +12,11 @@ class SSLAnalyzer {
   /**
    * Analisa o certificado SSL de uma URL
    * @param {string} url - URL para analisar
+   * @param {Object} options - Opções ({ timeout } em ms, limitado ao timeout de handshake)
    * @returns {Promise<Object>} - Análise completa do SSL
    */
-  async analyzeSSL(url) {
+  async analyzeSSL(url, options = {}) {
+    const timeout = Math.min(options.timeout || TIMEOUTS.SSL_HANDSHAKE, TIMEOUTS.SSL_HANDSHAKE);
     const startTime = Date.now();
     
     try {
@@ -32,7 +34,7 @@ class SSLAnalyzer {
 
       // Tentar análise detalhada primeiro
       try {
-        const sslInfo = await this._getSSLInfo(parsedUrl.hostname, parsedUrl.port || 443);
+        const sslInfo = await this._getSSLInfo(parsedUrl.hostname, parsedUrl.port || 443, timeout);
         const analysis = this._analyzeSSLInfo(sslInfo);
         
         const duration = Date.now() - startTime;
@@ -43,7 +45,7 @@ class SSLAnalyzer {
         // Se a análise detalhada falhar, tentar análise simples
         logger.errorWithContext(detailedError, { url, fallback: 'trying_simple_analysis' });
         
-        const simpleAnalysis = await this._performSimpleSSLCheck(parsedUrl.hostname, parsedUrl.port || 443);
+        const simpleAnalysis = await this._performSimpleSSLCheck(parsedUrl.hostname, parsedUrl.port || 443, timeout);
         
         const duration = Date.now() - startTime;
         logger.performance('ssl_analysis_simple', duration, { url, isValid: simpleAnalysis.isValid });
@@ -61,13 +63,13 @@ class SSLAnalyzer {
    * Obtém informações SSL via conexão direta
    * @private
    */
-  async _getSSLInfo(hostname, port) {
+  async _getSSLInfo(hostname, port, timeout = TIMEOUTS.SSL_HANDSHAKE) {
     return new Promise((resolve, reject) => {
       const options = {
         host: hostname,
         port: port,
         rejectUnauthorized: false, // Para analisar certificados inválidos
-        timeout: TIMEOUTS.SSL_HANDSHAKE,
+        timeout,
         // Configurações mais tolerantes para conexões SSL problemáticas
         secureProtocol: 'TLS_method', // Permite negociação automática da versão TLS
         ciphers: 'ALL:@SECLEVEL=0', // Permite ciphers mais antigas se necessário
@@ -82,7 +84,7 @@ class SSLAnalyzer {
       timeoutId = setTimeout(() => {
         socket.destroy();
         reject(new Error('SSL handshake timeout'));
-      }, TIMEOUTS.SSL_HANDSHAKE);
+      }, timeout);
 
       socket.on('secureConnect', () => {
         try {
@@ -156,7 +158,7 @@ class SSLAnalyzer {
    * Realizar verificação SSL simples quando a análise detalhada falha
    * @private
    */
-  async _performSimpleSSLCheck(hostname, port) {
+  async _performSimpleSSLCheck(hostname, port, timeout = 5000) {
     const https = require('https');
     
     return new Promise((resolve) => {
@@ -164,7 +166,7 @@ class SSLAnalyzer {
         hostname,
         port,
         method: 'HEAD',
-        timeout: 5000,
+        timeout: Math.min(timeout, 5000),
         rejectUnauthorized: false
       };
 
@@ -526,6 +528,23 @@ class SSLAnalyzer {
     return chain;
   }
 
+  /**
+   * Recalcula o score ignorando as vulnerabilidades aceitas pela política (accepted)
+   * @param {Object} analysis - Resultado de analyzeSSL
+   * @returns {number} - Score de 0 a 100
+   */
+  scoreOpenFindings(analysis) {
+    // Verificação simples e falhas de conexão não têm componentes para recalcular
+    if (!analysis.protocol || !analysis.cipher) {
+      return analysis.score;
+    }
+
+    return this._calculateSSLScore({
+      ...analysis,
+      vulnerabilities: analysis.vulnerabilities.filter(vuln => !vuln.accepted)
+    });
+  }
+
   /**
    * Calcula o score SSL baseado nos componentes
    * @private
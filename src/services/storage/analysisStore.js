@@ -0,0 +1,268 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '../../../data/analyses');
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const HOST_INDEX_DIR = 'hosts';
+
+/**
+ * Armazenamento local de análises em arquivos JSON (um arquivo por análise)
+ *
+ * Cada host tem um índice (hosts/<host>.jsonl, uma linha { analysisId, timestamp } por análise)
+ * para que o histórico leia só as análises do host
+ */
+class AnalysisStore {
+
+  constructor(storeDir = process.env.ANALYSIS_STORE_PATH || DEFAULT_STORE_DIR) {
+    this.storeDir = storeDir;
+    this.hostIndexReady = null;
+  }
+
+  /**
+   * Salva uma análise e retorna o ID gerado pelo servidor
+   * @param {Object} analysis - Resultado completo da análise
+   * @returns {Promise<string>} - ID da análise salva
+   */
+  async save(analysis) {
+    const id = crypto.randomUUID();
+    const record = { ...analysis, analysisId: id };
+
+    await fs.mkdir(this.storeDir, { recursive: true });
+    await fs.writeFile(this._filePath(id), JSON.stringify(record, null, 2), 'utf-8');
+    await this._indexByHost(record);
+
+    logger.analysis(analysis.url, 'analysis_stored', { analysisId: id });
+
+    return id;
+  }
+
+  /**
+   * Busca uma análise salva pelo ID
+   * @param {string} id - ID da análise
+   * @returns {Promise<Object|null>} - Análise salva ou null se não existir
+   */
+  async get(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+
+    try {
+      const content = await fs.readFile(this._filePath(id), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lista as análises salvas, da mais recente para a mais antiga
+   * @param {Object} filters - Filtros opcionais ({ limit })
+   * @returns {Promise<Array>} - Análises salvas
+   */
+  async list(filters = {}) {
+    let files;
+
+    try {
+      files = await fs.readdir(this.storeDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const analyses = [];
+
+    for (const file of files) {
+      const id = path.basename(file, '.json');
+      if (!file.endsWith('.json') || !this.isValidId(id)) continue;
+
+      try {
+        const analysis = await this.get(id);
+        if (analysis) analyses.push(analysis);
+      } catch (error) {
+        // Arquivo corrompido não deve impedir a listagem das demais análises
+        logger.errorWithContext(error, { analysisId: id });
+      }
+    }
+
+    analyses.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return filters.limit ? analyses.slice(0, filters.limit) : analyses;
+  }
+
+  /**
+   * Lista as análises de um host pelo índice, da mais recente para a mais antiga
+   * @param {string} host - Host em minúsculas, com a porta se houver (ver hostOf)
+   * @param {Object} filters - Filtros opcionais ({ limit })
+   * @returns {Promise<Array>} - Análises salvas do host
+   */
+  async listByHost(host, filters = {}) {
+    await this._ensureHostIndex();
+
+    let content;
+    try {
+      content = await fs.readFile(this._hostIndexPath(host), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = new Map();
+    for (const line of content.split('\n')) {
+      try {
+        const entry = line && JSON.parse(line);
+        if (entry && this.isValidId(entry.analysisId)) entries.set(entry.analysisId, entry);
+      } catch (error) {
+        // Linha incompleta (escrita interrompida) não invalida o restante do índice
+      }
+    }
+
+    const ordered = [...entries.values()].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const analyses = [];
+
+    for (const entry of filters.limit ? ordered.slice(0, filters.limit) : ordered) {
+      try {
+        const analysis = await this.get(entry.analysisId);
+        if (analysis) analyses.push(analysis);
+      } catch (error) {
+        logger.errorWithContext(error, { analysisId: entry.analysisId });
+      }
+    }
+
+    return analyses;
+  }
+
+  /**
+   * Host usado no índice (host da URL analisada, em minúsculas)
+   * @param {Object} analysis - Análise salva
+   * @returns {string|null}
+   */
+  hostOf(analysis) {
+    try {
+      return new URL(analysis.url).host.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Acrescenta a análise ao índice do host
+   * @private
+   */
+  async _indexByHost(record) {
+    const host = this.hostOf(record);
+    if (!host) return;
+
+    await this._ensureHostIndex();
+    await fs.appendFile(this._hostIndexPath(host), this._indexLine(record), 'utf-8');
+  }
+
+  /**
+   * Cria os índices por host a partir das análises já salvas (uma vez, se ainda não existirem)
+   * @private
+   */
+  _ensureHostIndex() {
+    if (!this.hostIndexReady) {
+      this.hostIndexReady = this._buildHostIndex().catch((error) => {
+        this.hostIndexReady = null;
+        throw error;
+      });
+    }
+
+    return this.hostIndexReady;
+  }
+
+  /**
+   * Agrupa as análises salvas por host e grava os índices
+   * @private
+   */
+  async _buildHostIndex() {
+    const indexDir = path.join(this.storeDir, HOST_INDEX_DIR);
+
+    try {
+      await fs.access(indexDir);
+      return;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const lines = new Map();
+    for (const analysis of await this.list()) {
+      const host = this.hostOf(analysis);
+      if (!host) continue;
+
+      if (!lines.has(host)) lines.set(host, []);
+      lines.get(host).push(this._indexLine(analysis));
+    }
+
+    // Grava em um diretório temporário e renomeia: um índice parcial nunca fica visível
+    const tempDir = `${indexDir}.${process.pid}.tmp`;
+    await fs.mkdir(tempDir, { recursive: true });
+
+    for (const [host, hostLines] of lines) {
+      await fs.writeFile(path.join(tempDir, this._hostIndexFile(host)), hostLines.join(''), 'utf-8');
+    }
+
+    try {
+      await fs.rename(tempDir, indexDir);
+    } catch (error) {
+      // Outro processo criou o índice primeiro: o dele já inclui as mesmas análises
+      await fs.rm(tempDir, { recursive: true, force: true });
+      if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST') throw error;
+      return;
+    }
+
+    logger.info('Host index built', { hosts: lines.size });
+  }
+
+  /**
+   * Linha do índice de uma análise
+   * @private
+   */
+  _indexLine(analysis) {
+    return JSON.stringify({ analysisId: analysis.analysisId, timestamp: analysis.timestamp }) + '\n';
+  }
+
+  /**
+   * Caminho do índice de um host
+   * @private
+   */
+  _hostIndexPath(host) {
+    return path.join(this.storeDir, HOST_INDEX_DIR, this._hostIndexFile(host));
+  }
+
+  /**
+   * Nome do arquivo de índice (":" da porta e demais caracteres fora de [a-z0-9.-] viram "_")
+   * @private
+   */
+  _hostIndexFile(host) {
+    return `${host.replace(/[^a-z0-9.-]/g, '_')}.jsonl`;
+  }
+
+  /**
+   * Verifica se o ID tem o formato gerado pelo store
+   * @param {string} id - ID a verificar
+   * @returns {boolean}
+   */
+  isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  /**
+   * Caminho do arquivo de uma análise
+   * @private
+   */
+  _filePath(id) {
+    return path.join(this.storeDir, `${id}.json`);
+  }
+}
+
+module.exports = new AnalysisStore();
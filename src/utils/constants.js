@@ -138,15 +138,47 @@ const ERROR_MESSAGES = {
   RATE_LIMITED: 'Muitas requisições. Tente novamente em alguns minutos.'
 };
 
+// Categorias da análise e seus nomes de exibição
+const ANALYSIS_CATEGORIES = {
+  ssl: 'SSL/TLS',
+  headers: 'Headers de Segurança',
+  cookies: 'Cookies',
+  html: 'HTML'
+};
+
 // Configurações de análise
 const ANALYSIS_CONFIG = {
   MAX_REDIRECTS: 5,
+  MAX_REDIRECTS_LIMIT: 10,
+  MIN_TIMEOUT: 1000,
+  MAX_TIMEOUT: 60000,
+  DEFAULT_RETRIES: 3,
+  MAX_RETRIES: 5,
+  MAX_CUSTOM_HEADERS: 20,
+  MAX_SESSION_SAMPLES: 20,
+  MAX_CORS_PATHS: 10,
+  MIN_SESSION_ENTROPY_BITS: 64,
   MAX_RESPONSE_SIZE: 10 * 1024 * 1024, // 10MB
   MAX_COOKIES: 50,
   MAX_HEADERS: 100,
   PARALLEL_CHECKS: true
 };
 
+// Configurações de jobs assíncronos de análise
+const JOB_CONFIG = {
+  RESULT_TTL: 60 * 60 * 1000, // Tempo que um job finalizado fica disponível (1h)
+  SSE_HEARTBEAT: 15000 // Intervalo de keep-alive do stream de eventos
+};
+
+// Configurações de análise em lote
+const BATCH_CONFIG = {
+  MAX_URLS: 500,
+  CONCURRENCY: 4, // Análises simultâneas no lote
+  HOST_DELAY: 2000, // Intervalo mínimo entre análises do mesmo host (politeness)
+  POLL_INTERVAL: 250,
+  RESULT_TTL: 24 * 60 * 60 * 1000 // Tempo que um lote finalizado fica disponível (24h)
+};
+
 // Algoritmos de hash seguros
 const SECURE_HASH_ALGORITHMS = [
   'SHA256', 'SHA384', 'SHA512', 'SHA-256', 'SHA-384', 'SHA-512'
@@ -189,7 +221,10 @@ module.exports = {
   PATTERNS,
   REGEX,
   ERROR_MESSAGES,
+  ANALYSIS_CATEGORIES,
   ANALYSIS_CONFIG,
+  JOB_CONFIG,
+  BATCH_CONFIG,
   SECURE_HASH_ALGORITHMS,
   MIN_KEY_SIZES,
   NETWORK_ERRORS
@@ -30,6 +30,13 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
+// Função para desativar a saída no console (ex.: CLI, onde o stdout é o relatório)
+logger.disableConsole = () => {
+  logger.transports
+    .filter(transport => transport instanceof winston.transports.Console)
+    .forEach(transport => logger.remove(transport));
+};
+
 // Função para estruturar logs de análise
 logger.analysis = (url, action, data = {}) => {
   logger.info('Analysis Action', {
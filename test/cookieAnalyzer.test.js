@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../src/utils/logger').disableConsole();
+const cookieAnalyzer = require('../src/services/security/cookieAnalyzer');
+
+const SESSION_VALUE = 'Zk3hQ9xLp2Vw8sRt4nYb6cDe1fGh0JaK';
+
+test('cookie __Host- válido não gera achados', () => {
+  const analysis = cookieAnalyzer.analyzeCookies(
+    [`__Host-session=${SESSION_VALUE}; Secure; HttpOnly; Path=/; SameSite=Lax`],
+    'https://example.com/'
+  );
+
+  assert.equal(analysis.score, 100);
+  assert.deepEqual(analysis.vulnerabilities, []);
+});
+
+test('cookie sensível sem prefixo com Path=/ gera broad_path_sensitive_cookie', () => {
+  const analysis = cookieAnalyzer.analyzeCookies(
+    [`session=${SESSION_VALUE}; Secure; HttpOnly; Path=/; SameSite=Lax`],
+    'https://example.com/'
+  );
+
+  assert.ok(analysis.vulnerabilities.some(vuln => vuln.type === 'broad_path_sensitive_cookie'));
+});
+
+test('session_cookie_without_host_prefix só em HTTPS e em cookies sem prefixo', () => {
+  const types = (header, url) => cookieAnalyzer.analyzeCookies([header], url).vulnerabilities.map(vuln => vuln.type);
+
+  assert.ok(types(`session=${SESSION_VALUE}; Secure; HttpOnly`, 'https://example.com/').includes('session_cookie_without_host_prefix'));
+  assert.ok(!types(`session=${SESSION_VALUE}; HttpOnly`, 'http://example.com/').includes('session_cookie_without_host_prefix'));
+  assert.ok(!types(`__Secure-session=${SESSION_VALUE}; Secure; HttpOnly`, 'https://example.com/').includes('session_cookie_without_host_prefix'));
+});
+
+test('recomendação de __Host- vem só do achado da regra', () => {
+  const analysis = cookieAnalyzer.analyzeCookies([`session=${SESSION_VALUE}; Secure; HttpOnly`], 'https://example.com/');
+
+  assert.ok(!analysis.recommendations.some(recommendation => recommendation.includes('__Host-')));
+});
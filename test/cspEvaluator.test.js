@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const cspEvaluator = require('../src/services/security/cspEvaluator');
+
+const HASH = "'sha256-B2yPHKaXnvFWtRChIbabYmUBFZdVfKKXHbWtWidDVF8='";
+
+const inlineIssues = (policy) => cspEvaluator.evaluate(cspEvaluator.parse(policy)).issues
+  .filter(issue => issue.kind === 'unsafe_inline')
+  .map(issue => issue.directive);
+
+test('hash com unsafe-hashes anula unsafe-inline em atributos', () => {
+  assert.deepEqual(inlineIssues(`script-src 'self'; script-src-attr 'unsafe-inline' 'unsafe-hashes' ${HASH}`), []);
+  assert.deepEqual(inlineIssues(`style-src 'self'; style-src-attr 'unsafe-inline' 'unsafe-hashes' ${HASH}`), []);
+});
+
+test('nonce ou hash sem unsafe-hashes não anulam unsafe-inline em atributos', () => {
+  assert.deepEqual(inlineIssues(`script-src 'self'; script-src-attr 'unsafe-inline' ${HASH}`), ['script-src-attr']);
+  assert.deepEqual(inlineIssues("script-src 'self'; script-src-attr 'unsafe-inline' 'nonce-abc123'"), ['script-src-attr']);
+  assert.deepEqual(inlineIssues("style-src 'self'; style-src-attr 'unsafe-inline' 'nonce-abc123'"), ['style-src-attr']);
+});
+
+test('nonce continua anulando unsafe-inline em elementos', () => {
+  assert.deepEqual(inlineIssues("script-src 'unsafe-inline' 'nonce-abc123'; style-src 'unsafe-inline' 'nonce-abc123'"), []);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../src/utils/logger').disableConsole();
+const headerAnalyzer = require('../src/services/security/headerAnalyzer');
+
+const missingHeaders = (headers) => headerAnalyzer.analyzeHeaders(headers, 'https://example.com/').vulnerabilities
+  .filter(vuln => vuln.type === 'missing_header')
+  .map(vuln => vuln.header);
+
+test('COEP e CORP ausentes não geram achado sem contexto de isolamento', () => {
+  const missing = missingHeaders({ 'content-type': 'text/html' });
+
+  assert.ok(missing.includes('Content-Security-Policy'));
+  assert.ok(!missing.includes('Cross-Origin-Embedder-Policy'));
+  assert.ok(!missing.includes('Cross-Origin-Resource-Policy'));
+});
+
+test('COEP ausente é reportado quando o COOP same-origin busca isolamento', () => {
+  const missing = missingHeaders({ 'content-type': 'text/html', 'cross-origin-opener-policy': 'same-origin' });
+
+  assert.ok(missing.includes('Cross-Origin-Embedder-Policy'));
+  assert.ok(!missing.includes('Cross-Origin-Resource-Policy'));
+});
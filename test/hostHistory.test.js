@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-cookie-store-'));
+process.env.ANALYSIS_STORE_PATH = storeDir;
+
+require('../src/utils/logger').disableConsole();
+const analysisStore = require('../src/services/storage/analysisStore');
+const hostHistory = require('../src/services/analysis/hostHistory');
+
+/**
+ * Análise salva mínima para o histórico
+ */
+function storedAnalysis(url, minutes, overrides = {}) {
+  return {
+    url,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 12, minutes)).toISOString(),
+    score: 80,
+    grade: 'B',
+    options: { categories: ['ssl', 'headers', 'cookies', 'html'] },
+    stats: { scores: { ssl: 80, headers: 80, cookies: 80, html: 80 } },
+    vulnerabilities: [],
+    ...overrides
+  };
+}
+
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+test('histórico lê só as análises do host pelo índice', async () => {
+  // Análise gravada antes do índice existir entra na reconstrução
+  fs.writeFileSync(path.join(storeDir, '00000000-0000-4000-8000-000000000001.json'),
+    JSON.stringify({ ...storedAnalysis('https://old.example/', 0), analysisId: '00000000-0000-4000-8000-000000000001' }));
+
+  await analysisStore.save(storedAnalysis('https://example.com/', 1));
+  await analysisStore.save(storedAnalysis('https://other.example/', 2));
+  await analysisStore.save(storedAnalysis('https://example.com/login', 3, { score: 90 }));
+
+  const history = await hostHistory.getHistory('example.com');
+  assert.equal(history.count, 2);
+  assert.deepEqual(history.entries.map(entry => entry.score), [80, 90]);
+
+  assert.equal((await hostHistory.getHistory('old.example')).count, 1);
+  assert.equal((await hostHistory.getHistory('example.com', { limit: 1 })).latest.score, 90);
+});
+
+test('delta compara só com a última análise com as mesmas categorias', async () => {
+  await analysisStore.save(storedAnalysis('https://delta.example/', 10, { score: 70 }));
+  await analysisStore.save(storedAnalysis('https://delta.example/', 11, {
+    score: 95,
+    options: { categories: ['headers'] },
+    stats: { scores: { ssl: null, headers: 95, cookies: null, html: null } }
+  }));
+  await analysisStore.save(storedAnalysis('https://delta.example/', 12, { score: 75 }));
+
+  const [full, headersOnly, latest] = (await hostHistory.getHistory('delta.example')).entries;
+
+  assert.deepEqual(headersOnly.categories, ['headers']);
+  assert.equal(headersOnly.delta, null);
+  assert.equal(headersOnly.comparedTo, null);
+  assert.equal(latest.comparedTo, full.analysisId);
+  assert.equal(latest.delta.score, 5);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const sarifExporter = require('../src/services/export/sarifExporter');
+
+const analysis = {
+  url: 'https://example.com/',
+  cookies: {
+    vulnerabilities: [
+      { type: 'missing_secure_flag', severity: 'high', message: 'Cookie sem flag Secure', cookie: 'session' }
+    ]
+  }
+};
+
+test('execução sem falhas é marcada como bem-sucedida', () => {
+  const [invocation] = sarifExporter.analysesToSarif([analysis]).runs[0].invocations;
+
+  assert.equal(invocation.executionSuccessful, true);
+  assert.deepEqual(invocation.toolExecutionNotifications, []);
+});
+
+test('URL que falhou gera notificação de erro e execução sem sucesso', () => {
+  const failures = [{ url: 'https://down.example/', message: 'Domínio não encontrado', code: 'DNS_ERROR' }];
+  const [run] = sarifExporter.analysesToSarif([], failures).runs;
+  const [invocation] = run.invocations;
+
+  assert.deepEqual(run.results, []);
+  assert.equal(invocation.executionSuccessful, false);
+  assert.equal(invocation.toolExecutionNotifications.length, 1);
+
+  const [notification] = invocation.toolExecutionNotifications;
+  assert.equal(notification.level, 'error');
+  assert.equal(notification.descriptor.id, 'DNS_ERROR');
+  assert.equal(notification.locations[0].physicalLocation.artifactLocation.uri, 'https://down.example/');
+  assert.match(notification.message.text, /Domínio não encontrado/);
+});
+
+test('achados da mesma regra no mesmo header ou cookie têm fingerprints distintos', () => {
+  const fingerprints = sarifExporter.analysesToSarif([{
+    url: 'https://example.com/',
+    headers: {
+      vulnerabilities: [
+        { type: 'unsafe_csp_directives', severity: 'high', message: 'CSP', header: 'Content-Security-Policy', directive: 'script-src', source: "'unsafe-inline'" },
+        { type: 'unsafe_csp_directives', severity: 'medium', message: 'CSP', header: 'Content-Security-Policy', directive: 'script-src', source: "'unsafe-eval'" },
+        { type: 'cors_reflected_origin_with_credentials', severity: 'high', message: 'CORS', url: 'https://example.com/', origin: 'https://a.invalid' },
+        { type: 'cors_reflected_origin_with_credentials', severity: 'high', message: 'CORS', url: 'https://example.com/api', origin: 'https://a.invalid' }
+      ]
+    },
+    cookies: {
+      vulnerabilities: [
+        { type: 'missing_secure_flag', severity: 'high', message: 'Secure', cookie: 'session', setBy: 'https://example.com/login', hop: 0 },
+        { type: 'missing_secure_flag', severity: 'high', message: 'Secure', cookie: 'session' }
+      ]
+    }
+  }]).runs[0].results.map(result => result.partialFingerprints['safeCookie/v1']);
+
+  assert.equal(new Set(fingerprints).size, fingerprints.length);
+});